@@ -3,15 +3,44 @@ $(function(){
   toastr.options = { "positionClass": "toast-bottom-right", "timeOut": 3500 };
   const socket = io();
   let activeSession = 'main'; // default
+  let templates = [];        // server-side templates
+  let activeTemplate = null; // template applied to the send form
+  let autoReplies = [];
+  let chats = [];            // conversation list of the active session
+  let activeChat = null;     // jid open in the chat view
+  let olderCursor = null;    // nextCursor for loading older messages
+  let activeContact = null;  // contact card of the open chat
+  let replyTo = null;        // { id, text } of the message the chat reply quotes
+  let userRole = null;
+  let audiences = [];        // audience lists for broadcasts
+  let searchFilters = null;  // filters of the last search
+  let searchCursor = null;   // nextCursor of the last search page
 
   // initial UI
   $('#sessionSelect').append(`<option value="main" selected>main</option>`);
-  renderTemplates();
+  importLocalTemplates();
+  socket.emit('list-templates');
 
   // ask server for sessions
   socket.emit('list-sessions');
+  socket.emit('list-broadcasts', { sessionId: activeSession });
+  socket.emit('list-schedules', { sessionId: activeSession });
+  socket.emit('list-autoreplies', { sessionId: activeSession });
+  loadChats();
 
   socket.on('connect', ()=> { toastr.success('Realtime connected'); });
+  socket.on('connect_error', (err) => {
+    if (err?.message === 'unauthorized') window.location.href = '/login.html';
+  });
+
+  // logged-in user: hide controls the role cannot use (the server checks again)
+  socket.on('me', (user) => {
+    userRole = user.role;
+    $('#userInfo').text(`${user.username} (${user.role})`);
+    if (user.role === 'viewer') $('.role-operator, .role-admin, #sendForm button, #btnAddTemplate, #btnSchedule, #btnAddAutoReply').hide();
+    if (user.role === 'operator') $('.role-admin, #btnLogoutSession').hide();
+    if (user.role === 'viewer') $('#chatReplyForm').remove();
+  });
   socket.on('disconnect', ()=> { toastr.warning('Realtime disconnected'); });
 
   socket.on('sessions-list', (rows) => {
@@ -28,6 +57,12 @@ $(function(){
     updateConnectionStatus(s);
   });
 
+  // a session gave up reconnecting; it stays down until started again
+  socket.on('session-alert', (a) => {
+    toastr.error(`Session ${a.sessionId} gagal tersambung setelah ${a.attempts} percobaan: ${a.error || ''}`, 'Session', { timeOut: 0, extendedTimeOut: 0 });
+    addLog(`[${a.sessionId}] failed after ${a.attempts} reconnect attempts`);
+  });
+
   socket.on('qr', (payload) => {
     toastr.info('QR diperbarui untuk session ' + (payload?.id || 'main'));
   });
@@ -39,14 +74,116 @@ $(function(){
   });
 
   socket.on('message', (m) => {
-    appendInboxMessage(m.id, m.from, m.text, false);
+    if (m.key?.fromMe) {
+      // own sends echo back here too; message-sent may already have rendered them
+      if (m.sessionId === activeSession && m.from === activeChat && !chatItem(m.key.id).length) {
+        appendChatMessage({ id: m.id, direction: 'out', text: m.text, wa_id: m.key.id, status: 'sent' });
+      }
+      return;
+    }
+    if (m.sessionId === activeSession && m.from === activeChat) {
+      appendChatMessage({ id: m.id, direction: 'in', text: m.text, wa_id: m.key?.id });
+      // chat is open: read it right away
+      socket.emit('mark-read', { sessionId: activeSession, jid: activeChat, silent: true });
+    }
     addLog(`[IN] ${m.from}: ${m.text}`);
   });
 
+  // inbound media archived on the server: link it from the chat view
+  socket.on('message-media', (m) => {
+    const item = chatItem(m.waId);
+    if (!item.length || item.find('.msg-media').length) return;
+    item.find('.msg-meta').prepend(`<a class="msg-media me-1" href="${m.url}" target="_blank"><i class="fa fa-paperclip"></i> ${m.type}</a>`);
+  });
+
   socket.on('message-sent', (m) => {
-    appendInboxMessage(m.id, m.to, m.message, true);
+    const existing = chatItem(m.waId);
+    if (existing.length) existing.find('.msg-status').replaceWith(renderTicks(m.status));
+    else if (m.sessionId === activeSession && m.to === activeChat) appendChatMessage({ id: m.id, direction: 'out', text: m.message, message_type: m.type, quoted_id: m.quotedId, wa_id: m.waId, status: m.status });
     addLog(`[OUT] ${m.to}: ${m.message}`);
-    toastr.success('Pesan terkirim');
+  });
+
+  socket.on('message-status', (m) => {
+    chatItem(m.waId).find('.msg-status').replaceWith(renderTicks(m.status, m.error));
+    if (m.status === 'failed') addLog(`[OUT] ${m.to}: gagal (${m.error || 'unknown'})`);
+  });
+
+  // edits / deletes for everyone, ours or the other side's: re-render the bubble with the new state
+  socket.on('message-edited', updateChatMessage);
+  socket.on('message-deleted', updateChatMessage);
+
+  socket.on('message-edits', ({ id, edits }) => {
+    const lines = (edits || []).map(e => `${new Date(e.edited_at).toLocaleString()}: ${e.text || ''}`);
+    alert(lines.length ? `Riwayat edit pesan #${id}\n\n${lines.join('\n')}` : 'Belum ada riwayat edit');
+  });
+
+  // conversations
+  socket.on('chats-list', ({ sessionId, chats: rows }) => {
+    if (sessionId !== activeSession) return;
+    chats = rows || [];
+    renderChats();
+  });
+
+  // a chat changed (new message, read, archived...)
+  socket.on('chat', (row) => {
+    if (!row?.jid || row.session_id !== activeSession) return;
+    chats = chats.filter(c => c.jid !== row.jid);
+    if (!!row.archived === $('#chatShowArchived').is(':checked')) chats.push(row);
+    chats.sort((a, b) => (b.pinned - a.pinned) || (new Date(b.last_message_at) - new Date(a.last_message_at)));
+    renderChats();
+    if (row.jid === activeChat) renderChatHeader(row);
+  });
+
+  // search results; before = null means a new search
+  socket.on('message-search', (page) => {
+    if (!page.before) $('#searchResults').empty();
+    if (!page.before && !page.messages.length) $('#searchResults').append('<div class="muted small p-2">Tidak ada hasil</div>');
+    page.messages.forEach(m => {
+      const time = new Date(m.created_at).toLocaleString();
+      const media = m.media_id ? ` <a href="/api/media/${m.media_id}" target="_blank"><i class="fa fa-paperclip"></i> ${esc(m.media_type || 'media')}</a>` : '';
+      $('#searchResults').append(`<div class="list-group-item search-hit" data-jid="${esc(m.chat_jid || '')}" role="button">
+        <div class="d-flex justify-content-between">
+          <strong>${m.direction === 'out' ? 'You → ' : ''}${esc((m.chat_jid || '').split('@')[0])}</strong>
+          <span class="muted small">${time}</span>
+        </div>
+        <div class="small">${highlight(m.text || '', searchFilters?.q)}${media}</div>
+      </div>`);
+    });
+    searchCursor = page.nextCursor;
+    $('#btnSearchMore').toggleClass('d-none', !searchCursor);
+  });
+
+  // contact card of the open chat (also sent after someone edits it)
+  socket.on('contact', (c) => {
+    if (!c?.jid || c.session_id !== activeSession || c.jid !== activeChat) return;
+    activeContact = c;
+    const fields = Object.entries(c.fields || {}).map(([k, v]) => `${esc(k)}: ${esc(v)}`).join(' · ');
+    $('#chatContact').removeClass('d-none').html(`
+      <div class="d-flex justify-content-between align-items-start gap-2">
+        <div>
+          <div>${esc(c.display_name)}${c.phone ? ' · +' + esc(c.phone) : ''}${c.about ? ' · <i>' + esc(c.about) + '</i>' : ''}</div>
+          ${fields ? `<div>${fields}</div>` : ''}
+          ${c.notes ? `<div><i class="fa fa-note-sticky"></i> ${esc(c.notes)}</div>` : ''}
+        </div>
+        ${userRole !== 'viewer' ? '<button type="button" class="btn btn-sm btn-outline-light contact-notes" title="Catatan"><i class="fa fa-pen"></i></button>' : ''}
+      </div>`);
+  });
+
+  // one page of the open chat (oldest first); before = null means the latest page
+  socket.on('message-history', (page) => {
+    if (!page?.jid || page.sessionId !== activeSession || page.jid !== activeChat) return;
+    const box = $('#chatMessages');
+    const html = page.messages.map(renderChatMessage).join('');
+    if (page.before) {
+      const height = box[0].scrollHeight;
+      box.find('.chat-older').after(html);
+      box.scrollTop(box[0].scrollHeight - height);
+    } else {
+      box.html('<button type="button" class="btn btn-sm btn-outline-light chat-older mb-2">Muat pesan lama</button>' + html);
+      box.scrollTop(box[0].scrollHeight);
+    }
+    olderCursor = page.nextCursor;
+    box.find('.chat-older').toggle(!!olderCursor);
   });
 
   socket.on('broadcast-status', (b) => {
@@ -57,25 +194,160 @@ $(function(){
     toastr.success(`Broadcast selesai. sukses: ${res.success}/${res.total}`);
   });
 
+  socket.on('broadcasts-list', (rows) => {
+    $('#broadcastJobs').empty();
+    (rows || []).forEach(job => {
+      renderBroadcastJob(job);
+      if (job.status === 'running') socket.emit('watch-broadcast', { jobId: job.id });
+    });
+  });
+
+  socket.on('broadcast-job', (job) => {
+    if (!job?.id) return;
+    renderBroadcastJob(job);
+    addLog(`[BCAST #${job.id}] ${job.status} (${job.sent}/${job.total}, failed ${job.failed})`);
+  });
+
+  socket.on('audiences-list', (rows) => {
+    audiences = rows || [];
+    const selected = $('#broadcastList').data('select') || $('#broadcastList').val();
+    $('#broadcastList').removeData('select').find('option:not(:first)').remove();
+    audiences.forEach(a => $('#broadcastList').append(`<option value="${a.id}">${esc(a.name)} (${a.total})</option>`));
+    $('#broadcastList').val(audiences.some(a => String(a.id) === selected) ? selected : '');
+    renderAudienceInfo();
+  });
+
+  socket.on('templates-list', (rows) => {
+    templates = rows || [];
+    renderTemplates();
+  });
+
+  socket.on('autoreplies-list', (rows) => {
+    autoReplies = (rows || []).filter(r => r.session_id === activeSession);
+    renderAutoReplies();
+  });
+
+  socket.on('schedules-list', (rows) => {
+    $('#schedulesList').empty();
+    (rows || []).forEach(renderSchedule);
+  });
+
+  socket.on('schedule', (row) => {
+    if (!row?.id || row.session_id !== activeSession) return;
+    renderSchedule(row);
+  });
+
   socket.on('error', (err) => { toastr.error(err || 'Server error'); });
+  socket.on('error-message', (err) => { toastr.error(err || 'Server error'); });
+  socket.on('success-message', (msg) => { toastr.success(msg); });
 
   // UI events
   $('#sessionSelect').on('change', function(){
     activeSession = $(this).val();
     $('#sessionInfo').text('Active: ' + activeSession);
+    socket.emit('list-broadcasts', { sessionId: activeSession });
+    socket.emit('list-schedules', { sessionId: activeSession });
+    socket.emit('list-autoreplies', { sessionId: activeSession });
+    loadChats();
+  });
+
+  // chat view
+  $('#chatShowArchived').on('change', loadChats);
+  let chatSearchTimer = null;
+  $('#chatSearch').on('input', () => {
+    clearTimeout(chatSearchTimer);
+    chatSearchTimer = setTimeout(loadChats, 300);
+  });
+  $('#chatList').on('click', '.chat-item', function(){
+    openChat($(this).data('jid'));
+  });
+  $('#chatMessages').on('click', '.chat-older', () => {
+    if (olderCursor) socket.emit('get-history', { sessionId: activeSession, jid: activeChat, before: olderCursor, limit: 50 });
+  });
+  $('#btnChatPin').click(() => {
+    const chat = chats.find(c => c.jid === activeChat);
+    if (chat) socket.emit('update-chat', { sessionId: activeSession, jid: activeChat, pinned: !chat.pinned });
+  });
+  $('#btnChatArchive').click(() => {
+    const chat = chats.find(c => c.jid === activeChat);
+    if (chat) socket.emit('update-chat', { sessionId: activeSession, jid: activeChat, archived: !chat.archived });
+  });
+  // export: the browser downloads the streamed file straight from the API (session cookie)
+  $('#chatExportForm').submit(function(e){
+    e.preventDefault();
+    if (!activeChat) return;
+    const params = new URLSearchParams({ sessionId: activeSession, jid: activeChat });
+    for (const { name, value } of $(this).serializeArray()) if (value) params.set(name, value);
+    window.location.href = `/api/messages/export?${params}`;
+  });
+  $('#chatContact').on('click', '.contact-notes', () => {
+    const notes = prompt('Catatan untuk kontak ini', activeContact?.notes || '');
+    if (notes === null) return;
+    socket.emit('update-contact', { sessionId: activeSession, jid: activeChat, notes });
+  });
+  // message search
+  $('#searchForm').submit(function(e){
+    e.preventDefault();
+    searchFilters = {
+      sessionId: activeSession,
+      q: $('#searchQuery').val().trim() || undefined,
+      jid: $('#searchJid').val().trim() || undefined,
+      direction: $('#searchDirection').val() || undefined,
+      mediaType: $('#searchMedia').val() || undefined,
+      from: $('#searchFrom').val() || undefined,
+      to: $('#searchTo').val() || undefined
+    };
+    socket.emit('search-messages', searchFilters);
+  });
+  $('#btnSearchMore').click(()=> {
+    if (searchCursor) socket.emit('search-messages', { ...searchFilters, before: searchCursor });
+  });
+  $('#searchResults').on('click', '.search-hit', function(){
+    const jid = $(this).data('jid');
+    if (jid) openChat(jid);
+  });
+  $('#chatMessages').on('click', '.msg-reply', function(){
+    const item = $(this).closest('.chat-msg');
+    setReplyTo({ id: item.data('id'), text: item.find('.msg-text').text() });
+    $('#chatReplyInput').focus();
+  });
+  $('#chatReplyQuote').on('click', '.chat-reply-cancel', () => setReplyTo(null));
+  $('#chatMessages').on('click', '.msg-edit', function(){
+    const item = $(this).closest('.chat-msg');
+    const text = prompt('Edit pesan', item.find('.msg-text').text());
+    if (text === null || !text.trim()) return;
+    socket.emit('edit-message', { id: item.data('id'), text });
+  });
+  $('#chatMessages').on('click', '.msg-revoke', function(){
+    if (!confirm('Hapus pesan ini untuk semua orang?')) return;
+    socket.emit('revoke-message', { id: $(this).closest('.chat-msg').data('id') });
+  });
+  $('#chatMessages').on('click', '.msg-edited', function(){
+    socket.emit('get-message-edits', { id: $(this).closest('.chat-msg').data('id') });
+  });
+  $('#chatReplyForm').submit(function(e){
+    e.preventDefault();
+    const message = $('#chatReplyInput').val().trim();
+    if (!activeChat || !message) return;
+    socket.emit('send-message', { sessionId: activeSession, to: activeChat, message, replyTo: replyTo?.id });
+    $('#chatReplyInput').val('');
+    setReplyTo(null);
   });
 
   $('#btnRequestQrMain').click(()=> socket.emit('request-qr', { sessionId: activeSession }));
   $('#btnRefreshSessions').click(()=> socket.emit('list-sessions'));
   $('#btnLogoutSession').click(()=> {
     if (!confirm('Logout session ' + activeSession + '?')) return;
-    socket.emit('logout', { sessionId: activeSession });
+    socket.emit('logout-session', { sessionId: activeSession });
   });
 
   $('#btnListSessions').click(()=> socket.emit('list-sessions'));
+  $('#btnSignOut').click(()=> {
+    $.post('/auth/logout').always(() => window.location.href = '/login.html');
+  });
   $('#btnLogoutAll').click(()=> {
     if (!confirm('Logout all sessions?')) return;
-    socket.emit('logout', { sessionId: activeSession }); // backend has logout-all via socket? we have logout-per-session
+    socket.emit('logout-session', { sessionId: activeSession }); // backend has logout-all via socket? we have logout-per-session
     toastr.info('Logout requested');
   });
 
@@ -84,35 +356,147 @@ $(function(){
     const to = $('#toInput').val().trim();
     const message = $('#messageInput').val().trim();
     if (!to || !message) return toastr.warning('Nomor dan pesan diperlukan');
-    socket.emit('send-message', { sessionId: activeSession, to, message });
+    if (activeTemplate && message === activeTemplate.body && activeTemplate.variables.length) {
+      // template untouched: let the server fill the placeholders
+      const variables = askVariables(activeTemplate);
+      if (!variables) return;
+      socket.emit('send-message', { sessionId: activeSession, to, templateId: activeTemplate.id, variables });
+    } else {
+      socket.emit('send-message', { sessionId: activeSession, to, message });
+    }
+    activeTemplate = null;
     $('#messageInput').val('');
   });
 
-  $('#btnBroadcast').click(()=> $('#modalBroadcast').modal('show'));
+  $('#btnBroadcast').click(()=> {
+    socket.emit('list-audiences');
+    $('#modalBroadcast').modal('show');
+  });
   $('#btnDoBroadcast').click(()=> {
+    const listId = $('#broadcastList').val();
     const raw = $('#broadcastNumbers').val().trim();
     const message = $('#broadcastMessage').val().trim();
-    if (!raw || !message) return toastr.warning('Numbers and message required');
-    const numbers = raw.split(/[,\\n]+/).map(s=>s.trim()).filter(Boolean);
-    socket.emit('broadcast', { sessionId: activeSession, numbers, message });
+    if ((!listId && !raw) || !message) return toastr.warning('Numbers and message required');
+    const intervalMs = $('#broadcastInterval').val() || undefined;
+    const jitterMs = $('#broadcastJitter').val() || undefined;
+    if (listId) {
+      // list columns fill {{placeholders}} in the message per recipient
+      socket.emit('broadcast', { sessionId: activeSession, listId: Number(listId), message, intervalMs, jitterMs });
+      const list = audiences.find(a => String(a.id) === listId);
+      addLog(`[BROADCAST] start -> list ${list?.name || listId} (${list?.total || 0} numbers)`);
+    } else {
+      const numbers = raw.split(/[,\\n]+/).map(s=>s.trim()).filter(Boolean);
+      socket.emit('broadcast', { sessionId: activeSession, numbers, message, intervalMs, jitterMs });
+      addLog(`[BROADCAST] start -> ${numbers.length} numbers`);
+    }
     $('#modalBroadcast').modal('hide');
-    addLog(`[BROADCAST] start -> ${numbers.length} numbers`);
+  });
+
+  // audience lists
+  $('#broadcastList').on('change', renderAudienceInfo);
+  $('#btnImportAudience').click(()=> {
+    const file = $('#audienceFile')[0].files[0];
+    const name = $('#audienceName').val().trim() || (file ? file.name.replace(/\.[^.]+$/, '') : '');
+    if (!file) return toastr.warning('Pilih file CSV / XLSX');
+    const form = new FormData();
+    form.append('name', name);
+    form.append('file', file);
+    $('#btnImportAudience').prop('disabled', true);
+    $.ajax({ url: '/api/audiences', method: 'POST', data: form, processData: false, contentType: false })
+      .done(({ list, report }) => {
+        toastr.success(`Daftar "${list.name}": ${report.imported} nomor diimport`);
+        renderAudienceReport(report);
+        $('#audienceFile').val('');
+        $('#audienceName').val('');
+        socket.emit('list-audiences');
+        $('#broadcastList').data('select', String(list.id));
+      })
+      .fail(xhr => toastr.error(xhr.responseJSON?.error || 'Import gagal'))
+      .always(() => $('#btnImportAudience').prop('disabled', false));
+  });
+
+  $('#btnRefreshBroadcasts').click(()=> socket.emit('list-broadcasts', { sessionId: activeSession }));
+  $('#broadcastJobs').on('click', '.bc-action', function(){
+    const jobId = $(this).closest('.bc-item').data('id');
+    socket.emit('broadcast-' + $(this).data('action'), { jobId });
+  });
+
+  // Scheduled messages
+  $('#btnSchedule').click(()=> {
+    $('#scheduleTo').val($('#toInput').val().trim());
+    $('#scheduleMessage').val($('#messageInput').val().trim());
+    $('#modalSchedule').modal('show');
+  });
+  $('#btnDoSchedule').click(()=> {
+    const to = $('#scheduleTo').val().trim();
+    const message = $('#scheduleMessage').val().trim();
+    const at = $('#scheduleAt').val();
+    const cron = $('#scheduleCron').val().trim();
+    if (!to || !message) return toastr.warning('Nomor dan pesan diperlukan');
+    if (!at && !cron) return toastr.warning('Isi waktu kirim atau aturan cron');
+    const sendAt = at ? new Date(at).toISOString() : undefined;
+    socket.emit('schedule-message', { sessionId: activeSession, to, message, sendAt, cron: cron || undefined });
+    $('#modalSchedule').modal('hide');
+  });
+  $('#btnRefreshSchedules').click(()=> socket.emit('list-schedules', { sessionId: activeSession }));
+  $('#schedulesList').on('click', '.sch-cancel', function(){
+    const id = $(this).closest('.sch-item').data('id');
+    if (!confirm('Batalkan jadwal #' + id + '?')) return;
+    socket.emit('cancel-schedule', { id });
+  });
+
+  // Auto reply rules
+  $('#btnAddAutoReply').click(()=> openAutoReply(null));
+  $('#autoRepliesList').on('click', '.ar-edit', function(){
+    const id = $(this).closest('.ar-item').data('id');
+    openAutoReply(autoReplies.find(r => r.id === id));
+  });
+  $('#autoRepliesList').on('click', '.ar-delete', function(){
+    const id = $(this).closest('.ar-item').data('id');
+    if (!confirm('Hapus aturan auto reply?')) return;
+    socket.emit('delete-autoreply', { id, sessionId: activeSession });
+  });
+  $('#btnSaveAutoReply').click(()=> {
+    const rule = {
+      id: $('#arId').val() ? parseInt($('#arId').val(), 10) : undefined,
+      sessionId: activeSession,
+      name: $('#arName').val().trim() || null,
+      matchType: $('#arMatchType').val(),
+      chatScope: $('#arChatScope').val(),
+      pattern: $('#arPattern').val().trim(),
+      replyType: $('#arReplyType').val(),
+      replyText: $('#arReplyText').val().trim() || null,
+      templateId: $('#arReplyType').val() === 'template' ? parseInt($('#arTemplate').val(), 10) : null,
+      activeFrom: $('#arFrom').val() || null,
+      activeTo: $('#arTo').val() || null,
+      activeDays: $('#arDays').val().trim() || null,
+      priority: parseInt($('#arPriority').val() || '100', 10),
+      cooldownSeconds: parseInt($('#arCooldown').val() || '300', 10),
+      ignoreFromMe: $('#arIgnoreFromMe').is(':checked'),
+      enabled: $('#arEnabled').is(':checked')
+    };
+    if (!rule.pattern) return toastr.warning('Kata kunci diperlukan');
+    socket.emit('save-autoreply', rule);
+    $('#modalAutoReply').modal('hide');
   });
 
   // Templates
   $('#templatesList').on('click', '.tpl-use', function(){
-    const txt = $(this).closest('.tpl-item').data('text');
-    $('#messageInput').val(txt);
+    const id = $(this).closest('.tpl-item').data('id');
+    activeTemplate = templates.find(t => t.id === id) || null;
+    if (!activeTemplate) return;
+    $('#messageInput').val(activeTemplate.body);
     toastr.info('Template applied');
   });
+  $('#templatesList').on('click', '.tpl-delete', function(){
+    const id = $(this).closest('.tpl-item').data('id');
+    if (!confirm('Hapus template?')) return;
+    socket.emit('delete-template', { id });
+  });
   $('#btnAddTemplate').click(()=> {
-    const title = prompt('Title template');
-    const text = prompt('Template text');
-    if (title && text) {
-      const tpl = { id: Date.now(), title, text };
-      addTemplate(tpl);
-      toastr.success('Template added');
-    }
+    const name = prompt('Title template');
+    const body = prompt('Template text (variabel: {{name}}, {{invoice_no}}, ...)');
+    if (name && body) socket.emit('save-template', { name, body });
   });
 
   // helper UI functions
@@ -129,6 +513,8 @@ $(function(){
     const badge = (st === 'connected') ? '<span class="badge bg-success">connected</span>' :
                   (st === 'qr_received') ? '<span class="badge bg-warning text-dark">scan QR</span>' :
                   (st === 'logged_out') ? '<span class="badge bg-danger">logged_out</span>' :
+                  (st === 'failed') ? `<span class="badge bg-danger" title="${esc(s.error)}">gagal tersambung</span>` :
+                  (st === 'reconnecting') ? `<span class="badge bg-warning text-dark" title="${esc(s.error)}">reconnect #${esc(s.attempts)}${s.nextRetryAt ? ' · ' + new Date(s.nextRetryAt).toLocaleTimeString() : ''}</span>` :
                   '<span class="badge bg-secondary">'+st+'</span>';
     $('#waConnectionStatus').html('Status: ' + badge);
   }
@@ -138,14 +524,221 @@ $(function(){
     else $('#waConnectionStatus').html('Status: <span class="badge bg-secondary">'+state+'</span>');
   }
 
-  function appendInboxMessage(sessionId, from, text, outgoing=false){
-    const html = `<div class="list-group-item">
+  function esc(text){
+    return $('<div>').text(text ?? '').html();
+  }
+
+  // escaped text with the searched words marked
+  function highlight(text, q){
+    const words = String(q || '').replace(/"/g, ' ').split(/\s+/).filter(w => w.length > 1)
+      .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const html = esc(text);
+    return words.length ? html.replace(new RegExp(`(${words.join('|')})`, 'gi'), '<mark>$1</mark>') : html;
+  }
+
+  function loadChats(){
+    socket.emit('list-chats', { sessionId: activeSession, archived: $('#chatShowArchived').is(':checked'), q: $('#chatSearch').val().trim() || null });
+  }
+
+  function chatLabel(chat){
+    return chat.name || chat.jid.split('@')[0];
+  }
+
+  function renderChats(){
+    $('#chatList').empty();
+    if (!chats.length) return $('#chatList').append('<div class="muted small p-2">Belum ada percakapan</div>');
+    chats.forEach(c => {
+      const time = c.last_message_at ? new Date(c.last_message_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+      const unread = c.unread_count > 0 ? `<span class="badge rounded-pill bg-success ms-1">${c.unread_count}</span>` : '';
+      const icons = (c.pinned ? ' <i class="fa fa-thumbtack muted"></i>' : '') + (c.muted ? ' <i class="fa fa-bell-slash muted"></i>' : '');
+      $('#chatList').append(`<div class="list-group-item chat-item${c.jid === activeChat ? ' active' : ''}" data-jid="${esc(c.jid)}" role="button">
+        <div class="d-flex justify-content-between">
+          <strong class="text-truncate">${esc(chatLabel(c))}${icons}</strong>
+          <span class="muted small text-nowrap">${time}${unread}</span>
+        </div>
+        <div class="muted small text-truncate">${c.last_message_direction === 'out' ? 'You: ' : ''}${esc(c.last_message_text || '')}</div>
+      </div>`);
+    });
+  }
+
+  function renderChatHeader(chat){
+    $('#chatTitle').text(chat ? chatLabel(chat) : activeChat);
+    $('#btnChatPin').toggleClass('active', !!chat?.pinned);
+    $('#btnChatArchive').attr('title', chat?.archived ? 'Keluarkan dari arsip' : 'Arsip');
+  }
+
+  function openChat(jid){
+    activeChat = jid;
+    olderCursor = null;
+    setReplyTo(null);
+    const chat = chats.find(c => c.jid === jid);
+    renderChatHeader(chat);
+    $('#chatHeader, #chatReplyForm').removeClass('d-none');
+    activeContact = null;
+    $('#chatContact').addClass('d-none').empty();
+    if (!jid.endsWith('@g.us')) socket.emit('get-contact', { sessionId: activeSession, jid });
+    $('#chatMessages').html('<div class="muted small p-2">Memuat...</div>');
+    $('#chatList .chat-item').removeClass('active').filter((i, el) => $(el).data('jid') === jid).addClass('active');
+    socket.emit('get-history', { sessionId: activeSession, jid, limit: 50 });
+    if (chat?.unread_count > 0) socket.emit('mark-read', { sessionId: activeSession, jid, silent: true });
+  }
+
+  // message types without a file link get an icon in front of their text
+  const TYPE_ICONS = { location: 'fa-location-dot', contact: 'fa-address-card', poll: 'fa-square-poll-horizontal', reaction: 'fa-face-smile' };
+
+  // one bubble; row = messages row (or the same fields from a live event)
+  function renderChatMessage(row){
+    const outgoing = row.direction === 'out';
+    const time = new Date(row.created_at || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const media = row.media_id ? `<a class="msg-media me-1" href="/api/media/${row.media_id}" target="_blank"><i class="fa fa-paperclip"></i> ${esc(row.message_type && row.message_type !== 'document' ? row.message_type : (row.media_type || 'media'))}</a>` : '';
+    const icon = TYPE_ICONS[row.message_type] ? `<i class="fa ${TYPE_ICONS[row.message_type]} me-1" title="${row.message_type}"></i>` : '';
+    const quoted = row.quoted_id ? $(`#chatMessages [data-id="${row.quoted_id}"] .msg-text`).text() : '';
+    const operator = userRole !== 'viewer' && row.id && !row.deleted;
+    const actions = [
+      operator ? '<a class="msg-reply me-1" role="button" title="Balas"><i class="fa fa-reply"></i></a>' : '',
+      operator && outgoing && (row.message_type || 'text') === 'text' ? '<a class="msg-edit me-1" role="button" title="Edit"><i class="fa fa-pen"></i></a>' : '',
+      operator && outgoing ? '<a class="msg-revoke me-1" role="button" title="Hapus untuk semua orang"><i class="fa fa-trash"></i></a>' : ''
+    ].join('');
+    return `<div class="list-group-item chat-msg ${outgoing ? 'chat-msg-out' : ''} ${row.deleted ? 'msg-deleted' : ''}" data-id="${esc(row.id || '')}" data-wa-id="${esc(row.wa_id || '')}">
+      ${row.quoted_id ? `<div class="msg-quote muted small"><i class="fa fa-reply me-1"></i>${esc(quoted || `#${row.quoted_id}`)}</div>` : ''}
+      <div class="small">${icon}<span class="msg-text">${esc(row.text || '')}</span></div>
+      <div class="msg-meta muted small text-end">${actions}<span class="msg-state">${renderMsgState(row)}</span>${media}${time} ${outgoing ? renderTicks(row.status || 'sent', row.error) : ''}</div>
+    </div>`;
+  }
+
+  // edited / deleted: the event carries the new text and flags, the rest of the bubble stays as rendered
+  function updateChatMessage(m){
+    const item = $(`#chatMessages [data-id="${m.id}"]`);
+    if (!item.length) return;
+    item.find('.msg-text').text(m.text || '');
+    item.toggleClass('msg-deleted', !!m.deleted);
+    item.find('.msg-state').html(renderMsgState(m));
+    if (m.deleted) item.find('.msg-reply, .msg-edit, .msg-revoke').remove();
+  }
+
+  function renderMsgState(row){
+    if (row.deleted) return '<span class="msg-deleted-label me-1">dihapus</span>';
+    return row.edited_at ? '<a class="msg-edited me-1" role="button" title="Riwayat edit">diedit</a>' : '';
+  }
+
+  // the reply bar above the chat input
+  function setReplyTo(target){
+    replyTo = target?.id ? target : null;
+    $('#chatReplyQuote').toggleClass('d-none', !replyTo).find('span').text(replyTo ? (replyTo.text || `#${replyTo.id}`) : '');
+  }
+
+  function appendChatMessage(row){
+    const box = $('#chatMessages');
+    const atBottom = box[0].scrollHeight - box.scrollTop() - box.innerHeight() < 40;
+    box.append(renderChatMessage(row));
+    if (atBottom) box.scrollTop(box[0].scrollHeight);
+  }
+
+  function chatItem(waId){
+    return waId ? $(`#chatMessages [data-wa-id="${waId}"]`) : $();
+  }
+
+  // pending ⏱, sent ✓, delivered ✓✓, read ✓✓ (blue), failed !
+  function renderTicks(status, error){
+    const icons = {
+      pending: '<i class="fa fa-clock"></i>',
+      sent: '<i class="fa fa-check"></i>',
+      delivered: '<i class="fa fa-check-double"></i>',
+      read: '<i class="fa fa-check-double text-info"></i>',
+      failed: '<i class="fa fa-circle-exclamation text-danger"></i>'
+    };
+    const title = status === 'failed' && error ? `failed: ${error}` : status;
+    return `<span class="msg-status ms-1" title="${title}">${icons[status] || ''}</span>`;
+  }
+
+  function renderBroadcastJob(job){
+    const actions = [];
+    if (['running','waiting','queued'].includes(job.status)) actions.push('pause');
+    if (['paused','waiting'].includes(job.status)) actions.push('resume');
+    if (!['completed','cancelled'].includes(job.status)) actions.push('cancel');
+    const html = `<div class="list-group-item bc-item" data-id="${job.id}">
+      <div class="d-flex justify-content-between">
+        <strong>#${job.id} · ${job.session_id}</strong>
+        <span class="badge bg-secondary">${job.status}</span>
+      </div>
+      <div class="muted small">${job.sent}/${job.total} terkirim, ${job.failed} gagal</div>
+      <div class="d-flex gap-1 mt-1">
+        ${actions.map(a => `<button class="btn btn-sm btn-outline-light bc-action" data-action="${a}">${a}</button>`).join('')}
+      </div>
+    </div>`;
+    const existing = $(`#broadcastJobs .bc-item[data-id="${job.id}"]`);
+    if (existing.length) existing.replaceWith(html);
+    else $('#broadcastJobs').prepend(html);
+  }
+
+  function renderSchedule(row){
+    const when = row.run_at ? new Date(row.run_at).toLocaleString() : '-';
+    const html = `<div class="list-group-item sch-item" data-id="${row.id}">
       <div class="d-flex justify-content-between">
-        <div><strong>${outgoing? 'You → ' + from : from}</strong><div class="muted small">${text}</div></div>
-        <div class="muted small">${new Date().toLocaleTimeString()}</div>
+        <strong>#${row.id} → ${row.recipient.split('@')[0]}</strong>
+        <span class="badge bg-secondary">${row.status}</span>
       </div>
+      <div class="muted small">${when}${row.cron ? ' · ' + row.cron : ''}</div>
+      <div class="muted small">${(row.text || (row.has_media ? '[media]' : '')).substring(0,60)}</div>
+      ${row.status === 'pending' ? '<button class="btn btn-sm btn-outline-danger mt-1 sch-cancel">cancel</button>' : ''}
     </div>`;
-    $('#inbox').prepend(html);
+    const existing = $(`#schedulesList .sch-item[data-id="${row.id}"]`);
+    if (existing.length) existing.replaceWith(html);
+    else $('#schedulesList').append(html);
+  }
+
+  function renderAutoReplies(){
+    $('#autoRepliesList').empty();
+    autoReplies.forEach(r => {
+      const window = r.active_from ? ` · ${r.active_from.substring(0,5)}-${r.active_to.substring(0,5)}` : '';
+      $('#autoRepliesList').append(`<div class="list-group-item ar-item" data-id="${r.id}">
+        <div class="d-flex justify-content-between">
+          <strong>${r.name || r.pattern}</strong>
+          <span class="badge ${r.enabled ? 'bg-success' : 'bg-secondary'}">${r.enabled ? 'on' : 'off'}</span>
+        </div>
+        <div class="muted small">${r.match_type}: ${r.pattern} · ${r.chat_scope}${window} · p${r.priority}</div>
+        <div class="d-flex gap-1 mt-1">
+          <button class="btn btn-sm btn-outline-light ar-edit">edit</button>
+          <button class="btn btn-sm btn-outline-danger ar-delete"><i class="fa fa-trash"></i></button>
+        </div>
+      </div>`);
+    });
+  }
+
+  function openAutoReply(r){
+    $('#arTemplate').html(templates.map(t => `<option value="${t.id}">${t.name}</option>`).join(''));
+    $('#arId').val(r?.id || '');
+    $('#arName').val(r?.name || '');
+    $('#arMatchType').val(r?.match_type || 'contains');
+    $('#arChatScope').val(r?.chat_scope || 'all');
+    $('#arPattern').val(r?.pattern || '');
+    $('#arReplyType').val(r?.reply_type || 'text');
+    if (r?.template_id) $('#arTemplate').val(r.template_id);
+    $('#arReplyText').val(r?.reply_text || '');
+    $('#arFrom').val(r?.active_from ? r.active_from.substring(0,5) : '');
+    $('#arTo').val(r?.active_to ? r.active_to.substring(0,5) : '');
+    $('#arDays').val(r?.active_days || '');
+    $('#arPriority').val(r?.priority ?? 100);
+    $('#arCooldown').val(r?.cooldown_seconds ?? 300);
+    $('#arIgnoreFromMe').prop('checked', r ? !!r.ignore_from_me : true);
+    $('#arEnabled').prop('checked', r ? !!r.enabled : true);
+    $('#modalAutoReply').modal('show');
+  }
+
+  function renderAudienceInfo(){
+    const list = audiences.find(a => String(a.id) === $('#broadcastList').val());
+    $('#broadcastManual').toggleClass('d-none', !!list);
+    $('#broadcastListInfo').toggleClass('d-none', !list)
+      .html(list ? `${list.total} nomor${list.columns.length ? ' · variabel: ' + list.columns.map(c => esc('{{' + c + '}}')).join(' ') : ''}` : '');
+  }
+
+  function renderAudienceReport(r){
+    const invalid = r.invalid.map(i => `<li>baris ${i.row}: ${esc(i.value) || '(kosong)'} — ${esc(i.reason)}</li>`).join('');
+    $('#audienceReport').html(`
+      <div>${r.rows} baris · <span class="text-success">${r.imported} baru</span> · ${r.updated} diperbarui · ${r.duplicates} duplikat ·
+        <span class="${r.invalidCount ? 'text-warning' : ''}">${r.invalidCount} tidak valid</span> (kolom nomor: ${esc(r.phoneColumn)})</div>
+      ${invalid ? `<ul class="muted mb-0" style="max-height:120px; overflow:auto;">${invalid}</ul>` : ''}
+      ${r.invalidCount > r.invalid.length ? `<div class="muted">... dan ${r.invalidCount - r.invalid.length} lainnya</div>` : ''}`);
   }
 
   function addLog(txt){
@@ -153,24 +746,36 @@ $(function(){
     $('#logs').prepend(`[${t}] ${txt}\n`);
   }
 
-  // templates storage (local)
-  const TPL_KEY = 'wa_bot_templates_v1';
+  // templates (stored on the server)
   function renderTemplates(){
-    const stored = JSON.parse(localStorage.getItem(TPL_KEY) || '[]');
     $('#templatesList').empty();
-    (stored || []).forEach(t => {
-      $('#templatesList').append(`<div class="list-group-item tpl-item d-flex justify-content-between align-items-center" data-text="${t.text}">
-        <div><strong>${t.title}</strong><div class="muted small">${t.text.substring(0,80)}${t.text.length>80?'...':''}</div></div>
-        <div><button class="btn btn-sm btn-outline-light tpl-use">Use</button></div>
+    templates.forEach(t => {
+      const vars = t.variables.length ? `<div class="muted small">${t.variables.map(v => '{{'+v+'}}').join(' ')}</div>` : '';
+      $('#templatesList').append(`<div class="list-group-item tpl-item d-flex justify-content-between align-items-center" data-id="${t.id}">
+        <div><strong>${t.name}</strong><div class="muted small">${t.body.substring(0,80)}${t.body.length>80?'...':''}</div>${vars}</div>
+        <div class="d-flex gap-1">
+          <button class="btn btn-sm btn-outline-light tpl-use">Use</button>
+          <button class="btn btn-sm btn-outline-danger tpl-delete"><i class="fa fa-trash"></i></button>
+        </div>
       </div>`);
     });
   }
-  function addTemplate(t){
+
+  function askVariables(tpl){
+    const variables = {};
+    for (const name of tpl.variables) {
+      const v = prompt(`Nilai untuk {{${name}}}`);
+      if (v === null) return null;
+      variables[name] = v;
+    }
+    return variables;
+  }
+
+  // one-time move of templates saved by older versions in localStorage
+  function importLocalTemplates(){
+    const TPL_KEY = 'wa_bot_templates_v1';
     const stored = JSON.parse(localStorage.getItem(TPL_KEY) || '[]');
-    stored.unshift(t);
-    localStorage.setItem(TPL_KEY, JSON.stringify(stored));
-    renderTemplates();
+    (stored || []).forEach(t => socket.emit('save-template', { name: t.title, body: t.text }));
+    localStorage.removeItem(TPL_KEY);
   }
-  // initial render
-  renderTemplates();
 });
@@ -1,68 +1,159 @@
 // public/js/login.js
 $(function(){
   toastr.options = { "positionClass": "toast-bottom-right", "timeOut": 3000 };
-  const socket = io();
+  let socket = null;
+  let pairingTimer = null;
 
   const sessionInput = $('#sessionInput');
-  const DEFAULT_SESSION = sessionInput.val() || 'main';
+  const pairingPhoneInput = $('#pairingPhoneInput');
+  const usePairingCode = () => $('input[name="linkMethod"]:checked').val() === 'code';
 
-  function startSession(sid = DEFAULT_SESSION) {
+  // already logged in? go straight to the link step
+  $.getJSON('/auth/me')
+    .done(user => showLinkStep(user))
+    .fail(() => $('#loginStep').removeClass('d-none'));
+
+  $('#loginForm').submit(function(e){
+    e.preventDefault();
+    const username = $('#usernameInput').val().trim();
+    const password = $('#passwordInput').val();
+    $('#btnLogin').prop('disabled', true);
+    $.ajax({ url: '/auth/login', method: 'POST', contentType: 'application/json', data: JSON.stringify({ username, password }) })
+      .done(res => {
+        toastr.success('Selamat datang, ' + res.user.username);
+        $('#loginStep').addClass('d-none');
+        showLinkStep(res.user);
+      })
+      .fail(xhr => toastr.error(xhr.responseJSON?.error || 'Login gagal'))
+      .always(() => $('#btnLogin').prop('disabled', false));
+  });
+
+  $('#btnLogout').click(()=> {
+    $.post('/auth/logout').always(() => window.location.href = '/login.html');
+  });
+
+  function showLinkStep(user){
+    $('#userInfo').text(`${user.username} (${user.role})`);
+    $('#btnLogout').removeClass('d-none');
+    // viewers cannot link sessions
+    if (user.role === 'viewer') return window.location.href = '/dashboard.html';
+    $('#linkStep').removeClass('d-none');
+    connectSocket();
+  }
+
+  function startSession(sid) {
     socket.emit('start-session', { sessionId: sid });
     log(`Requested start-session: ${sid}`);
+    $('#statusBadge').removeClass().addClass('badge bg-secondary').text('loading');
     $('#btnRequestQr').prop('disabled', true);
     setTimeout(()=> $('#btnRequestQr').prop('disabled', false), 2000);
   }
 
-  // auto-start on load with default session
-  startSession(DEFAULT_SESSION);
+  // pairing code instead of QR: the code is typed on the phone (Perangkat Tertaut → Tautkan dengan nomor telepon)
+  function requestPairingCode(sid) {
+    const phone = pairingPhoneInput.val().replace(/[^0-9]/g, '');
+    if (!phone) return toastr.warning('Isi nomor WhatsApp yang akan ditautkan');
+    socket.emit('request-pairing-code', { sessionId: sid, phone });
+    log(`Requested pairing code: ${sid}`);
+    $('#statusBadge').removeClass().addClass('badge bg-secondary').text('loading');
+    $('#statusText').text('Menyiapkan kode pairing...');
+    $('#btnRequestQr, #btnNewPairingCode').prop('disabled', true);
+    setTimeout(()=> $('#btnRequestQr, #btnNewPairingCode').prop('disabled', false), 2000);
+  }
 
-  socket.on('qr', (payload) => {
-    const data = (payload && payload.qr) ? payload.qr : payload;
-    $('#qrBox').html(`<img src="${data}" style="max-width:240px;"/>`);
-    $('#statusBadge').removeClass().addClass('badge bg-warning').text('QR ready');
-    $('#statusText').text('Silakan scan QR dengan WhatsApp di HP');
-    toastr.info('QR diperbarui — scan sekarang');
-    $('#btnGoDashboard').prop('disabled', false);
-  });
+  function showPairingCode(p) {
+    clearInterval(pairingTimer);
+    $('#pairingCode').text(p.code).removeClass('text-decoration-line-through muted');
+    $('#btnNewPairingCode').addClass('d-none');
+    $('#statusBadge').removeClass().addClass('badge bg-warning').text('Kode siap');
+    $('#statusText').text(`Di HP ${p.phone}: WhatsApp → Perangkat Tertaut → Tautkan perangkat → Tautkan dengan nomor telepon, lalu masukkan kode ini.`);
+    const tick = () => {
+      const left = Math.round((new Date(p.expiresAt) - Date.now()) / 1000);
+      if (left > 0) return $('#pairingExpiry').text(`Berlaku ${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')} lagi`);
+      clearInterval(pairingTimer);
+      $('#pairingCode').addClass('text-decoration-line-through muted');
+      $('#pairingExpiry').text('Kode kedaluwarsa');
+      $('#btnNewPairingCode').removeClass('d-none');
+    };
+    tick();
+    pairingTimer = setInterval(tick, 1000);
+  }
 
-  socket.on('ready', (payload) => {
-    const id = payload?.id || payload?.user?.id || DEFAULT_SESSION;
-    toastr.success('WhatsApp connected ('+id+') — redirecting...');
-    $('#statusBadge').removeClass().addClass('badge bg-success').text('Connected');
-    $('#statusText').text('Tersambung');
-    setTimeout(() => window.location.href = '/dashboard.html', 800);
-  });
+  function connectSocket(){
+    socket = io();
 
-  socket.on('session', (s) => {
-    // update sessions list or a single session
-    const id = s?.id;
-    if (!id) return;
-    const itemHtml = `<div class="list-group-item d-flex justify-content-between align-items-center" data-id="${id}">
-      <div><strong>${id}</strong><div class="muted small">${s.phone_number || ''}</div></div>
-      <div class="muted small">${s.status || ''}</div>
-    </div>`;
-    const existing = $(`#sessionsList [data-id="${id}"]`);
-    if (existing.length) existing.replaceWith(itemHtml);
-    else $('#sessionsList').prepend(itemHtml);
-  });
+    socket.on('connect', () => socket.emit('list-sessions'));
+    socket.on('connect_error', (err) => {
+      if (err?.message === 'unauthorized') window.location.href = '/login.html';
+    });
 
-  socket.on('sessions-list', (rows) => {
-    $('#sessionsList').empty();
-    (rows||[]).forEach(r => {
-      $('#sessionsList').append(`<div class="list-group-item d-flex justify-content-between align-items-center" data-id="${r.session_id}">
-        <div><strong>${r.session_id}</strong><div class="muted small">${r.phone_number||''}</div></div>
-        <div class="muted small">${r.status}</div>
-      </div>`);
+    socket.on('qr', (payload) => {
+      if (usePairingCode()) return;
+      const data = (payload && payload.qr) ? payload.qr : payload;
+      $('#qrBox').html(`<img src="${data}" style="max-width:240px;"/>`);
+      $('#statusBadge').removeClass().addClass('badge bg-warning').text('QR ready');
+      $('#statusText').text('Silakan scan QR dengan WhatsApp di HP');
+      toastr.info('QR diperbarui — scan sekarang');
+      $('#btnGoDashboard').prop('disabled', false);
+    });
+
+    socket.on('pairing-code', (p) => {
+      if (!p?.code) return;
+      showPairingCode(p);
+      toastr.info('Kode pairing siap untuk sesi ' + p.sessionId);
+      $('#btnGoDashboard').prop('disabled', false);
+    });
+
+    socket.on('session-connected', (payload) => {
+      clearInterval(pairingTimer);
+      const id = payload?.sessionId || payload?.user?.id;
+      toastr.success('WhatsApp connected ('+id+') — redirecting...');
+      $('#statusBadge').removeClass().addClass('badge bg-success').text('Connected');
+      $('#statusText').text('Tersambung');
+      setTimeout(() => window.location.href = '/dashboard.html', 800);
     });
-    $('#connectedCount').text('Sessions: ' + (rows?.length||0));
-  });
 
-  socket.on('error', (err) => { toastr.error(err || 'Error dari server'); });
+    socket.on('session', (s) => {
+      // update sessions list or a single session
+      const id = s?.id;
+      if (!id) return;
+      const itemHtml = `<div class="list-group-item d-flex justify-content-between align-items-center" data-id="${id}">
+        <div><strong>${id}</strong><div class="muted small">${s.phone_number || ''}</div></div>
+        <div class="muted small">${s.status || ''}</div>
+      </div>`;
+      const existing = $(`#sessionsList [data-id="${id}"]`);
+      if (existing.length) existing.replaceWith(itemHtml);
+      else $('#sessionsList').prepend(itemHtml);
+    });
+
+    socket.on('sessions-list', (rows) => {
+      $('#sessionsList').empty();
+      (rows||[]).forEach(r => {
+        $('#sessionsList').append(`<div class="list-group-item d-flex justify-content-between align-items-center" data-id="${r.session_id}">
+          <div><strong>${r.session_id}</strong><div class="muted small">${r.phone_number||''}</div></div>
+          <div class="muted small">${r.status}</div>
+        </div>`);
+      });
+      $('#connectedCount').text('Sessions: ' + (rows?.length||0));
+    });
+
+    socket.on('error-message', (err) => { toastr.error(err || 'Error dari server'); });
+  }
 
   // UI buttons
-  $('#btnRequestQr').click(()=> startSession(sessionInput.val() || 'main'));
+  $('#btnRequestQr').click(()=> usePairingCode() ? requestPairingCode(sessionInput.val() || 'main') : startSession(sessionInput.val() || 'main'));
+  $('#btnNewPairingCode').click(()=> requestPairingCode(sessionInput.val() || 'main'));
+  $('input[name="linkMethod"]').change(()=> {
+    const code = usePairingCode();
+    pairingPhoneInput.toggleClass('d-none', !code);
+    $('#qrBox').toggleClass('d-none', code);
+    $('#pairingBox').toggleClass('d-none', !code);
+    $('#btnRequestQr').text(code ? 'Minta kode' : 'Minta QR');
+    $('#statusText').text(code ? 'Isi ID sesi dan nomor WhatsApp, lalu minta kode.' : 'Pilih ID sesi lalu minta QR.');
+  });
   $('#btnGoDashboard, #btnGoDashboard2').click(()=> window.location.href = '/dashboard.html');
-  $('#btnRefresh').click(()=> socket.emit('list-sessions'));
+  $('#btnRefresh').click(()=> socket && socket.emit('list-sessions'));
+  $('#sessionsList').on('click', '[data-id]', function(){ sessionInput.val($(this).data('id')); });
 
   function log(m){ console.log('[login] ', m); }
 });
@@ -0,0 +1,196 @@
+// api-keys.js
+const crypto = require('crypto');
+
+/**
+ * Configuration
+ */
+const API_KEY_DEFAULT_RATE = parseInt(process.env.RATE_MAX_REQUESTS || '120', 10); // requests per window
+const API_KEY_RATE_WINDOW_MS = parseInt(process.env.RATE_WINDOW_MINUTES || '1', 10) * 60 * 1000;
+const API_KEY_CACHE_MS = 30 * 1000;
+
+// send = send/broadcast/schedule + managing templates & rules, read = GET only, admin = everything
+const SCOPES = ['read', 'send', 'admin'];
+// role a route needs (see requireRole in app.js) -> scopes that satisfy it
+const ROLE_SCOPES = { viewer: ['read', 'admin'], operator: ['send', 'admin'], admin: ['admin'] };
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+  return list.length ? list : null;
+}
+
+function toPublic(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    label: row.label,
+    prefix: row.key_prefix,
+    scopes: String(row.scopes || '').split(',').filter(Boolean),
+    sessions: row.sessions ? String(row.sessions).split(',') : null,
+    rateLimit: row.rate_limit,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    lastUsedAt: row.last_used_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * API keys
+ * - only sha256(key) is stored; the plain key is returned once on creation
+ * - each key has scopes, an optional session allow-list, its own rate limit, expiry and revocation
+ */
+function createApiKeyService({ pool, logger }) {
+  const cache = new Map();    // key hash -> { row, at }
+  const windows = new Map();  // bucket -> { start, count }
+  const touched = new Map();  // key id -> last last_used_at write
+
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  function validate({ scopes, rateLimit, expiresAt }) {
+    if (scopes !== undefined) {
+      const list = parseList(scopes);
+      if (!list) throw new Error('at least one scope required');
+      const bad = list.filter(s => !SCOPES.includes(s));
+      if (bad.length) throw new Error(`unknown scopes: ${bad.join(', ')} (allowed: ${SCOPES.join(', ')})`);
+    }
+    if (rateLimit !== undefined && rateLimit !== null && (!Number.isInteger(+rateLimit) || +rateLimit < 1)) {
+      throw new Error('rateLimit must be a positive integer');
+    }
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) throw new Error('invalid expiresAt');
+  }
+
+  async function list() {
+    const rows = await query(`SELECT * FROM api_keys ORDER BY id DESC`);
+    return rows.map(toPublic);
+  }
+
+  async function get(id) {
+    const rows = await query(`SELECT * FROM api_keys WHERE id=?`, [id]);
+    return toPublic(rows[0]);
+  }
+
+  async function create({ label, scopes = ['read'], sessions = null, rateLimit = null, expiresAt = null, createdBy = null, key = null }) {
+    if (!label) throw new Error('label required');
+    validate({ scopes, rateLimit, expiresAt });
+    const plain = key || `wak_${crypto.randomBytes(24).toString('base64url')}`;
+    const res = await query(
+      `INSERT INTO api_keys (label, key_prefix, key_hash, scopes, sessions, rate_limit, expires_at, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [label, plain.slice(0, 8), sha256(plain), parseList(scopes).join(','), parseList(sessions)?.join(',') || null,
+        rateLimit ? +rateLimit : API_KEY_DEFAULT_RATE, expiresAt ? new Date(expiresAt) : null, createdBy]);
+    return { ...(await get(res.insertId)), key: plain };
+  }
+
+  async function update(id, { label, scopes, sessions, rateLimit, expiresAt } = {}) {
+    const current = await get(id);
+    if (!current) return null;
+    validate({ scopes, rateLimit, expiresAt });
+    const sets = [];
+    const params = [];
+    if (label !== undefined) { sets.push('label=?'); params.push(label); }
+    if (scopes !== undefined) { sets.push('scopes=?'); params.push(parseList(scopes).join(',')); }
+    if (sessions !== undefined) { sets.push('sessions=?'); params.push(parseList(sessions)?.join(',') || null); }
+    if (rateLimit !== undefined) { sets.push('rate_limit=?'); params.push(rateLimit ? +rateLimit : API_KEY_DEFAULT_RATE); }
+    if (expiresAt !== undefined) { sets.push('expires_at=?'); params.push(expiresAt ? new Date(expiresAt) : null); }
+    if (sets.length) {
+      params.push(id);
+      await query(`UPDATE api_keys SET ${sets.join(', ')} WHERE id=?`, params);
+    }
+    cache.clear();
+    return get(id);
+  }
+
+  async function revoke(id) {
+    const res = await query(`UPDATE api_keys SET revoked_at=NOW() WHERE id=? AND revoked_at IS NULL`, [id]);
+    cache.clear();
+    return res.affectedRows > 0 ? get(id) : null;
+  }
+
+  async function remove(id) {
+    const res = await query(`DELETE FROM api_keys WHERE id=?`, [id]);
+    cache.clear();
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * resolve a presented key; returns the row or null (unknown, revoked or expired)
+   */
+  async function verify(plain) {
+    if (!plain) return null;
+    const hash = sha256(plain);
+    let hit = cache.get(hash);
+    if (!hit || Date.now() - hit.at > API_KEY_CACHE_MS) {
+      const rows = await query(`SELECT * FROM api_keys WHERE key_hash=?`, [hash]);
+      hit = { row: rows[0] || null, at: Date.now() };
+      cache.set(hash, hit);
+    }
+    const row = hit.row;
+    if (!row || row.revoked_at) return null;
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) return null;
+
+    // last_used_at at most once a minute per key
+    if (Date.now() - (touched.get(row.id) || 0) > 60 * 1000) {
+      touched.set(row.id, Date.now());
+      query(`UPDATE api_keys SET last_used_at=NOW() WHERE id=?`, [row.id])
+        .catch(err => logger.error(`api key touch err: ${err?.message || err}`));
+    }
+    return toPublic(row);
+  }
+
+  function allows(key, role) {
+    return (ROLE_SCOPES[role] || ['admin']).some(s => key.scopes.includes(s));
+  }
+
+  function allowsSession(key, sessionId) {
+    return !key.sessions || key.sessions.includes(String(sessionId));
+  }
+
+  /**
+   * fixed-window counter; returns { allowed, limit, remaining, resetMs }
+   */
+  function consume(bucket, limit = API_KEY_DEFAULT_RATE) {
+    const now = Date.now();
+    if (windows.size > 10000) {
+      for (const [k, v] of windows) if (now - v.start >= API_KEY_RATE_WINDOW_MS) windows.delete(k);
+    }
+    let w = windows.get(bucket);
+    if (!w || now - w.start >= API_KEY_RATE_WINDOW_MS) {
+      w = { start: now, count: 0 };
+      windows.set(bucket, w);
+    }
+    w.count++;
+    return {
+      allowed: w.count <= limit,
+      limit,
+      remaining: Math.max(limit - w.count, 0),
+      resetMs: w.start + API_KEY_RATE_WINDOW_MS - now
+    };
+  }
+
+  /**
+   * first boot (no keys yet): keep a legacy API_KEY env working by importing it as an admin key
+   */
+  async function importLegacyKey(legacyKey) {
+    if (!legacyKey) return;
+    // only into an empty table: a deleted legacy key must not come back (with admin rights) on the next boot
+    const [{ n }] = await query(`SELECT COUNT(*) AS n FROM api_keys`);
+    if (n > 0) return;
+    await create({ label: 'legacy API_KEY', scopes: ['admin'], key: legacyKey, createdBy: 'env' });
+    logger.warn('Imported API_KEY from env as an admin-scoped key; create scoped keys via /api/keys and remove API_KEY');
+  }
+
+  return { list, get, create, update, revoke, remove, verify, allows, allowsSession, consume, importLegacyKey };
+}
+
+module.exports = { createApiKeyService, SCOPES };
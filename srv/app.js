@@ -9,17 +9,46 @@ const multer = require('multer');
 const qrcode = require('qrcode');
 const pino = require('pino');
 const rateLimit = require('express-rate-limit');
-const { default: makeWASocket, fetchLatestBaileysVersion, DisconnectReason, Browsers } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, fetchLatestBaileysVersion, DisconnectReason, Browsers, generateMessageIDV2, downloadMediaMessage } = require('@whiskeysockets/baileys');
 const mysql = require('mysql2/promise');
-const { useMySQLAuthState, clearSession } = require('./mysql-auth'); // implementasi mysql-auth.js kita
+const { useMySQLAuthState, clearSession, importAuthFolders } = require('./mysql-auth');
+const { createWebhookService } = require('./webhooks');
+const { createBroadcastService } = require('./broadcasts');
+const { createSchedulerService } = require('./scheduler');
+const { createTemplateService } = require('./templates');
+const { createAutoReplyService } = require('./autoreply');
+const { createAuthService, hasRole } = require('./auth');
+const { createApiKeyService } = require('./api-keys');
+const { buildSpec, createValidator, PARAM_NAMES } = require('./openapi');
+const { createMediaService, parseRange, inlineAllowed } = require('./media');
+const { createMediaArchiver, mediaContent } = require('./media-archive');
+const { createChatService } = require('./chats');
+const { createContactService } = require('./contacts');
+const { createAudienceService } = require('./audiences');
+const { createMessageSearch } = require('./search');
+const { createExportService, FORMATS: EXPORT_FORMATS } = require('./export');
+const { createMetrics } = require('./metrics');
+const { createSendLimiter } = require('./send-limiter');
+const { createMigrator } = require('./migrate');
+const { parsePayload, buildContent, storedFields, incomingType, messageText, protocolChange, fileMime } = require('./outgoing');
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
 /**
  * Configuration
  */
 const PORT = process.env.PORT || 3000;
-const AUTH_BASE = path.join(__dirname, 'auth_info'); // (fallback storage, not used when using mysql-auth)
-if (!fs.existsSync(AUTH_BASE)) fs.mkdirSync(AUTH_BASE, { recursive: true });
+const QR_WAIT_MS = parseInt(process.env.QR_WAIT_SECONDS || '20', 10) * 1000; // POST /api/sessions waits this long for a QR
+const MEDIA_CACHE_SIZE = parseInt(process.env.MEDIA_CACHE_SIZE || '500', 10);   // recent media messages kept per session for download
+const RECONNECT_BASE_MS = parseInt(process.env.RECONNECT_BASE_MS || '2000', 10);    // first retry after a dropped connection, doubled per attempt
+const RECONNECT_MAX_MS = parseInt(process.env.RECONNECT_MAX_MS || '300000', 10);    // longest wait between retries
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS || '10', 10); // then the session is marked failed (0 = retry forever)
+const PAIRING_CODE_TTL_MS = parseInt(process.env.PAIRING_CODE_TTL_SECONDS || '180', 10) * 1000; // how long a pairing code is shown as valid
+const SESSION_RESTORE_STAGGER_MS = parseInt(process.env.SESSION_RESTORE_STAGGER_MS || '1500', 10); // pause between sessions restored at boot
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10);
+const MESSAGE_EDIT_WINDOW_MS = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15', 10) * 60 * 1000;    // WhatsApp refuses edits after this
+const MESSAGE_REVOKE_WINDOW_MS = parseInt(process.env.MESSAGE_REVOKE_WINDOW_HOURS || '60', 10) * 3600 * 1000; // and deletes for everyone after this
+// legacy useMultiFileAuthState folders (this server's and main.js'); moved into auth_state at startup
+const LEGACY_AUTH_DIRS = [path.join(__dirname, 'auth_info'), path.join(__dirname, '..', 'auth_info')];
 
 /**
  * Init DB (auto-create DB + tables if needed)
@@ -31,6 +60,22 @@ const DB_HOST = process.env.DB_HOST || 'localhost';
 const DB_PORT = process.env.DB_PORT || 3306;
 
 let pool;
+let webhooks;
+let broadcasts;
+let scheduler;
+let templates;
+let autoReplies;
+let auth;
+let apiKeys;
+let media;
+let mediaArchive;
+let chats;
+let contacts;
+let audiences;
+let messageSearch;
+let exporter;
+let sendLimiter;
+
 async function initDB() {
   // create DB if not exists (connect without database)
   const admin = await mysql.createConnection({ host: DB_HOST, user: DB_USER, password: DB_PASS, port: DB_PORT });
@@ -47,35 +92,8 @@ async function initDB() {
     queueLimit: 0
   });
 
-  // ensure tables
-  const conn = await pool.getConnection();
-  try {
-    await conn.query(`
-      CREATE TABLE IF NOT EXISTS sessions (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        session_id VARCHAR(150) NOT NULL UNIQUE,
-        phone_number VARCHAR(80) DEFAULT NULL,
-        status ENUM('loading','qr_received','connected','disconnected','logged_out') DEFAULT 'loading',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      )
-    `);
-    await conn.query(`
-      CREATE TABLE IF NOT EXISTS messages (
-        id BIGINT AUTO_INCREMENT PRIMARY KEY,
-        session_id VARCHAR(150) DEFAULT NULL,
-        direction ENUM('in','out') NOT NULL,
-        from_who VARCHAR(150) DEFAULT NULL,
-        to_who VARCHAR(150) DEFAULT NULL,
-        text TEXT,
-        media_type VARCHAR(50) DEFAULT NULL,
-        media_base64 LONGTEXT DEFAULT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-  } finally {
-    conn.release();
-  }
+  // schema: srv/migrations, see migrate.js
+  await createMigrator({ pool, logger }).migrate();
   logger.info('DB initialized');
 }
 
@@ -89,14 +107,16 @@ const sessionStore = {
       await conn.query(`
         INSERT INTO sessions (session_id, phone_number, status)
         VALUES (?, ?, ?)
-        ON DUPLICATE KEY UPDATE phone_number=VALUES(phone_number), status=VALUES(status), updated_at=CURRENT_TIMESTAMP
+        ON DUPLICATE KEY UPDATE phone_number=COALESCE(VALUES(phone_number), phone_number), status=VALUES(status), updated_at=CURRENT_TIMESTAMP
       `, [sessionId, phone, status]);
     } finally { conn.release(); }
   },
-  async updateStatus(sessionId, status) {
+  // attempts / nextRetryAt / error describe a reconnect in progress (or the one that failed); other statuses clear them
+  async updateStatus(sessionId, status, { attempts = 0, nextRetryAt = null, error = null } = {}) {
     const conn = await pool.getConnection();
     try {
-      await conn.query(`UPDATE sessions SET status=? WHERE session_id=?`, [status, sessionId]);
+      await conn.query(`UPDATE sessions SET status=?, reconnect_attempts=?, next_retry_at=?, last_error=? WHERE session_id=?`,
+        [status, attempts, nextRetryAt, error ? String(error).slice(0, 255) : null, sessionId]);
     } finally { conn.release(); }
   },
   async list() {
@@ -108,18 +128,138 @@ const sessionStore = {
   }
 };
 
+/**
+ * outgoing message status only moves forward: pending -> sent -> delivered -> read
+ * failed is reachable from pending / sent (a late error after delivery is ignored)
+ */
+const MESSAGE_STATUS_FROM = {
+  sent: ['pending'],
+  delivered: ['pending', 'sent'],
+  read: ['pending', 'sent', 'delivered'],
+  failed: ['pending', 'sent']
+};
+// a later status implies the earlier timestamps
+const MESSAGE_STATUS_COLUMNS = {
+  sent: ['sent_at'],
+  delivered: ['sent_at', 'delivered_at'],
+  read: ['sent_at', 'delivered_at', 'read_at'],
+  failed: ['failed_at']
+};
+
+// everything but the legacy media_base64 blob (migrated into the media store by media.migrateLegacy)
+const MESSAGE_COLUMNS = 'id, session_id, direction, chat_jid, from_who, to_who, text, message_type, quoted_id, meta, edited_at, deleted, deleted_at, media_type, media_id, wa_id, status, sent_at, delivered_at, read_at, failed_at, error, created_at';
+
 const messageStore = {
-  async insert({ sessionId=null, direction='in', from=null, to=null, text=null, media_type=null, media_base64=null }) {
+  /**
+   * chatJid = the conversation (remote jid); the chat row is updated along with every insert
+   * type = message type (outgoing.js), quotedId = stored message it replies / reacts to, meta = JSON string
+   */
+  async insert({ sessionId=null, direction='in', chatJid=null, from=null, to=null, text=null, type='text', quotedId=null, meta=null, media_type=null, mediaId=null, waId=null, status=null, fromMe=false, name=null }) {
+    const conn = await pool.getConnection();
+    let id;
+    try {
+      const [res] = await conn.query(`INSERT INTO messages (session_id, direction, chat_jid, from_who, to_who, text, message_type, quoted_id, meta, media_type, media_id, wa_id, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [sessionId, direction, chatJid, from, to, text, type, quotedId, meta, media_type ? String(media_type).slice(0, 150) : null, mediaId, waId, status]);
+      id = res.insertId;
+    } finally { conn.release(); }
+    metrics.messageStored({ sessionId, direction, mediaType: media_type });
+    if (chatJid) {
+      await chats.touch(sessionId, chatJid, { messageId: id, text: text || (media_type ? `[${media_type}]` : null), direction, fromMe, name })
+        .catch(err => logger.error(`[${sessionId}] chat touch err: ${err?.message || err}`));
+    }
+    return id;
+  },
+  async get(id) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE id=?`, [id]);
+      return rows[0] || null;
+    } finally { conn.release(); }
+  },
+  // latest row of a WhatsApp message id that has stored media (either direction)
+  async findMediaByWaId(sessionId, waId) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE session_id=? AND wa_id=? AND media_id IS NOT NULL ORDER BY id DESC LIMIT 1`, [sessionId, waId]);
+      return rows[0] || null;
+    } finally { conn.release(); }
+  },
+  async findByWaId(sessionId, waId) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE session_id=? AND wa_id=? AND direction='out' ORDER BY id LIMIT 1`, [sessionId, waId]);
+      return rows[0] || null;
+    } finally { conn.release(); }
+  },
+  // latest row of a WhatsApp message id in either direction (what edits and deletes refer to)
+  async findAnyByWaId(sessionId, waId) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE session_id=? AND wa_id=? ORDER BY id DESC LIMIT 1`, [sessionId, waId]);
+      return rows[0] || null;
+    } finally { conn.release(); }
+  },
+  /**
+   * replace the text of a message, the old text goes to message_edits
+   * returns the updated row, or null when the text is unchanged (e.g. the echo of our own edit)
+   */
+  async edit(id, text, { at = new Date() } = {}) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [[row]] = await conn.query(`SELECT text FROM messages WHERE id=? FOR UPDATE`, [id]);
+      if (!row || (row.text || '') === (text || '')) {
+        await conn.rollback();
+        return null;
+      }
+      await conn.query(`INSERT INTO message_edits (message_id, text, edited_at) VALUES (?, ?, ?)`, [id, row.text, at]);
+      await conn.query(`UPDATE messages SET text=?, edited_at=? WHERE id=?`, [text, at, id]);
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    } finally { conn.release(); }
+    return messageStore.get(id);
+  },
+  // flag a message deleted for everyone (its text stays); returns the row, or null when it already was
+  async markDeleted(id, { at = new Date() } = {}) {
+    const conn = await pool.getConnection();
+    try {
+      const [res] = await conn.query(`UPDATE messages SET deleted=1, deleted_at=? WHERE id=? AND deleted=0`, [at, id]);
+      if (!res.affectedRows) return null;
+    } finally { conn.release(); }
+    return messageStore.get(id);
+  },
+  // earlier texts of an edited message, oldest first
+  async edits(id) {
     const conn = await pool.getConnection();
     try {
-      await conn.query(`INSERT INTO messages (session_id, direction, from_who, to_who, text, media_type, media_base64) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [sessionId, direction, from, to, text, media_type, media_base64]);
+      const [rows] = await conn.query(`SELECT id, text, edited_at FROM message_edits WHERE message_id=? ORDER BY id`, [id]);
+      return rows;
+    } finally { conn.release(); }
+  },
+  /**
+   * move an outgoing message to `status`; returns the updated row, or null when nothing changed
+   */
+  async updateStatus(sessionId, waId, status, { at = new Date(), error = null } = {}) {
+    const sets = ['status=?'];
+    const params = [status];
+    for (const col of MESSAGE_STATUS_COLUMNS[status]) { sets.push(`${col}=COALESCE(${col}, ?)`); params.push(at); }
+    if (error) { sets.push('error=?'); params.push(String(error).slice(0, 255)); }
+    params.push(sessionId, waId, MESSAGE_STATUS_FROM[status]);
+    const conn = await pool.getConnection();
+    try {
+      const [res] = await conn.query(
+        `UPDATE messages SET ${sets.join(', ')} WHERE session_id=? AND wa_id=? AND direction='out' AND status IN (?)`, params);
+      if (!res.affectedRows) return null;
+      const [rows] = await conn.query(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE session_id=? AND wa_id=? AND direction='out' ORDER BY id LIMIT 1`, [sessionId, waId]);
+      return rows[0] || null;
     } finally { conn.release(); }
   },
   async history(sessionId, limit=100) {
     const conn = await pool.getConnection();
     try {
-      const [rows] = await conn.query(`SELECT * FROM messages WHERE session_id=? ORDER BY id DESC LIMIT ?`, [sessionId, limit]);
+      const [rows] = await conn.query(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE session_id=? ORDER BY id DESC LIMIT ?`, [sessionId, limit]);
       return rows;
     } finally { conn.release(); }
   }
@@ -131,37 +271,506 @@ const messageStore = {
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: "*" } });
+const metrics = createMetrics({ io, logger, getPool: () => pool, listSessions: () => sessionStore.list(), queueDepths: () => sendLimiter?.queueDepths() || {} });
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static(path.join(__dirname, 'public')));
+
+// dashboard login: req.user from the session cookie; dashboard pages need a logged-in user
+app.use((req, res, next) => auth.middleware(req, res, next));
+app.get('/', (req, res) => res.redirect(req.user ? '/dashboard.html' : '/login.html'));
+app.get('/dashboard.html', (req, res, next) => (req.user ? next() : res.redirect('/login.html')));
+app.use(express.static(path.join(__dirname, '..', 'public')));
 
 // multer for uploads
 const upload = multer({ dest: path.join(__dirname, 'uploads/') });
 
-// rate limiter for REST API
-app.use('/api/', rateLimit({
-  windowMs: (parseInt(process.env.RATE_WINDOW_MINUTES || '1', 10) * 60 * 1000),
-  max: parseInt(process.env.RATE_MAX_REQUESTS || '120', 10)
+// brute-force guard for the login form
+app.use('/auth/login', rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_MAX || '20', 10)
 }));
 
+// API description + docs page (public, like any API reference)
+const apiSpec = buildSpec();
+const apiValidator = createValidator();
+app.get('/api/openapi.json', (req, res) => res.json(apiSpec));
+app.get('/api/docs', (req, res) => res.sendFile(path.join(__dirname, '..', 'public', 'api-docs.html')));
+
+// request validation against the spec; anonymous calls fall through to the 401 of requireApiKey
+app.use('/api', (req, res, next) => ((req.user || presentedKey(req)) ? apiValidator.middleware(req, res, next) : next()));
+app.param(PARAM_NAMES, apiValidator.param);
+
 /**
  * In-memory active sessions
- * SESSIONS[sessionId] = { sock, lastQr, createdAt, contactsCached }
+ * SESSIONS[sessionId] = { sock, lastQr, createdAt, connected, pairing }
+ * pairing = { phone, code, expiresAt } while linking with a pairing code
  */
 const SESSIONS = {};
 
+/**
+ * Reconnect backoff per session (the socket is gone while waiting)
+ * RECONNECTS[sessionId] = { attempts, timer, nextRetryAt }
+ */
+const RECONNECTS = {};
+let shuttingDown = false;
+
 /**
  * format jid helper
  */
 function formatJid(numberOrJid) {
-  if (!numberOrJid) throw new Error('missing number/jid');
+  if (!numberOrJid) throw httpError(400, 'missing number/jid');
   let s = String(numberOrJid).trim();
   if (s.endsWith('@s.whatsapp.net') || s.endsWith('@g.us')) return s;
   s = s.replace(/[^0-9]/g,'');
+  if (s.length < 6) throw httpError(400, `invalid number: ${numberOrJid}`);
   return `${s}@s.whatsapp.net`;
 }
 
+/**
+ * Error carrying an HTTP status for the REST handlers (socket handlers just emit the message)
+ */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * active socket for a session, or throws 'session not active' (status 404 for REST)
+ */
+function getActiveSock(sessionId) {
+  const s = SESSIONS[sessionId];
+  if (!s || !s.sock) throw httpError(404, 'session not active');
+  return s.sock;
+}
+
+/**
+ * record a receipt / send result and tell the dashboards; stale or backwards updates are dropped
+ */
+async function trackMessageStatus(sessionId, waId, status, opts) {
+  const row = await messageStore.updateStatus(sessionId, waId, status, opts);
+  if (!row) return;
+  io.emit('message-status', {
+    sessionId, id: row.id, waId, to: row.to_who, status: row.status,
+    sent_at: row.sent_at, delivered_at: row.delivered_at, read_at: row.read_at, failed_at: row.failed_at, error: row.error
+  });
+}
+
+/**
+ * send + track: the row is stored as pending under our own message id before sending,
+ * so receipts (and the fromMe echo in messages.upsert) can always be matched to it
+ * waits for its turn in the session's send limiter first (the socket is looked up after the wait; 429 when rejected)
+ */
+async function sendTracked(sessionId, jid, content, row, options = {}) {
+  return sendLimiter.run(sessionId, jid, async () => {
+    const sock = getActiveSock(sessionId);
+    const waId = generateMessageIDV2(sock.user?.id);
+    const id = await messageStore.insert({ ...row, sessionId, direction: 'out', chatJid: jid, from: sock.user?.id || null, to: jid, waId, status: 'pending', fromMe: true });
+    let sent;
+    try {
+      sent = await sock.sendMessage(jid, content, { ...options, messageId: waId });
+    } catch (err) {
+      await trackMessageStatus(sessionId, waId, 'failed', { error: err?.message || String(err) }).catch(() => {});
+      throw err;
+    }
+    await trackMessageStatus(sessionId, waId, 'sent');
+    io.emit('message-sent', { sessionId, id, waId, to: jid, message: row.text, type: row.type || 'text', quotedId: row.quotedId || null, status: 'sent' });
+    return { jid, key: sent?.key || null, messageId: id };
+  }, { chars: typeof content.text === 'string' ? content.text.length : 0 });
+}
+
+// key of a stored message, for quoting or reacting to it (group senders are kept in meta.participant)
+function storedKey(row) {
+  let participant = null;
+  try { participant = JSON.parse(row.meta || '{}').participant || null; } catch (e) { /* no meta */ }
+  return { remoteJid: row.chat_jid, id: row.wa_id, fromMe: row.direction === 'out', ...(participant ? { participant } : {}) };
+}
+
+/**
+ * shared outgoing path: every send (socket, REST, broadcast, auto-reply, schedule) goes through here
+ * input: the payload of outgoing.js (text, files, location, contacts, poll, reaction, reply, mentions)
+ */
+async function sendPayload(sessionId, to, input) {
+  getActiveSock(sessionId);
+  const jid = formatJid(to);
+  const payload = parsePayload(input);
+
+  const mentions = (payload.mentions || []).map(m => formatJid(m));
+  if (mentions.length && !jid.endsWith('@g.us')) throw httpError(400, 'mentions only work in group chats');
+
+  // the quoted / reacted message has to be one we stored for this chat
+  const targetId = payload.replyTo || payload.reaction?.messageId;
+  const target = targetId ? await messageStore.get(targetId) : null;
+  if (targetId && (!target || target.session_id !== sessionId || target.chat_jid !== jid || !target.wa_id)) {
+    throw httpError(404, `message ${targetId} not found in this chat`);
+  }
+
+  // files are kept in the media store like received ones; mediaId re-sends a stored file
+  let file = null;
+  if (payload.mediaId) {
+    const stored = await media.readBuffer(payload.mediaId);
+    if (!stored) throw httpError(404, 'media not found');
+    file = { id: payload.mediaId, buffer: stored.buffer, mime: payload.mime || fileMime(payload.type, stored.mime), fileName: payload.fileName || stored.filename };
+  } else if (payload.buffer || payload.base64) {
+    const buffer = payload.buffer || Buffer.from(payload.base64, 'base64');
+    if (!buffer.length) throw httpError(400, 'base64 must not be empty');
+    const mime = payload.mime || fileMime(payload.type);
+    const stored = await media.save(buffer, { mime, filename: payload.fileName });
+    file = { id: stored.id, buffer, mime, fileName: payload.fileName };
+  }
+
+  const content = buildContent(payload, { buffer: file?.buffer, mime: file?.mime, fileName: file?.fileName, mentions, reactKey: payload.reaction && storedKey(target) });
+  const { type, text, meta } = storedFields(payload, { mentions });
+  const options = payload.replyTo ? { quoted: { key: storedKey(target), message: { conversation: target.text || '' } } } : {};
+  return sendTracked(sessionId, jid, content,
+    { text, type, meta, quotedId: target?.id || null, media_type: file?.mime || null, mediaId: file?.id || null }, options);
+}
+
+// plain text (auto-replies, schedules)
+async function sendText(sessionId, to, text) {
+  return sendPayload(sessionId, to, { type: 'text', message: text });
+}
+
+/**
+ * files of auto-replies, schedules and /api/send-media: images go as image unless asDocument, everything else as document
+ */
+async function sendMedia(sessionId, to, { buffer, mime = 'application/octet-stream', fileName = null, caption, asDocument = false }) {
+  const type = !asDocument && /^image\/(?!webp)/.test(mime) ? 'image' : 'document';
+  return sendPayload(sessionId, to, { type, buffer, mime, fileName, message: caption });
+}
+
+/**
+ * tell the dashboards and webhooks that a message was edited or deleted for everyone (by us, on the phone or by the other side)
+ */
+function emitMessageChange(row, action) {
+  const data = {
+    sessionId: row.session_id, id: row.id, waId: row.wa_id, chatJid: row.chat_jid, direction: row.direction,
+    text: row.text, edited_at: row.edited_at, deleted: !!row.deleted, deleted_at: row.deleted_at
+  };
+  io.emit(action === 'edit' ? 'message-edited' : 'message-deleted', data);
+  webhooks.dispatch(row.session_id, action === 'edit' ? 'messages.edited' : 'messages.deleted', data);
+}
+
+/**
+ * an edit / delete for everyone received in messages.upsert (key = the protocol message's key)
+ * only touches a stored message of the same chat; edits only by its author (group admins may delete others' messages)
+ */
+async function applyMessageChange(sessionId, key, { action, waId, text }, at = new Date()) {
+  const row = await messageStore.findAnyByWaId(sessionId, waId);
+  if (!row || row.chat_jid !== key.remoteJid) return null;
+  if (action === 'edit' && (row.direction === 'out') !== !!key.fromMe) return null;
+  const updated = action === 'edit' ? await messageStore.edit(row.id, text, { at }) : await messageStore.markDeleted(row.id, { at });
+  if (updated) emitMessageChange(updated, action);
+  return updated;
+}
+
+// one of our sent messages by stored id, for edit / delete for everyone
+async function sentMessage(id, windowMs) {
+  const row = await messageStore.get(id);
+  if (!row) throw httpError(404, 'message not found');
+  if (row.direction !== 'out' || !row.wa_id) throw httpError(400, 'only messages sent by this session can be changed');
+  if (row.deleted) throw httpError(409, 'message already deleted');
+  if (['pending', 'failed'].includes(row.status)) throw httpError(409, `message was not sent (${row.status})`);
+  if (Date.now() - new Date(row.created_at).getTime() > windowMs) {
+    const limit = windowMs >= 3600 * 1000 ? `${Math.round(windowMs / 3600000)} hours` : `${Math.round(windowMs / 60000)} minutes`;
+    throw httpError(409, `too late: WhatsApp only allows this within ${limit} of sending`);
+  }
+  return row;
+}
+
+/**
+ * edit a sent text message (up to MESSAGE_EDIT_WINDOW_MINUTES after sending); returns the updated row
+ */
+async function editMessage(id, text) {
+  if (!String(text || '').trim()) throw httpError(400, 'text required');
+  const row = await sentMessage(id, MESSAGE_EDIT_WINDOW_MS);
+  if (row.message_type !== 'text') throw httpError(400, 'only text messages can be edited');
+  getActiveSock(row.session_id);
+  await sendLimiter.run(row.session_id, row.chat_jid,
+    () => getActiveSock(row.session_id).sendMessage(row.chat_jid, { text, edit: storedKey(row) }), { chars: text.length });
+  const updated = await messageStore.edit(row.id, text);
+  if (updated) emitMessageChange(updated, 'edit');
+  return updated || row;
+}
+
+/**
+ * delete a sent message for everyone (up to MESSAGE_REVOKE_WINDOW_HOURS after sending); the row stays, flagged deleted
+ */
+async function revokeMessage(id) {
+  const row = await sentMessage(id, MESSAGE_REVOKE_WINDOW_MS);
+  getActiveSock(row.session_id);
+  await sendLimiter.run(row.session_id, row.chat_jid, () => getActiveSock(row.session_id).sendMessage(row.chat_jid, { delete: storedKey(row) }));
+  const updated = await messageStore.markDeleted(row.id);
+  if (updated) emitMessageChange(updated, 'revoke');
+  return updated || row;
+}
+
+/**
+ * Session actions shared by the Socket.IO events and the REST routes
+ * all throw httpError / 'session not active' (404) so both sides report the same errors
+ */
+const SESSION_ID_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+const PRESENCE_TYPES = ['available', 'unavailable', 'composing', 'recording', 'paused'];
+
+function requireList(value, name) {
+  const list = (Array.isArray(value) ? value : (value ? [value] : [])).filter(Boolean);
+  if (!list.length) throw httpError(400, `${name} required`);
+  return list;
+}
+
+/**
+ * start (or reuse) a session and wait for its QR or an open connection
+ * returns { sessionId, status, qr } where qr is a data URL (null once connected)
+ */
+async function startSessionAndWait(sessionId, { socketClient = null, waitMs = QR_WAIT_MS } = {}) {
+  if (!SESSION_ID_RE.test(String(sessionId || ''))) throw httpError(400, 'sessionId must be 1-64 chars (letters, digits, _ -)');
+  await startBaileysSession(sessionId, socketClient);
+  const deadline = Date.now() + waitMs;
+  while (Date.now() < deadline) {
+    const s = SESSIONS[sessionId];
+    if (!s) break;
+    if (s.connected) return { sessionId, status: 'connected', qr: null };
+    if (s.lastQr) return { sessionId, status: 'qr_received', qr: s.lastQr };
+    await new Promise(r => setTimeout(r, 250));
+  }
+  return { sessionId, status: SESSIONS[sessionId]?.connected ? 'connected' : 'loading', qr: SESSIONS[sessionId]?.lastQr || null };
+}
+
+/**
+ * start (or reuse) a session and link it with an 8-character pairing code instead of a QR;
+ * the code is typed on the phone under Linked devices -> Link with phone number instead
+ * calling it again for the same session gives a new code (the old one stops working)
+ * returns { sessionId, status, phone, code, expiresAt }
+ */
+async function requestPairingCode(sessionId, phone, { socketClient = null, waitMs = QR_WAIT_MS } = {}) {
+  if (!SESSION_ID_RE.test(String(sessionId || ''))) throw httpError(400, 'sessionId must be 1-64 chars (letters, digits, _ -)');
+  const digits = String(phone || '').replace(/[^0-9]/g, '');
+  if (digits.length < 8 || digits.length > 15) throw httpError(400, 'phone must be the full number incl. country code, e.g. 628123456789');
+  if (SESSIONS[sessionId]?.connected) throw httpError(409, 'session already connected');
+
+  // WhatsApp only takes a code request once the socket waits to be linked, i.e. after its first QR
+  await startBaileysSession(sessionId, socketClient);
+  const deadline = Date.now() + waitMs;
+  while (Date.now() < deadline && SESSIONS[sessionId] && !SESSIONS[sessionId].lastQr && !SESSIONS[sessionId].connected) {
+    await new Promise(r => setTimeout(r, 250));
+  }
+  const s = SESSIONS[sessionId];
+  if (s?.connected) throw httpError(409, 'session already connected');
+  if (!s?.lastQr) throw httpError(503, 'session is not ready to link yet, try again');
+  if (s.sock.authState?.creds?.registered) throw httpError(409, 'session already linked');
+
+  const raw = await s.sock.requestPairingCode(digits);
+  const code = String(raw).replace(/[^A-Z0-9]/gi, '').toUpperCase().replace(/^(.{4})(.{4})$/, '$1-$2');
+  s.pairing = { phone: digits, code, expiresAt: new Date(Date.now() + PAIRING_CODE_TTL_MS) };
+  logger.info(`[${sessionId}] pairing code requested for ${digits}`);
+  io.emit('log', `[${sessionId}] pairing code requested`);
+  return { sessionId, status: 'qr_received', ...s.pairing };
+}
+
+async function logoutSession(sessionId) {
+  cancelReconnect(sessionId);
+  const s = SESSIONS[sessionId];
+  if (s && s.sock) {
+    try { await s.sock.logout(); } catch(e){/*ignore*/ }
+    delete SESSIONS[sessionId];
+  }
+  await sessionStore.updateStatus(sessionId, 'logged_out');
+  // optionally clear mysql-auth creds
+  try { await clearSession(pool, sessionId); } catch(e){ /* ignore */ }
+  io.emit('session', { id: sessionId, status: 'logged_out' });
+}
+
+
+async function listGroups(sessionId) {
+  const sock = getActiveSock(sessionId);
+  const groups = await sock.groupFetchAllParticipating();
+  return Object.values(groups || {}).map(g => ({ id: g.id, name: g.subject, size: g.participants?.length || 0 }));
+}
+
+async function createGroup(sessionId, subject, participants) {
+  const sock = getActiveSock(sessionId);
+  if (!subject) throw httpError(400, 'subject required');
+  return sock.groupCreate(subject, requireList(participants, 'participants').map(p => formatJid(p)));
+}
+
+// action: add | remove | promote | demote
+async function updateGroupParticipants(sessionId, groupJid, participants, action) {
+  const sock = getActiveSock(sessionId);
+  if (!groupJid) throw httpError(400, 'groupJid required');
+  return sock.groupParticipantsUpdate(groupJid, requireList(participants, 'participants').map(p => formatJid(p)), action);
+}
+
+async function sendPresence(sessionId, to, type = 'composing') {
+  const sock = getActiveSock(sessionId);
+  if (!PRESENCE_TYPES.includes(type)) throw httpError(400, `type must be one of ${PRESENCE_TYPES.join(', ')}`);
+  await sock.sendPresenceUpdate(type, to ? formatJid(to) : undefined);
+}
+
+async function setBlocked(sessionId, jid, action) {
+  const sock = getActiveSock(sessionId);
+  if (!jid) throw httpError(400, 'jid required');
+  await sock.updateBlockStatus(formatJid(jid), action);
+}
+
+async function getProfile(sessionId, jid) {
+  const sock = getActiveSock(sessionId);
+  if (!jid) throw httpError(400, 'jid required');
+  const target = formatJid(jid);
+  const ppUrl = await sock.profilePictureUrl(target, 'image').catch(() => null);
+  const status = await sock.fetchStatus(target).catch(() => null);
+  const contact = await contacts.saveProfile(sessionId, target, { ppUrl, status });
+  return { jid: target, ppUrl, status, contact };
+}
+
+/**
+ * the non-text part of a broadcast (file, location, contacts, poll), checked once when the job is queued;
+ * message = the text or template body (the caption of a file); an uploaded file goes into the media store
+ * returns null for plain text
+ */
+async function broadcastPayload(input, message) {
+  const payload = parsePayload({ ...input, message });
+  if (payload.replyTo || payload.reaction) throw httpError(400, 'replies and reactions cannot be broadcast');
+  if (payload.type === 'text') return null;
+  if (payload.base64) {
+    const stored = await media.save(Buffer.from(payload.base64, 'base64'), { mime: payload.mime || fileMime(payload.type), filename: payload.fileName });
+    delete payload.base64;
+    payload.mediaId = stored.id;
+  }
+  delete payload.message;
+  return payload;
+}
+
+/**
+ * broadcast recipients: the members of an audience list (with their columns as variables), else the given numbers
+ */
+async function broadcastRecipients({ numbers, listId }) {
+  if (!listId) return numbers;
+  if (!(await audiences.get(listId))) throw httpError(404, 'audience list not found');
+  const members = await audiences.recipients(listId);
+  if (!members.length) throw httpError(400, 'audience list is empty');
+  return members;
+}
+
+/**
+ * template variables plus {{contact.*}} (name, number, custom fields) of the recipient
+ */
+async function withContact(sessionId, to, variables) {
+  if (!to) return variables;
+  return { contact: await contacts.templateVars(sessionId, formatJid(to)), ...(variables || {}) };
+}
+
+/**
+ * mark a chat read: explicit message keys, or the latest incoming messages we stored for that chat
+ */
+async function markRead(sessionId, { jid, keys } = {}) {
+  const sock = getActiveSock(sessionId);
+  let readKeys = Array.isArray(keys) ? keys.filter(k => k?.id && k?.remoteJid) : [];
+  if (!readKeys.length) {
+    if (!jid) throw httpError(400, 'jid or keys required');
+    const remoteJid = formatJid(jid);
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(
+        `SELECT wa_id FROM messages WHERE session_id=? AND chat_jid=? AND direction='in' AND wa_id IS NOT NULL ORDER BY id DESC LIMIT 20`,
+        [sessionId, remoteJid]);
+      readKeys = rows.map(r => ({ remoteJid, id: r.wa_id, fromMe: false }));
+    } finally { conn.release(); }
+    if (!readKeys.length) throw httpError(404, 'no incoming messages to mark read');
+  }
+  await sock.readMessages(readKeys);
+  for (const remoteJid of new Set(readKeys.map(k => k.remoteJid))) await chats.markRead(sessionId, remoteJid);
+  return readKeys.length;
+}
+
+// recent incoming/outgoing media messages per session (Baileys keeps no message store of its own)
+const MEDIA_CACHE = {};
+function rememberMedia(sessionId, msg) {
+  const cache = MEDIA_CACHE[sessionId] || (MEDIA_CACHE[sessionId] = new Map());
+  cache.set(msg.key.id, msg);
+  if (cache.size > MEDIA_CACHE_SIZE) cache.delete(cache.keys().next().value);
+}
+
+// decrypt the media of a live message (needs the session's socket for re-upload requests)
+async function fetchMessageMedia(sessionId, msg) {
+  const sock = getActiveSock(sessionId);
+  return downloadMediaMessage(msg, 'buffer', {}, { logger, reuploadRequest: sock.updateMediaMessage });
+}
+
+/**
+ * media of a message by key: from the media store (works without a session),
+ * else re-downloaded from WhatsApp while the message is still cached
+ * returns { buffer, mime }
+ */
+async function downloadMedia(sessionId, key) {
+  if (!key?.id) throw httpError(400, 'message key required');
+  const row = await messageStore.findMediaByWaId(sessionId, key.id);
+  const file = row ? await media.readBuffer(row.media_id) : null;
+  if (file) return { buffer: file.buffer, mime: file.mime };
+  const msg = MEDIA_CACHE[sessionId]?.get(key.id);
+  if (msg) {
+    const buffer = await fetchMessageMedia(sessionId, msg);
+    return { buffer, mime: mediaContent(msg.message)?.content.mimetype || 'application/octet-stream' };
+  }
+  throw httpError(404, 'message not found');
+}
+
+// proto.WebMessageInfo.Status -> our status (PENDING is ours already)
+const WA_STATUS = { 0: 'failed', 2: 'sent', 3: 'delivered', 4: 'read', 5: 'read' };
+
+// exponential with equal jitter: sessions dropped together (network blip) don't come back in lockstep
+function reconnectDelay(attempt) {
+  const ceiling = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function cancelReconnect(sessionId) {
+  const r = RECONNECTS[sessionId];
+  if (r?.timer) clearTimeout(r.timer);
+  delete RECONNECTS[sessionId];
+}
+
+/**
+ * schedule the next attempt for a dropped session (status reconnecting);
+ * after RECONNECT_MAX_ATTEMPTS the session is marked failed and a session-alert goes out
+ */
+async function scheduleReconnect(sessionId, { code = null, error = null } = {}) {
+  const r = RECONNECTS[sessionId] || (RECONNECTS[sessionId] = { attempts: 0, timer: null, nextRetryAt: null });
+  if (r.timer) clearTimeout(r.timer);
+  r.attempts++;
+  metrics.reconnectScheduled(sessionId);
+  const reason = error || `connection closed${code ? ` (${code})` : ''}`;
+
+  if (RECONNECT_MAX_ATTEMPTS && r.attempts > RECONNECT_MAX_ATTEMPTS) {
+    delete RECONNECTS[sessionId];
+    const alert = { sessionId, status: 'failed', attempts: RECONNECT_MAX_ATTEMPTS, code, error: reason, at: new Date() };
+    logger.error(`[${sessionId}] giving up after ${RECONNECT_MAX_ATTEMPTS} reconnect attempts: ${reason}`);
+    metrics.sessionFailed(sessionId);
+    await sessionStore.updateStatus(sessionId, 'failed', { attempts: RECONNECT_MAX_ATTEMPTS, error: reason });
+    io.emit('session', { id: sessionId, status: 'failed', attempts: RECONNECT_MAX_ATTEMPTS, error: reason });
+    io.emit('session-alert', alert);
+    webhooks.dispatch(sessionId, 'session.failed', alert);
+    return;
+  }
+
+  const delay = reconnectDelay(r.attempts);
+  r.nextRetryAt = new Date(Date.now() + delay);
+  r.timer = setTimeout(() => {
+    r.timer = null;
+    startBaileysSession(sessionId).catch((err) => {
+      // the socket never came up (database, network): counts as a failed attempt too
+      logger.error(`[${sessionId}] reconnect attempt ${r.attempts} err: ${err?.message || err}`);
+      if (!shuttingDown && RECONNECTS[sessionId] === r) {
+        scheduleReconnect(sessionId, { error: err?.message || String(err) }).catch(e => logger.error(`[${sessionId}] reconnect err: ${e?.message || e}`));
+      }
+    });
+  }, delay);
+
+  await sessionStore.updateStatus(sessionId, 'reconnecting', { attempts: r.attempts, nextRetryAt: r.nextRetryAt, error: reason });
+  io.emit('session', { id: sessionId, status: 'reconnecting', attempts: r.attempts, nextRetryAt: r.nextRetryAt, error: reason });
+  io.emit('log', `[${sessionId}] disconnected - reconnect attempt ${r.attempts}${RECONNECT_MAX_ATTEMPTS ? `/${RECONNECT_MAX_ATTEMPTS}` : ''} in ${Math.round(delay / 1000)}s`);
+}
+
 /**
  * Start Baileys session using useMySQLAuthState
  * - creates sock
@@ -170,11 +779,15 @@ function formatJid(numberOrJid) {
  */
 async function startBaileysSession(sessionId, socketClient=null) {
   if (SESSIONS[sessionId] && SESSIONS[sessionId].sock) return SESSIONS[sessionId].sock;
+  if (shuttingDown) throw httpError(503, 'server is shutting down');
 
-  await sessionStore.upsert(sessionId, { status: 'loading' });
+  // a manual start takes the place of a pending retry; a retry keeps the status at reconnecting
+  const retry = RECONNECTS[sessionId];
+  if (retry?.timer) { clearTimeout(retry.timer); retry.timer = null; }
+  if (!retry) await sessionStore.upsert(sessionId, { status: 'loading' });
 
-  // useMySQLAuthState provided by mysql-auth.js
-  const { state, saveCreds } = await useMySQLAuthState(pool, sessionId);
+  // creds + signal keys in auth_state, encrypted with AUTH_ENCRYPTION_KEY
+  const { state, saveCreds } = await useMySQLAuthState(pool, sessionId, { logger });
 
   const { version } = await fetchLatestBaileysVersion().catch(() => ({ version: [4, 0, 0] }));
 
@@ -185,7 +798,7 @@ async function startBaileysSession(sessionId, socketClient=null) {
     browser: Browsers.macOS('WhatsAppBot')
   });
 
-  SESSIONS[sessionId] = { sock, lastQr: null, createdAt: Date.now(), contacts: {} };
+  SESSIONS[sessionId] = { sock, lastQr: null, createdAt: Date.now() };
 
   // persist creds
   sock.ev.on('creds.update', saveCreds);
@@ -206,6 +819,9 @@ async function startBaileysSession(sessionId, socketClient=null) {
 
     if (connection === 'open') {
       logger.info(`[${sessionId}] connected`);
+      SESSIONS[sessionId].connected = true;
+      SESSIONS[sessionId].pairing = null;
+      cancelReconnect(sessionId);
       // try set phone from sock.user
       try {
         const me = sock.user || {};
@@ -215,30 +831,29 @@ async function startBaileysSession(sessionId, socketClient=null) {
       io.emit('session', { id: sessionId, status: 'connected' });
       await sessionStore.updateStatus(sessionId, 'connected');
       io.emit('session-connected', { sessionId, user: sock.user });
-
-      // send contacts snapshot
-      try {
-        const contacts = Object.values(sock.store.contacts || {}).map(c => ({
-          id: c.id, name: c.name || c.notify || null
-        }));
-        SESSIONS[sessionId].contacts = contacts;
-        io.emit('contact-list', { sessionId, contacts });
-      } catch(e){}
+      broadcasts.resumeForSession(sessionId).catch(e => logger.error(`[${sessionId}] resume broadcasts err: ${e?.message || e}`));
     }
 
     if (connection === 'close') {
+      // a socket we already replaced or logged out
+      if (SESSIONS[sessionId]?.sock !== sock) return;
       const code = lastDisconnect?.error?.output?.statusCode;
       logger.info(`[${sessionId}] connection closed code=${code}`);
+      // drop the dead socket, otherwise startBaileysSession would hand it back instead of reconnecting
+      delete SESSIONS[sessionId];
+      if (shuttingDown) return;
       if (code === DisconnectReason.loggedOut) {
+        cancelReconnect(sessionId);
         await sessionStore.updateStatus(sessionId, 'logged_out');
         io.emit('session', { id: sessionId, status: 'logged_out' });
-        delete SESSIONS[sessionId];
         io.emit('log', `[${sessionId}] logged_out`);
+      } else if (code === DisconnectReason.restartRequired) {
+        // normal right after a QR scan: WhatsApp wants a fresh connection, not a retry
+        startBaileysSession(sessionId)
+          .catch(err => scheduleReconnect(sessionId, { code, error: err?.message || String(err) }))
+          .catch(err => logger.error(`[${sessionId}] restart err: ${err?.message || err}`));
       } else {
-        await sessionStore.updateStatus(sessionId, 'disconnected');
-        io.emit('session', { id: sessionId, status: 'disconnected' });
-        io.emit('log', `[${sessionId}] disconnected - will attempt reconnect in 3s`);
-        setTimeout(() => startBaileysSession(sessionId).catch(logger.error), 3000);
+        await scheduleReconnect(sessionId, { code, error: lastDisconnect?.error?.message || null });
       }
     }
   });
@@ -249,62 +864,209 @@ async function startBaileysSession(sessionId, socketClient=null) {
     for (const msg of messages) {
       if (!msg.message || msg.key?.remoteJid === 'status@broadcast') continue;
 
-      // extract text if any
-      let text = '';
-      if (msg.message.conversation) text = msg.message.conversation;
-      else if (msg.message.extendedTextMessage?.text) text = msg.message.extendedTextMessage.text;
-      else if (msg.message.imageMessage?.caption) text = msg.message.imageMessage.caption;
-
-      // save to DB
-      await messageStore.insert({
-        sessionId,
-        direction: msg.key.fromMe ? 'out' : 'in',
-        from: msg.key.remoteJid,
-        to: sock.user?.id || null,
-        text,
-        media_type: msg.message?.imageMessage ? 'image' : (msg.message?.documentMessage ? 'document' : null)
-      });
-
-      // emit to frontends
-      io.emit('message', { sessionId, from: msg.key.remoteJid, text, key: msg.key });
+      // one bad message (a DB error, an odd payload) must not take the listener down
+      try {
+        // edits and deletes for everyone update the original row; other protocol messages have no content
+        const change = protocolChange(msg.message);
+        if (change) {
+          const at = msg.messageTimestamp ? new Date(Number(msg.messageTimestamp) * 1000) : new Date();
+          await applyMessageChange(sessionId, msg.key, change, at)
+            .catch(err => logger.error(`[${sessionId}] message ${change.action} err: ${err?.message || err}`));
+          continue;
+        }
+        if (msg.message.protocolMessage || msg.message.editedMessage) continue;
+
+        const found = mediaContent(msg.message);
+        if (found) rememberMedia(sessionId, msg);
+        const mediaType = found ? (found.content.mimetype || found.type) : null;
+        const text = messageText(msg.message);
+
+        // save to DB (our own sends echo back here; they are already stored by sendTracked)
+        const ownSend = msg.key.fromMe && await messageStore.findByWaId(sessionId, msg.key.id);
+        let messageId = ownSend?.id || null;
+        if (!ownSend) {
+          messageId = await messageStore.insert({
+            sessionId,
+            direction: msg.key.fromMe ? 'out' : 'in',
+            chatJid: msg.key.remoteJid,
+            fromMe: !!msg.key.fromMe,
+            // push name names the chat only in 1:1 chats (in groups it is the sender)
+            name: !msg.key.fromMe && !msg.key.remoteJid.endsWith('@g.us') ? (msg.pushName || null) : null,
+            from: msg.key.remoteJid,
+            to: sock.user?.id || null,
+            text,
+            type: incomingType(msg.message) || 'text',
+            // the sender in a group, needed to quote or react to the message later
+            meta: msg.key.participant ? JSON.stringify({ participant: msg.key.participant }) : null,
+            media_type: mediaType,
+            waId: msg.key.id || null
+          });
+          // decrypt + keep the file now; WhatsApp media links expire
+          if (found) mediaArchive.handle(sessionId, msg, messageId);
+        }
+        if (!msg.key.fromMe && msg.pushName) {
+          contacts.notePushName(sessionId, msg.key.participant || msg.key.remoteJid, msg.pushName)
+            .catch(err => logger.error(`[${sessionId}] push name err: ${err?.message || err}`));
+        }
+
+        // emit to frontends
+        io.emit('message', { sessionId, id: messageId, from: msg.key.remoteJid, text, key: msg.key });
+        webhooks.dispatch(sessionId, 'messages.upsert', {
+          key: msg.key,
+          from: msg.key.remoteJid,
+          fromMe: !!msg.key.fromMe,
+          pushName: msg.pushName || null,
+          text,
+          media_type: found ? found.type : null,
+          timestamp: Number(msg.messageTimestamp) || null,
+          type: m.type
+        });
+
+        // auto-reply only to live messages, not history sync
+        if (m.type === 'notify') autoReplies.handle(sessionId, msg, text);
+      } catch (err) {
+        logger.error(`[${sessionId}] incoming message ${msg.key?.id} err: ${err?.message || err}`);
+      }
+    }
+  });
+
+  // archive / pin / mute / unread changes made on the phone
+  sock.ev.on('chats.update', (updates) => chats.syncFromWhatsApp(sessionId, updates));
+  sock.ev.on('chats.upsert', (updates) => chats.syncFromWhatsApp(sessionId, updates));
+
+  // delivery / read acks for our outgoing messages
+  sock.ev.on('messages.update', async (updates) => {
+    for (const { key, update } of updates || []) {
+      const status = WA_STATUS[update?.status];
+      if (!key?.fromMe || !key.id || !status) continue;
+      try {
+        await trackMessageStatus(sessionId, key.id, status);
+      } catch (err) { logger.error(`[${sessionId}] message status err: ${err?.message || err}`); }
     }
   });
 
-  // contacts update
-  sock.ev.on('contacts.update', (contacts) => {
-    // contacts: array of contact objects
-    SESSIONS[sessionId].contacts = Object.values(sock.store.contacts || {});
-    io.emit('contact-list', { sessionId, contacts: SESSIONS[sessionId].contacts.map(c => ({ id: c.id, name: c.name || c.notify })) });
+  // per-recipient receipts (groups, and some 1:1 reads arrive here instead)
+  sock.ev.on('message-receipt.update', async (receipts) => {
+    for (const { key, receipt } of receipts || []) {
+      if (!key?.fromMe || !key.id || !receipt) continue;
+      const readTs = Number(receipt.readTimestamp || receipt.playedTimestamp) || 0;
+      const deliveredTs = Number(receipt.receiptTimestamp) || 0;
+      try {
+        if (readTs) await trackMessageStatus(sessionId, key.id, 'read', { at: new Date(readTs * 1000) });
+        else if (deliveredTs) await trackMessageStatus(sessionId, key.id, 'delivered', { at: new Date(deliveredTs * 1000) });
+      } catch (err) { logger.error(`[${sessionId}] message receipt err: ${err?.message || err}`); }
+    }
   });
 
+  // address book / push name / business name changes (full list on first sync)
+  sock.ev.on('contacts.upsert', (updates) => contacts.syncFromWhatsApp(sessionId, updates));
+  sock.ev.on('contacts.update', (updates) => contacts.syncFromWhatsApp(sessionId, updates));
+
   // group updates
   sock.ev.on('groups.update', (updates) => {
     io.emit('groups-update', { sessionId, updates });
+    webhooks.dispatch(sessionId, 'groups.update', updates);
   });
 
   // presence updates
   sock.ev.on('presence.update', (pres) => {
     io.emit('presence', { sessionId, presence: pres });
+    webhooks.dispatch(sessionId, 'presence.update', pres);
   });
 
   // connection states, battery, etc
   sock.ev.on('connection.update', (u) => {
     io.emit('connection.update', { sessionId, update: u });
+    if (u.connection === 'close') metrics.connectionClosed(sessionId, u.lastDisconnect?.error?.output?.statusCode);
+    // lastDisconnect carries an Error object, forward only the useful bits
+    webhooks.dispatch(sessionId, 'connection.update', {
+      connection: u.connection || null,
+      qr: u.qr || null,
+      isNewLogin: u.isNewLogin,
+      statusCode: u.lastDisconnect?.error?.output?.statusCode || null
+    });
   });
 
   return sock;
 }
 
+/**
+ * Socket.IO auth: only logged-in dashboard users may connect,
+ * and each event needs at least the role listed here (unlisted events are admin-only)
+ */
+const SOCKET_EVENT_ROLES = {
+  'list-sessions': 'viewer',
+  'get-history': 'viewer',
+  'list-chats': 'viewer',
+  'search-messages': 'viewer',
+  'get-contacts': 'viewer',
+  'get-contact': 'viewer',
+  'get-groups': 'viewer',
+  'get-profile': 'viewer',
+  'download-media': 'viewer',
+  'get-message-edits': 'viewer',
+  'get-send-limits': 'viewer',
+  'list-templates': 'viewer',
+  'list-autoreplies': 'viewer',
+  'list-schedules': 'viewer',
+  'list-broadcasts': 'viewer',
+  'list-audiences': 'viewer',
+  'watch-broadcast': 'viewer',
+  'unwatch-broadcast': 'viewer',
+  'start-session': 'operator',
+  'request-qr': 'operator',
+  'request-pairing-code': 'operator',
+  'send-message': 'operator',
+  'send-media': 'operator',
+  'send-presence': 'operator',
+  'edit-message': 'operator',
+  'revoke-message': 'operator',
+  'mark-read': 'operator',
+  'update-chat': 'operator',
+  'update-contact': 'operator',
+  'broadcast': 'operator',
+  'broadcast-pause': 'operator',
+  'broadcast-resume': 'operator',
+  'broadcast-cancel': 'operator',
+  'schedule-message': 'operator',
+  'cancel-schedule': 'operator',
+  'save-template': 'operator',
+  'delete-template': 'operator',
+  'save-autoreply': 'operator',
+  'delete-autoreply': 'operator',
+  'create-group': 'operator',
+  'group-add': 'operator',
+  'group-promote': 'operator',
+  'group-demote': 'operator',
+  'block': 'operator',
+  'unblock': 'operator',
+  'logout-session': 'admin'
+};
+
+io.use((socket, next) => auth.socketMiddleware(socket, next));
+
 /**
  * Socket.IO handlers for frontend
  */
 io.on('connection', (socket) => {
-  logger.info('Socket client connected');
+  const user = socket.data.user;
+  logger.info(`Socket client connected (${user.username}/${user.role})`);
+  socket.emit('me', user);
+
+  // role check for every incoming event
+  socket.use(([event], next) => {
+    const role = SOCKET_EVENT_ROLES[event] || 'admin';
+    if (!hasRole(socket.data.user, role)) return socket.emit('error-message', `forbidden: ${event} requires ${role}`);
+    next();
+  });
 
   // start or restore session
-  socket.on('start-session', async ({ sessionId } = {}) => {
+  socket.on('start-session', async ({ sessionId, phone } = {}) => {
     try {
       if (!sessionId) sessionId = 'main';
+      if (!SESSION_ID_RE.test(sessionId)) return socket.emit('error-message', 'sessionId must be 1-64 chars (letters, digits, _ -)');
+      // with a phone number: link with a pairing code instead of the QR
+      if (phone) return socket.emit('pairing-code', await requestPairingCode(sessionId, phone, { socketClient: socket }));
       io.emit('log', `start-session requested: ${sessionId}`);
       await startBaileysSession(sessionId, socket);
       await sessionStore.upsert(sessionId, { status: 'loading' });
@@ -325,203 +1087,337 @@ io.on('connection', (socket) => {
     } catch (e) { socket.emit('error-message', String(e)); }
   });
 
-  // send text message
-  socket.on('send-message', async ({ sessionId='main', to, message }) => {
+  // new pairing code (first one, or after the previous one expired)
+  socket.on('request-pairing-code', async ({ sessionId='main', phone } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      const jid = formatJid(to);
-      await s.sock.sendMessage(jid, { text: message });
-      await messageStore.insert({ sessionId, direction: 'out', from: s.sock.user?.id || null, to: jid, text: message });
-      socket.emit('success-message', 'Message sent');
+      socket.emit('pairing-code', await requestPairingCode(sessionId, phone, { socketClient: socket }));
     } catch (err) {
-      logger.error('send-message err', err);
       socket.emit('error-message', err?.message || String(err));
     }
   });
 
-  // send media file (from client multipart)
-  socket.on('send-media', async ({ sessionId='main', to, mime, base64 }) => {
+  // send a message: text (plain or template) or any other payload of outgoing.js (the template fills the caption)
+  socket.on('send-message', async ({ sessionId='main', to, message, templateId, variables, ...payload } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      const buffer = Buffer.from(base64, 'base64');
-      await s.sock.sendMessage(formatJid(to), { [mime.startsWith('image/') ? 'image' : 'document']: buffer });
-      await messageStore.insert({ sessionId, direction: 'out', from: s.sock.user?.id || null, to: formatJid(to), text: null, media_type: mime, media_base64: base64 });
-      socket.emit('success-message', 'Media sent');
+      const text = await templates.resolve({ templateId, variables: templateId ? await withContact(sessionId, to, variables) : variables, message });
+      await metrics.timeSend('send-message', () => sendPayload(sessionId, to, { ...payload, message: text }));
+      socket.emit('success-message', 'Message sent');
     } catch (err) {
+      logger.error('send-message err', err);
       socket.emit('error-message', err?.message || String(err));
     }
   });
 
-  // download media from message (client asks to download by message key)
-  socket.on('download-media', async ({ sessionId='main', key }) => {
+  // edit / delete for everyone one of our sent messages by stored id
+  socket.on('edit-message', async ({ id, text } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      // need to fetch message from store
-      const msg = await s.sock.loadMessage(key);
-      if (!msg) return socket.emit('error-message', 'message not found');
-      const media = msg.message?.imageMessage || msg.message?.documentMessage || msg.message?.videoMessage;
-      if (!media) return socket.emit('error-message', 'no media');
-      const stream = await s.sock.decryptMedia(media);
-      const chunks = [];
-      for await (const chunk of stream) chunks.push(chunk);
-      const buffer = Buffer.concat(chunks);
-      socket.emit('download-media-result', { sessionId, data: buffer.toString('base64'), mime: media.mimetype || 'application/octet-stream' });
-    } catch (err) {
-      socket.emit('error-message', err?.message || String(err));
-    }
+      await editMessage(id, text);
+      socket.emit('success-message', 'Message edited');
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
-  // broadcast - send to multiple numbers
-  socket.on('broadcast', async ({ sessionId='main', numbers=[], message='' }) => {
+  socket.on('revoke-message', async ({ id } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      for (let i=0;i<numbers.length;i++){
-        const to = numbers[i];
-        const jid = formatJid(to);
-        try {
-          await s.sock.sendMessage(jid, { text: message });
-          await messageStore.insert({ sessionId, direction: 'out', from: s.sock.user?.id || null, to: jid, text: message });
-          socket.emit('broadcast-status', { id: sessionId, to: jid, status: 'sent', idx: i+1, total: numbers.length });
-        } catch (e) {
-          socket.emit('broadcast-status', { id: sessionId, to: jid, status: 'error', idx: i+1, total: numbers.length, error: e.message });
-        }
-      }
-      socket.emit('broadcast-complete', { id: sessionId, total: numbers.length });
-    } catch (err) {
-      socket.emit('error-message', err?.message || String(err));
-    }
+      await revokeMessage(id);
+      socket.emit('success-message', 'Message deleted for everyone');
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
-  // get chat/message history from DB
-  socket.on('get-history', async ({ sessionId='main', limit=200 }) => {
+  socket.on('get-message-edits', async ({ id } = {}) => {
     try {
-      const rows = await messageStore.history(sessionId, limit);
-      // send in chronological order
-      socket.emit('message-history', rows.reverse());
-    } catch (err) {
-      socket.emit('error-message', err?.message || String(err));
-    }
+      socket.emit('message-edits', { id, edits: await messageStore.edits(id) });
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
-  // get contacts
-  socket.on('get-contacts', ({ sessionId='main' } = {}) => {
-    const s = SESSIONS[sessionId];
-    if (!s || !s.sock) return socket.emit('contact-list', []);
-    const contacts = Object.values(s.sock.store.contacts || {}).map(c => ({ id: c.id, name: c.name || c.notify || c.id }));
-    socket.emit('contact-list', contacts);
+  socket.on('get-send-limits', async ({ sessionId='main' } = {}) => {
+    try {
+      socket.emit('send-limits', await sendLimiter.stats(sessionId));
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
-  // get groups (from store)
-  socket.on('get-groups', ({ sessionId='main' } = {}) => {
-    const s = SESSIONS[sessionId];
-    if (!s || !s.sock) return socket.emit('groups-list', []);
-    const groups = Object.values(s.sock.store.chats || {}).filter(c => c.id?.endsWith('@g.us')).map(g => ({ id: g.id, name: g.name || g.subject }));
-    socket.emit('groups-list', groups);
+  // message templates
+  socket.on('list-templates', async () => {
+    try {
+      socket.emit('templates-list', await templates.list());
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
-  // group create
-  socket.on('create-group', async ({ sessionId='main', subject, participants=[] }) => {
+  socket.on('save-template', async ({ id, name, body } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      const res = await s.sock.groupCreate(subject, participants.map(p => formatJid(p)));
-      socket.emit('group-created', res);
+      const tpl = id ? await templates.update(id, { name, body }) : await templates.create({ name, body });
+      if (!tpl) return socket.emit('error-message', 'template not found');
+      io.emit('templates-list', await templates.list());
+      socket.emit('success-message', 'Template saved');
     } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
-  // add participants
-  socket.on('group-add', async ({ sessionId='main', groupJid, participants=[] }) => {
+  socket.on('delete-template', async ({ id } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      await s.sock.groupAdd(groupJid, participants.map(p => formatJid(p)));
-      socket.emit('success-message', 'participants added');
+      if (!id) throw httpError(400, 'id required');
+      await templates.remove(id);
+      io.emit('templates-list', await templates.list());
     } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
-  // promote / demote
-  socket.on('group-promote', async ({ sessionId='main', groupJid, participant }) => {
+  // auto-reply rules
+  socket.on('list-autoreplies', async ({ sessionId=null } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      await s.sock.groupMakeAdmin(groupJid, [formatJid(participant)]);
+      socket.emit('autoreplies-list', await autoReplies.list(sessionId));
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  socket.on('save-autoreply', async ({ id, ...rule } = {}) => {
+    try {
+      const saved = id ? await autoReplies.update(id, rule) : await autoReplies.create(rule);
+      if (!saved) return socket.emit('error-message', 'rule not found');
+      socket.emit('autoreplies-list', await autoReplies.list(saved.session_id));
+      socket.emit('success-message', 'Auto-reply saved');
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  socket.on('delete-autoreply', async ({ id, sessionId=null } = {}) => {
+    try {
+      if (!id) throw httpError(400, 'id required');
+      await autoReplies.remove(id);
+      socket.emit('autoreplies-list', await autoReplies.list(sessionId));
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  // scheduled messages
+  socket.on('schedule-message', async ({ sessionId='main', to, message, mime, base64, fileName, sendAt, cron, endAt, expireMinutes } = {}) => {
+    try {
+      const file = base64 ? { base64, mime: mime || 'application/octet-stream', fileName } : null;
+      await scheduler.create({ sessionId, to, text: message || null, file, sendAt, cron: cron || null, endAt, expireMinutes });
+      socket.emit('success-message', 'Message scheduled');
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  socket.on('list-schedules', async ({ sessionId=null, status=null } = {}) => {
+    try {
+      socket.emit('schedules-list', await scheduler.list({ sessionId, status }));
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  socket.on('cancel-schedule', async ({ id } = {}) => {
+    try {
+      if (!id) throw httpError(400, 'id required');
+      const row = await scheduler.cancel(id);
+      if (!row) return socket.emit('error-message', 'schedule not found');
+      socket.emit('success-message', 'Schedule cancelled');
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  // send media file (from client multipart)
+  socket.on('send-media', async ({ sessionId='main', to, mime, base64, fileName, caption } = {}) => {
+    try {
+      if (!to) throw httpError(400, 'to required');
+      if (!base64 || typeof base64 !== 'string') throw httpError(400, 'base64 required');
+      await metrics.timeSend('send-media', () => sendMedia(sessionId, to, { buffer: Buffer.from(base64, 'base64'), mime, fileName, caption }));
+      socket.emit('success-message', 'Media sent');
+    } catch (err) {
+      socket.emit('error-message', err?.message || String(err));
+    }
+  });
+
+  // download media from message (client asks to download by message key)
+  socket.on('download-media', async ({ sessionId='main', key } = {}) => {
+    try {
+      const { buffer, mime } = await downloadMedia(sessionId, key);
+      socket.emit('download-media-result', { sessionId, data: buffer.toString('base64'), mime });
+    } catch (err) {
+      socket.emit('error-message', err?.message || String(err));
+    }
+  });
+
+  // broadcast - queue a persistent job for multiple numbers (progress via broadcast-job / broadcast-status)
+  socket.on('broadcast', async ({ sessionId='main', numbers=[], listId, message='', templateId, variables, intervalMs, jitterMs, ...rest } = {}) => {
+    try {
+      const template = templateId ? await templates.get(templateId) : null;
+      if (templateId && !template) return socket.emit('error-message', 'template not found');
+      const payload = await broadcastPayload(rest, template ? template.body : message);
+      const recipients = await broadcastRecipients({ numbers, listId });
+      const job = await broadcasts.create({ sessionId, numbers: recipients, listId: listId || null, message, template, variables, payload, intervalMs, jitterMs });
+      broadcasts.watch(socket, job.id);
+      socket.emit('broadcast-job', job);
+    } catch (err) {
+      socket.emit('error-message', err?.message || String(err));
+    }
+  });
+
+  socket.on('list-audiences', async () => {
+    try {
+      socket.emit('audiences-list', await audiences.list());
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  socket.on('list-broadcasts', async ({ sessionId=null, status=null } = {}) => {
+    try {
+      socket.emit('broadcasts-list', await broadcasts.list({ sessionId, status }));
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  // join the progress room of a job (e.g. after page reload)
+  socket.on('watch-broadcast', async ({ jobId } = {}) => {
+    try {
+      if (!jobId) throw httpError(400, 'jobId required');
+      const job = await broadcasts.get(jobId);
+      if (!job) return socket.emit('error-message', 'broadcast not found');
+      broadcasts.watch(socket, job.id);
+      socket.emit('broadcast-job', job);
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  socket.on('unwatch-broadcast', ({ jobId } = {}) => broadcasts.unwatch(socket, jobId));
+
+  for (const action of ['pause', 'resume', 'cancel']) {
+    socket.on(`broadcast-${action}`, async ({ jobId } = {}) => {
+      try {
+        if (!jobId) throw httpError(400, 'jobId required');
+        const job = await broadcasts[action](jobId);
+        if (!job) return socket.emit('error-message', 'broadcast not found');
+        socket.emit('success-message', `Broadcast ${job.id} ${job.status}`);
+      } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+    });
+  }
+
+  // get chat/message history from DB; with a jid: one page of that chat (before = cursor for older messages)
+  socket.on('get-history', async ({ sessionId='main', limit=200, jid, before } = {}) => {
+    try {
+      if (jid) {
+        const chatJid = formatJid(jid);
+        const page = await chats.messages(sessionId, chatJid, { before, limit, columns: MESSAGE_COLUMNS });
+        return socket.emit('message-history', { sessionId, jid: chatJid, before: before || null, messages: page.messages.reverse(), nextCursor: page.nextCursor });
+      }
+      const rows = await messageStore.history(sessionId, limit);
+      // send in chronological order
+      socket.emit('message-history', rows.reverse());
+    } catch (err) {
+      socket.emit('error-message', err?.message || String(err));
+    }
+  });
+
+  // message search panel
+  socket.on('search-messages', async ({ sessionId='main', q, direction, jid, mediaType, from, to, before, limit=50 } = {}) => {
+    try {
+      const page = await messageSearch.search({ q, sessionId, direction: direction || null, jid: jid ? formatJid(jid) : null, mediaType: mediaType || null, from: from || null, to: to || null, before, limit });
+      socket.emit('message-search', { ...page, before: before || null });
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  // conversation list
+  socket.on('list-chats', async ({ sessionId='main', archived=false, q=null } = {}) => {
+    try {
+      socket.emit('chats-list', { sessionId, chats: await chats.list({ sessionId, archived, q, limit: 200 }) });
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  // archive / pin / mute / rename a chat
+  socket.on('update-chat', async ({ sessionId='main', jid, archived, pinned, muted, name } = {}) => {
+    try {
+      const chat = await chats.update(sessionId, formatJid(jid), { archived, pinned, muted, name });
+      if (!chat) return socket.emit('error-message', 'chat not found');
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  // contact directory (stored), optionally searched by name / number
+  socket.on('get-contacts', async ({ sessionId='main', q=null, limit=200 } = {}) => {
+    try {
+      socket.emit('contact-list', await contacts.list({ sessionId, q, limit }));
+    } catch (err) { socket.emit('contact-list', []); }
+  });
+
+  socket.on('get-contact', async ({ sessionId='main', jid } = {}) => {
+    try {
+      const target = formatJid(jid);
+      socket.emit('contact', (await contacts.get(sessionId, target)) || { session_id: sessionId, jid: target, fields: {}, notes: null, display_name: target.split('@')[0] });
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  // custom fields / notes
+  socket.on('update-contact', async ({ sessionId='main', jid, fields, notes } = {}) => {
+    try {
+      await contacts.update(sessionId, formatJid(jid), { fields, notes });
+      socket.emit('success-message', 'Kontak disimpan');
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  // get groups (fetched from WhatsApp)
+  socket.on('get-groups', async ({ sessionId='main' } = {}) => {
+    try {
+      socket.emit('groups-list', await listGroups(sessionId));
+    } catch (err) { socket.emit('groups-list', []); }
+  });
+
+  // group create
+  socket.on('create-group', async ({ sessionId='main', subject, participants=[] } = {}) => {
+    try {
+      socket.emit('group-created', await createGroup(sessionId, subject, participants));
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  // add participants
+  socket.on('group-add', async ({ sessionId='main', groupJid, participants=[] } = {}) => {
+    try {
+      await updateGroupParticipants(sessionId, groupJid, participants, 'add');
+      socket.emit('success-message', 'participants added');
+    } catch (err) { socket.emit('error-message', err?.message || String(err)); }
+  });
+
+  // promote / demote
+  socket.on('group-promote', async ({ sessionId='main', groupJid, participant } = {}) => {
+    try {
+      await updateGroupParticipants(sessionId, groupJid, participant, 'promote');
       socket.emit('success-message', 'promoted');
     } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
-  socket.on('group-demote', async ({ sessionId='main', groupJid, participant }) => {
+  socket.on('group-demote', async ({ sessionId='main', groupJid, participant } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      await s.sock.groupDemoteAdmin(groupJid, [formatJid(participant)]);
+      await updateGroupParticipants(sessionId, groupJid, participant, 'demote');
       socket.emit('success-message', 'demoted');
     } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
   // presence (typing / composing)
-  socket.on('send-presence', async ({ sessionId='main', to, type='composing' }) => {
+  socket.on('send-presence', async ({ sessionId='main', to, type='composing' } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      await s.sock.sendPresenceUpdate(type, formatJid(to));
+      await sendPresence(sessionId, to, type);
     } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
   // block/unblock
-  socket.on('block', async ({ sessionId='main', jid }) => {
+  socket.on('block', async ({ sessionId='main', jid } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      await s.sock.updateBlockStatus(formatJid(jid), 'block');
+      await setBlocked(sessionId, jid, 'block');
       socket.emit('success-message', 'Blocked');
     } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
-  socket.on('unblock', async ({ sessionId='main', jid }) => {
+  socket.on('unblock', async ({ sessionId='main', jid } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      await s.sock.updateBlockStatus(formatJid(jid), 'unblock');
+      await setBlocked(sessionId, jid, 'unblock');
       socket.emit('success-message', 'Unblocked');
     } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
   // get profile picture & vcard
-  socket.on('get-profile', async ({ sessionId='main', jid }) => {
+  socket.on('get-profile', async ({ sessionId='main', jid } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      const ppUrl = await s.sock.profilePictureUrl(formatJid(jid)).catch(()=>null);
-      const vcard = s.sock.store?.contacts?.[formatJid(jid)] || null;
-      socket.emit('profile', { jid, ppUrl, vcard });
+      socket.emit('profile', await getProfile(sessionId, jid));
     } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
   // mark as read
-  socket.on('mark-read', async ({ sessionId='main', jid }) => {
+  socket.on('mark-read', async ({ sessionId='main', jid, keys, silent=false } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (!s || !s.sock) return socket.emit('error-message', 'session not active');
-      await s.sock.sendReadReceipt(formatJid(jid));
-      socket.emit('success-message', 'Marked as read');
+      await markRead(sessionId, { jid, keys });
+      if (!silent) socket.emit('success-message', 'Marked as read');
     } catch (err) { socket.emit('error-message', err?.message || String(err)); }
   });
 
   // logout session
   socket.on('logout-session', async ({ sessionId='main' } = {}) => {
     try {
-      const s = SESSIONS[sessionId];
-      if (s && s.sock) {
-        try { await s.sock.logout(); } catch(e){/*ignore*/ }
-        delete SESSIONS[sessionId];
-      }
-      await sessionStore.updateStatus(sessionId, 'logged_out');
-      // optionally clear mysql-auth creds
-      try { await clearSession(pool, sessionId); } catch(e){ /* ignore */ }
+      await logoutSession(sessionId);
       socket.emit('success-message', 'Logged out');
-      io.emit('session', { id: sessionId, status: 'logged_out' });
     } catch (err) {
       socket.emit('error-message', err?.message || String(err));
     }
@@ -538,53 +1434,1106 @@ io.on('connection', (socket) => {
 });
 
 /**
- * REST: some helpful endpoints (protected with simple api_key)
+ * REST: some helpful endpoints (protected with a scoped API key, or a logged-in dashboard user)
+ * key via x-api-key header, Authorization: Bearer <key> or ?api_key=
  */
-const API_KEY = process.env.API_KEY || 'changeme123';
-function requireApiKey(req, res, next) {
-  const key = req.headers['x-api-key'] || req.query.api_key;
-  if (!key || key !== API_KEY) return res.status(401).json({ error: 'invalid api key' });
+function presentedKey(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return req.headers['x-api-key'] || bearer?.[1] || req.query.api_key || null;
+}
+
+function applyRateLimit(res, bucket, limit) {
+  const rl = apiKeys.consume(bucket, limit);
+  res.set({
+    'X-RateLimit-Limit': String(rl.limit),
+    'X-RateLimit-Remaining': String(rl.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(rl.resetMs / 1000))
+  });
+  if (!rl.allowed) res.set('Retry-After', String(Math.ceil(rl.resetMs / 1000)));
+  return rl.allowed;
+}
+
+// sends rejected by the send limiter because a cap was reached say when to try again
+function setSendRetryAfter(res, err) {
+  if (err?.status === 429 && err.retryAt) res.set('Retry-After', String(Math.max(Math.ceil((err.retryAt - Date.now()) / 1000), 1)));
+}
+
+async function requireApiKey(req, res, next) {
+  try {
+    if (req.user) {
+      if (!applyRateLimit(res, `user:${req.user.id}`)) return res.status(429).json({ error: 'rate limit exceeded' });
+      return next();
+    }
+    const key = await apiKeys.verify(presentedKey(req));
+    if (!key) return res.status(401).json({ error: 'invalid api key' });
+    if (!applyRateLimit(res, `key:${key.id}`, key.rateLimit)) return res.status(429).json({ error: 'rate limit exceeded' });
+    req.apiKey = key;
+    // multipart bodies are parsed later; those routes run requireSessionScope after multer
+    if (req.is('multipart/form-data')) return next();
+    requireSessionScope(req, res, next);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+}
+
+// session-scoped keys: the request must name an allowed session (a single-session key defaults to it)
+function requireSessionScope(req, res, next) {
+  const key = req.apiKey;
+  if (!key?.sessions) return next();
+  const sessionId = req.params.sessionId || req.body?.sessionId || req.query.sessionId;
+  // by-id routes check the row's session instead (requireRowInScope / inScope)
+  if (!sessionId && req.params.id) return next();
+  if (sessionId) {
+    if (!apiKeys.allowsSession(key, sessionId)) return res.status(403).json({ error: `forbidden: key not allowed for session ${sessionId}` });
+  } else if (key.sessions.length === 1) {
+    if (req.method === 'GET') req.query.sessionId = key.sessions[0];
+    else req.body = { ...(req.body || {}), sessionId: key.sessions[0] };
+  } else {
+    return res.status(400).json({ error: 'sessionId required for this key' });
+  }
   next();
 }
 
-app.get('/api/sessions', requireApiKey, async (req,res) => {
-  const rows = await sessionStore.list();
-  res.json(rows);
+// dashboard users need the role, API keys a scope that covers it (see api-keys.js)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.user && !hasRole(req.user, role)) return res.status(403).json({ error: `forbidden: requires ${role}` });
+    if (req.apiKey && !apiKeys.allows(req.apiKey, role)) return res.status(403).json({ error: `forbidden: key scope does not cover ${role}` });
+    next();
+  };
+}
+
+// server-wide routes (users, keys, metrics): a key restricted to some sessions must not reach past its restriction
+function requireUnrestrictedKey(what) {
+  return (req, res, next) => {
+    if (req.apiKey?.sessions) return res.status(403).json({ error: `forbidden: ${what} need a key without session restriction` });
+    next();
+  };
+}
+
+function inScope(req, sessionId) {
+  return !req.apiKey || apiKeys.allowsSession(req.apiKey, sessionId);
+}
+
+// stored files a session-scoped key may send: those referenced by messages of its sessions
+async function requireMediaInScope(req, mediaId) {
+  if (!req.apiKey?.sessions) return;
+  if (!(await media.sessionsFor(mediaId)).some(sid => inScope(req, sid))) throw httpError(404, 'media not found');
+}
+
+// by-id routes: rows of other sessions look like missing rows to a session-scoped key
+function requireRowInScope(load, notFound) {
+  return async (req, res, next) => {
+    if (!req.apiKey?.sessions) return next();
+    try {
+      const row = await load(req.params.id);
+      if (row && !inScope(req, row.session_id)) return res.status(404).json({ error: notFound });
+      next();
+    } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+  };
+}
+const broadcastInScope = requireRowInScope(id => broadcasts.get(id), 'broadcast not found');
+const autoReplyInScope = requireRowInScope(id => autoReplies.get(id), 'rule not found');
+const scheduleInScope = requireRowInScope(id => scheduler.get(id), 'schedule not found');
+const messageInScope = requireRowInScope(id => messageStore.get(id), 'message not found');
+// webhooks.get() is the public shape (sessionId)
+const webhookInScope = requireRowInScope(async id => {
+  const hook = await webhooks.get(id);
+  return hook && { session_id: hook.sessionId };
+}, 'webhook not found');
+
+// Prometheus scrape endpoint (text format); give the scrape job an API key as bearer token
+// the metrics cover every session
+app.get('/metrics', requireApiKey, requireRole('viewer'), requireUnrestrictedKey('metrics'), async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+/**
+ * Dashboard login
+ */
+app.post('/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) return res.status(400).json({ error: 'username and password required' });
+    const result = await auth.login(username, password, { ip: req.ip, userAgent: req.headers['user-agent'] });
+    if (!result) return res.status(401).json({ error: 'invalid username or password' });
+    auth.setCookie(req, res, result.token, result.expiresAt);
+    res.json({ user: result.user, token: result.token, expiresAt: result.expiresAt });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/auth/logout', async (req, res) => {
+  try {
+    await auth.logout(auth.tokenFrom(req));
+    auth.clearCookie(res);
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/auth/me', (req, res) => {
+  if (!req.user) return res.status(401).json({ error: 'not logged in' });
+  res.json(req.user);
+});
+
+app.post('/auth/password', async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'not logged in' });
+    const { currentPassword, newPassword } = req.body || {};
+    const ok = await auth.checkPassword(req.user.id, currentPassword);
+    if (!ok) return res.status(400).json({ error: 'current password is wrong' });
+    await auth.update(req.user.id, { password: newPassword });
+    auth.clearCookie(res);
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+/**
+ * REST: dashboard users (admin)
+ */
+app.get('/api/users', requireApiKey, requireRole('admin'), requireUnrestrictedKey('users'), async (req, res) => {
+  try {
+    res.json(await auth.list());
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/users', requireApiKey, requireRole('admin'), requireUnrestrictedKey('users'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    res.status(201).json(await auth.create({ username, password, role }));
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+app.put('/api/users/:id', requireApiKey, requireRole('admin'), requireUnrestrictedKey('users'), async (req, res) => {
+  try {
+    const { password, role, active } = req.body || {};
+    const user = await auth.update(req.params.id, { password, role, active });
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    res.json(user);
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+app.delete('/api/users/:id', requireApiKey, requireRole('admin'), requireUnrestrictedKey('users'), async (req, res) => {
+  try {
+    if (req.user && String(req.user.id) === String(req.params.id)) return res.status(400).json({ error: 'cannot delete yourself' });
+    const ok = await auth.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: 'user not found' });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+/**
+ * REST: API keys (admin); the plain key is only returned by POST
+ */
+app.get('/api/keys', requireApiKey, requireRole('admin'), requireUnrestrictedKey('keys'), async (req, res) => {
+  try {
+    res.json(await apiKeys.list());
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/keys', requireApiKey, requireRole('admin'), requireUnrestrictedKey('keys'), async (req, res) => {
+  try {
+    const { label, scopes, sessions, rateLimit, expiresAt } = req.body || {};
+    const createdBy = req.user ? req.user.username : `key:${req.apiKey.id}`;
+    res.status(201).json(await apiKeys.create({ label, scopes, sessions, rateLimit, expiresAt, createdBy }));
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/keys/:id', requireApiKey, requireRole('admin'), requireUnrestrictedKey('keys'), async (req, res) => {
+  try {
+    const key = await apiKeys.get(req.params.id);
+    if (!key) return res.status(404).json({ error: 'api key not found' });
+    res.json(key);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.patch('/api/keys/:id', requireApiKey, requireRole('admin'), requireUnrestrictedKey('keys'), async (req, res) => {
+  try {
+    const { label, scopes, sessions, rateLimit, expiresAt } = req.body || {};
+    const key = await apiKeys.update(req.params.id, { label, scopes, sessions, rateLimit, expiresAt });
+    if (!key) return res.status(404).json({ error: 'api key not found' });
+    res.json(key);
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/keys/:id/revoke', requireApiKey, requireRole('admin'), requireUnrestrictedKey('keys'), async (req, res) => {
+  try {
+    const key = await apiKeys.revoke(req.params.id);
+    if (!key) return res.status(404).json({ error: 'api key not found or already revoked' });
+    res.json(key);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.delete('/api/keys/:id', requireApiKey, requireRole('admin'), requireUnrestrictedKey('keys'), async (req, res) => {
+  try {
+    const ok = await apiKeys.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: 'api key not found' });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/sessions', requireApiKey, requireRole('viewer'), async (req,res) => {
+  try {
+    const rows = await sessionStore.list();
+    res.json(rows.filter(r => inScope(req, r.session_id)));
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+// QR as JSON (data URL) or as a PNG image (?format=png or Accept: image/png)
+function sendQr(req, res, result, status = 200) {
+  const wantsPng = req.query.format === 'png' || (!req.query.format && req.accepts(['json', 'png']) === 'png');
+  if (wantsPng && result.qr) {
+    return res.status(status).type('png').send(Buffer.from(result.qr.split(',')[1], 'base64'));
+  }
+  res.status(status).json(result);
+}
+
+// start (or reuse) a session; answers with the QR once it is ready (202 while still loading),
+// or with a pairing code when a phone number is given
+app.post('/api/sessions', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const { sessionId='main', phone } = req.body || {};
+    if (phone) return res.json(await requestPairingCode(sessionId, phone));
+    const result = await startSessionAndWait(sessionId);
+    sendQr(req, res, result, result.status === 'loading' ? 202 : 200);
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/sessions/:sessionId/qr', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const s = SESSIONS[req.params.sessionId];
+    if (!s) return res.status(404).json({ error: 'session not started' });
+    if (s.connected) return res.status(409).json({ error: 'session already connected' });
+    if (!s.lastQr) return res.status(404).json({ error: 'no QR yet' });
+    sendQr(req, res, { sessionId: req.params.sessionId, status: 'qr_received', qr: s.lastQr });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+// a new pairing code for a session that is waiting to be linked (the previous code stops working)
+app.post('/api/sessions/:sessionId/pairing-code', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    res.json(await requestPairingCode(req.params.sessionId, req.body?.phone));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.delete('/api/sessions/:sessionId', requireApiKey, requireRole('admin'), async (req, res) => {
+  try {
+    await logoutSession(req.params.sessionId);
+    res.json({ ok: true });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/sessions/:sessionId/contacts', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await contacts.list({ sessionId: req.params.sessionId, q: req.query.q || null, limit: parseInt(req.query.limit || '100', 10), offset: parseInt(req.query.offset || '0', 10) }));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+// send limiter state: queue depth, sends of the last hour / day, rejections since start
+app.get('/api/sessions/:sessionId/send-limits', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await sendLimiter.stats(req.params.sessionId));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/sessions/:sessionId/groups', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await listGroups(req.params.sessionId));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/sessions/:sessionId/groups', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const { subject, participants } = req.body || {};
+    res.status(201).json(await createGroup(req.params.sessionId, subject, participants));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+// body: { participants: [...] } (promote/demote also accept { participant })
+app.post('/api/sessions/:sessionId/groups/:groupJid/:action(add|remove|promote|demote)', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const { participants, participant } = req.body || {};
+    const result = await updateGroupParticipants(req.params.sessionId, req.params.groupJid, participants || participant, req.params.action);
+    res.json({ ok: true, result });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/sessions/:sessionId/presence', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const { to, type='composing' } = req.body || {};
+    await sendPresence(req.params.sessionId, to, type);
+    res.json({ ok: true });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/sessions/:sessionId/:action(block|unblock)', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    await setBlocked(req.params.sessionId, (req.body || {}).jid, req.params.action);
+    res.json({ ok: true });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/sessions/:sessionId/profile/:jid', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await getProfile(req.params.sessionId, req.params.jid));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+// body: { jid } (latest stored incoming messages of that chat) or { keys: [message keys] }
+app.post('/api/sessions/:sessionId/read', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const { jid, keys } = req.body || {};
+    res.json({ ok: true, count: await markRead(req.params.sessionId, { jid, keys }) });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+// body: { key } -> raw file (or JSON with base64 when ?format=base64)
+app.post('/api/sessions/:sessionId/media/download', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const { buffer, mime } = await downloadMedia(req.params.sessionId, (req.body || {}).key);
+    if (req.query.format === 'base64') return res.json({ mime, data: buffer.toString('base64') });
+    res.type(mime).send(buffer);
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+// body: the send payload of outgoing.js (text, file, location, contacts, poll, reaction, replyTo, mentions) plus templateId / variables
+app.post('/api/send', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const { sessionId='main', to, message, templateId, variables, ...payload } = req.body || {};
+    if (!to) return res.status(400).json({ error: 'to required' });
+    if (payload.mediaId) await requireMediaInScope(req, payload.mediaId);
+    const text = await templates.resolve({ templateId, variables: templateId ? await withContact(sessionId, to, variables) : variables, message });
+    const { jid, key, messageId } = await metrics.timeSend('/api/send', () => sendPayload(sessionId, to, { ...payload, message: text }));
+    res.json({ ok: true, to: jid, key, messageId });
+  } catch (err) {
+    setSendRetryAfter(res, err);
+    res.status(err.status || 500).json({ error: err.message || String(err), missing: err.missing });
+  }
+});
+
+app.get('/api/messages', requireApiKey, requireRole('viewer'), async (req,res) => {
+  try {
+    const rows = await messageStore.history(req.query.sessionId || 'main', parseInt(req.query.limit || '200', 10));
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+// full-text search with filters, newest first; pass nextCursor as ?before= for the next page
+app.get('/api/messages/search', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    // without sessionId: all sessions (session-scoped keys always get one, see requireSessionScope)
+    const { q, sessionId, direction, jid, mediaType, from, to, before, limit='50' } = req.query;
+    res.json(await messageSearch.search({
+      q,
+      sessionId,
+      direction,
+      jid: jid ? formatJid(jid) : null,
+      mediaType,
+      from,
+      to,
+      before: before ? parseInt(before, 10) : null,
+      limit: parseInt(limit, 10)
+    }));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+// conversation export: csv, jsonl or a WhatsApp-style txt transcript; media=true zips it with the referenced files
+// streamed in batches, so the size of the export does not matter
+app.get('/api/messages/export', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const { format='csv', sessionId, jid, from, to } = req.query;
+    if (!EXPORT_FORMATS[format]) throw httpError(400, `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    const chatJid = jid ? formatJid(jid) : null;
+    const withMedia = ['1', 'true'].includes(String(req.query.media));
+    const filename = ['chat', sessionId || 'all', chatJid ? chatJid.split('@')[0] : null, new Date().toISOString().slice(0, 10)]
+      .filter(Boolean).join('-').replace(/[^a-zA-Z0-9._-]+/g, '_');
+    res.set({
+      'Content-Type': withMedia ? 'application/zip' : EXPORT_FORMATS[format].mime,
+      'Content-Disposition': `attachment; filename="${filename}.${withMedia ? 'zip' : EXPORT_FORMATS[format].ext}"`,
+      'Cache-Control': 'no-store'
+    });
+    const result = await exporter.stream(res, { format, filename, withMedia, sessionId, jid: chatJid, from, to });
+    logger.info(`export ${format}${withMedia ? '+media' : ''} (${sessionId || 'all sessions'}${chatJid ? ` ${chatJid}` : ''}): ${result.messages} messages`);
+  } catch (err) {
+    if (!res.headersSent) return res.status(err.status || 500).json({ error: err.message || String(err) });
+    // already streaming: all we can do is cut the download short
+    logger.warn(`export aborted: ${err?.message || err}`);
+    res.destroy();
+  }
+});
+
+// single message incl. delivery status (pending, sent, delivered, read, failed) and its timestamps
+app.get('/api/messages/:id', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const row = await messageStore.get(req.params.id);
+    if (!row || !inScope(req, row.session_id)) return res.status(404).json({ error: 'message not found' });
+    res.json({ ...row, has_media: !!row.media_id, media_url: row.media_id ? `/api/media/${row.media_id}` : null });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+// edit a sent text message / delete it for everyone; the stored row keeps the history (GET .../edits) and a deleted flag
+app.post('/api/messages/:id/edit', requireApiKey, requireRole('operator'), messageInScope, async (req, res) => {
+  try {
+    res.json(await editMessage(req.params.id, (req.body || {}).text));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/messages/:id/revoke', requireApiKey, requireRole('operator'), messageInScope, async (req, res) => {
+  try {
+    res.json(await revokeMessage(req.params.id));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/messages/:id/edits', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const row = await messageStore.get(req.params.id);
+    if (!row || !inScope(req, row.session_id)) return res.status(404).json({ error: 'message not found' });
+    res.json({ id: row.id, text: row.text, edited_at: row.edited_at, deleted: !!row.deleted, deleted_at: row.deleted_at, edits: await messageStore.edits(row.id) });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+// conversations: last message, unread count, archived / pinned / muted; pinned first, then most recent
+app.get('/api/chats', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const { sessionId='main', archived, q, limit='50', offset='0' } = req.query;
+    res.json(await chats.list({
+      sessionId,
+      archived: archived === undefined ? null : archived === 'true',
+      q: q || null,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    }));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/chats/:jid', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const chat = await chats.get(req.query.sessionId || 'main', formatJid(req.params.jid));
+    if (!chat) return res.status(404).json({ error: 'chat not found' });
+    res.json(chat);
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+// a chat's messages, newest first; pass nextCursor as ?before= for the next (older) page
+app.get('/api/chats/:jid/messages', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const { sessionId='main', before, limit='50' } = req.query;
+    const page = await chats.messages(sessionId, formatJid(req.params.jid), {
+      before: before ? parseInt(before, 10) : null,
+      limit: parseInt(limit, 10),
+      columns: MESSAGE_COLUMNS
+    });
+    res.json(page);
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.patch('/api/chats/:jid', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const { sessionId='main', archived, pinned, muted, name } = req.body || {};
+    const chat = await chats.update(sessionId, formatJid(req.params.jid), { archived, pinned, muted, name });
+    if (!chat) return res.status(404).json({ error: 'chat not found' });
+    res.json(chat);
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+// send read receipts for the chat's latest incoming messages and reset its unread count
+app.post('/api/chats/:jid/read', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const { sessionId='main' } = req.body || {};
+    const count = await markRead(sessionId, { jid: req.params.jid });
+    res.json({ ok: true, count });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
 });
 
-app.get('/api/messages', requireApiKey, async (req,res) => {
-  const rows = await messageStore.history(req.query.sessionId || 'main', parseInt(req.query.limit || '200', 10));
-  res.json(rows);
+// contact directory: search by name / push name / number / custom field value
+app.get('/api/contacts', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const { sessionId='main', q, limit='100', offset='0' } = req.query;
+    res.json(await contacts.list({ sessionId, q: q || null, limit: parseInt(limit, 10), offset: parseInt(offset, 10) }));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/contacts/:jid', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const contact = await contacts.get(req.query.sessionId || 'main', formatJid(req.params.jid));
+    if (!contact) return res.status(404).json({ error: 'contact not found' });
+    res.json(contact);
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err) }); }
+});
+
+// custom fields (merged; null removes one) and notes; creates the contact if needed
+app.patch('/api/contacts/:jid', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const { sessionId='main', fields, notes } = req.body || {};
+    res.json(await contacts.update(sessionId, formatJid(req.params.jid), { fields, notes }));
+  } catch (err) { res.status(err.status || 400).json({ error: err.message || String(err) }); }
+});
+
+// inbound media archiving settings of a session (+ current usage)
+app.get('/api/sessions/:sessionId/media-settings', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const settings = await mediaArchive.getSettings(req.params.sessionId);
+    res.json({ ...settings, usage: await mediaArchive.usage(req.params.sessionId) });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.put('/api/sessions/:sessionId/media-settings', requireApiKey, requireRole('admin'), async (req, res) => {
+  try {
+    const { enabled, maxFileMb, quotaMb, allowedMime } = req.body || {};
+    res.json(await mediaArchive.updateSettings(req.params.sessionId, { enabled, maxFileMb, quotaMb, allowedMime }));
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+// stored media file; supports Range requests (audio/video seeking, resumable downloads)
+app.get('/api/media/:id', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const row = await media.get(req.params.id);
+    if (!row) return res.status(404).json({ error: 'media not found' });
+    if (req.apiKey?.sessions && !(await media.sessionsFor(row.id)).some(sid => inScope(req, sid))) {
+      return res.status(404).json({ error: 'media not found' });
+    }
+    const etag = `"${row.sha256}"`;
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'ETag': etag,
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      'Content-Type': row.mime,
+      'Content-Disposition': `${req.query.download || !inlineAllowed(row.mime) ? 'attachment' : 'inline'}; filename="${encodeURIComponent(row.filename || `media-${row.id}`)}"`,
+      // a sender's html / svg must never run on the dashboard origin
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox'
+    });
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+
+    const size = Number(row.size);
+    const range = parseRange(req.headers.range, size);
+    if (range === false) return res.status(416).set('Content-Range', `bytes */${size}`).end();
+    if (range) res.status(206).set({ 'Content-Range': `bytes ${range.start}-${range.end}/${size}`, 'Content-Length': String(range.end - range.start + 1) });
+    else res.set('Content-Length', String(size));
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = media.open(row, range);
+    stream.on('error', (err) => {
+      logger.error(`media ${row.id} read err: ${err?.message || err}`);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.removeHeader('Content-Range');
+        res.status(err.code === 'ENOENT' ? 404 : 500).type('json').json({ error: err.code === 'ENOENT' ? 'media file missing' : 'media read failed' });
+      }
+      else res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
 });
 
 // upload + send media via REST (multipart)
-app.post('/api/send-media', requireApiKey, upload.single('file'), async (req, res) => {
+app.post('/api/send-media', requireApiKey, requireRole('operator'), upload.single('file'), apiValidator.validateMultipart, requireSessionScope, async (req, res) => {
   const filePath = req.file?.path;
   try {
     const sessionId = req.body.sessionId || 'main';
     const to = req.body.to;
     if (!filePath || !to) return res.status(400).json({ error: 'file and to required' });
-    const s = SESSIONS[sessionId];
-    if (!s || !s.sock) return res.status(404).json({ error: 'session not active' });
     const buffer = fs.readFileSync(filePath);
-    await s.sock.sendMessage(formatJid(to), { document: buffer });
-    await messageStore.insert({ sessionId, direction: 'out', from: s.sock.user?.id || null, to: formatJid(to), text: null, media_type: req.file.mimetype, media_base64: buffer.toString('base64') });
+    const { jid, key, messageId } = await metrics.timeSend('/api/send-media', () => sendMedia(sessionId, to, { buffer, mime: req.file.mimetype, fileName: req.file.originalname, asDocument: true }));
+    res.json({ ok: true, to: jid, key, messageId });
+  } catch (err) {
+    setSendRetryAfter(res, err);
+    res.status(err.status || 500).json({ error: err.message || String(err) });
+  } finally {
+    if (filePath && fs.existsSync(filePath)) try { fs.unlinkSync(filePath); } catch(e){}
+  }
+});
+
+// upload + send an image with caption via REST (multipart)
+app.post('/api/send-image', requireApiKey, requireRole('operator'), upload.single('file'), apiValidator.validateMultipart, requireSessionScope, async (req, res) => {
+  const filePath = req.file?.path;
+  try {
+    const sessionId = req.body.sessionId || 'main';
+    const to = req.body.to;
+    if (!filePath || !to) return res.status(400).json({ error: 'file and to required' });
+    if (!/^image\//.test(req.file.mimetype)) return res.status(400).json({ error: 'file must be an image' });
+    const buffer = fs.readFileSync(filePath);
+    const { jid, key, messageId } = await metrics.timeSend('/api/send-image', () => sendPayload(sessionId, to, { type: 'image', buffer, mime: req.file.mimetype, message: req.body.caption || undefined }));
+    res.json({ ok: true, to: jid, key, messageId });
+  } catch (err) {
+    setSendRetryAfter(res, err);
+    res.status(err.status || 500).json({ error: err.message || String(err) });
+  } finally {
+    if (filePath && fs.existsSync(filePath)) try { fs.unlinkSync(filePath); } catch(e){}
+  }
+});
+
+/**
+ * REST: webhook subscriptions
+ */
+app.get('/api/webhooks', requireApiKey, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await webhooks.list(req.query.sessionId || null));
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/webhooks', requireApiKey, requireRole('admin'), async (req, res) => {
+  const { sessionId, url, events, secret } = req.body || {};
+  if (!sessionId || !url) return res.status(400).json({ error: 'sessionId and url required' });
+  try {
+    res.status(201).json(await webhooks.create({ sessionId, url, events, secret }));
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/webhooks/:id', requireApiKey, requireRole('admin'), webhookInScope, async (req, res) => {
+  try {
+    const hook = await webhooks.get(req.params.id);
+    if (!hook) return res.status(404).json({ error: 'webhook not found' });
+    res.json(hook);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.patch('/api/webhooks/:id', requireApiKey, requireRole('admin'), webhookInScope, async (req, res) => {
+  try {
+    const hook = await webhooks.update(req.params.id, req.body || {});
+    if (!hook) return res.status(404).json({ error: 'webhook not found' });
+    res.json(hook);
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+app.delete('/api/webhooks/:id', requireApiKey, requireRole('admin'), webhookInScope, async (req, res) => {
+  try {
+    const ok = await webhooks.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: 'webhook not found' });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+// delivery log
+app.get('/api/webhooks/:id/deliveries', requireApiKey, requireRole('admin'), webhookInScope, async (req, res) => {
+  try {
+    res.json(await webhooks.deliveries(req.params.id, parseInt(req.query.limit || '50', 10)));
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/webhooks/:id/deliveries/:deliveryId', requireApiKey, requireRole('admin'), webhookInScope, async (req, res) => {
+  try {
+    const d = await webhooks.getDelivery(req.params.id, req.params.deliveryId);
+    if (!d) return res.status(404).json({ error: 'delivery not found' });
+    res.json(d);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireApiKey, requireRole('admin'), webhookInScope, async (req, res) => {
+  try {
+    const d = await webhooks.redeliver(req.params.id, req.params.deliveryId);
+    if (!d) return res.status(404).json({ error: 'delivery not found' });
+    res.json(d);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+/**
+ * REST: audience lists (broadcast recipients imported from CSV / XLSX)
+ */
+app.get('/api/audiences', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await audiences.list());
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+// JSON { name, description } for an empty list, or multipart with a file to import right away
+app.post('/api/audiences', requireApiKey, requireRole('operator'), upload.single('file'), apiValidator.validateMultipart, async (req, res) => {
+  try {
+    const { name, description, phoneColumn } = req.body || {};
+    const createdBy = req.user ? req.user.username : `key:${req.apiKey.id}`;
+    const list = await audiences.create({ name, description, createdBy });
+    if (!req.file) return res.status(201).json({ list, report: null });
+    let report;
+    try {
+      report = await audiences.importFile(list.id, { buffer: fs.readFileSync(req.file.path), filename: req.file.originalname, mime: req.file.mimetype, phoneColumn });
+    } catch (err) {
+      // nothing usable in the file: don't leave an empty list behind
+      await audiences.remove(list.id).catch(() => {});
+      throw err;
+    }
+    res.status(201).json({ list: await audiences.get(list.id), report });
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message || String(err) });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) try { fs.unlinkSync(req.file.path); } catch(e){}
+  }
+});
+
+app.get('/api/audiences/:id', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const list = await audiences.get(req.params.id);
+    if (!list) return res.status(404).json({ error: 'audience list not found' });
+    res.json(list);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.patch('/api/audiences/:id', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+    const list = await audiences.update(req.params.id, { name, description });
+    if (!list) return res.status(404).json({ error: 'audience list not found' });
+    res.json(list);
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+app.delete('/api/audiences/:id', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    if (!(await audiences.remove(req.params.id))) return res.status(404).json({ error: 'audience list not found' });
     res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/audiences/:id/members', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    if (!(await audiences.get(req.params.id))) return res.status(404).json({ error: 'audience list not found' });
+    res.json(await audiences.members(req.params.id, {
+      q: req.query.q || null,
+      limit: parseInt(req.query.limit || '100', 10),
+      offset: parseInt(req.query.offset || '0', 10)
+    }));
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+// add (or with replace=true: replace) members from a CSV / XLSX file; returns the validation report
+app.post('/api/audiences/:id/import', requireApiKey, requireRole('operator'), upload.single('file'), apiValidator.validateMultipart, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'file required' });
+    const { phoneColumn, replace } = req.body || {};
+    const report = await audiences.importFile(req.params.id, {
+      buffer: fs.readFileSync(req.file.path),
+      filename: req.file.originalname,
+      mime: req.file.mimetype,
+      phoneColumn,
+      replace: replace === true || replace === 'true'
+    });
+    if (!report) return res.status(404).json({ error: 'audience list not found' });
+    res.json({ list: await audiences.get(req.params.id), report });
   } catch (err) {
-    res.status(500).json({ error: err.message || String(err) });
+    res.status(err.status || 500).json({ error: err.message || String(err) });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) try { fs.unlinkSync(req.file.path); } catch(e){}
+  }
+});
+
+/**
+ * REST: broadcast jobs
+ */
+app.get('/api/broadcasts', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await broadcasts.list({
+      sessionId: req.query.sessionId || null,
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit || '50', 10)
+    }));
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/broadcasts', requireApiKey, requireRole('operator'), async (req, res) => {
+  const { sessionId='main', numbers, listId, message, templateId, variables, intervalMs, jitterMs, ...rest } = req.body || {};
+  if (!listId && (!Array.isArray(numbers) || !numbers.length)) {
+    return res.status(400).json({ error: 'numbers (or listId) required' });
+  }
+  try {
+    const template = templateId ? await templates.get(templateId) : null;
+    if (templateId && !template) return res.status(404).json({ error: 'template not found' });
+    if (rest.mediaId) await requireMediaInScope(req, rest.mediaId);
+    const payload = await broadcastPayload(rest, template ? template.body : message);
+    const recipients = await broadcastRecipients({ numbers, listId });
+    res.status(201).json(await broadcasts.create({ sessionId, numbers: recipients, listId: listId || null, message, template, variables, payload, intervalMs, jitterMs }));
+  } catch (err) { res.status(err.status || 400).json({ error: err.message || String(err), missing: err.missing }); }
+});
+
+app.get('/api/broadcasts/:id', requireApiKey, requireRole('viewer'), broadcastInScope, async (req, res) => {
+  try {
+    const job = await broadcasts.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'broadcast not found' });
+    res.json(job);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/broadcasts/:id/recipients', requireApiKey, requireRole('viewer'), broadcastInScope, async (req, res) => {
+  try {
+    res.json(await broadcasts.recipients(req.params.id, {
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit || '500', 10),
+      offset: parseInt(req.query.offset || '0', 10)
+    }));
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/broadcasts/:id/:action(pause|resume|cancel)', requireApiKey, requireRole('operator'), broadcastInScope, async (req, res) => {
+  try {
+    const job = await broadcasts[req.params.action](req.params.id);
+    if (!job) return res.status(404).json({ error: 'broadcast not found' });
+    res.json(job);
+  } catch (err) { res.status(409).json({ error: err.message || String(err) }); }
+});
+
+/**
+ * REST: message templates
+ */
+app.get('/api/templates', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await templates.list());
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/templates', requireApiKey, requireRole('operator'), async (req, res) => {
+  const { name, body } = req.body || {};
+  if (!name || !body) return res.status(400).json({ error: 'name and body required' });
+  try {
+    res.status(201).json(await templates.create({ name, body }));
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/templates/:id', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const tpl = await templates.get(req.params.id);
+    if (!tpl) return res.status(404).json({ error: 'template not found' });
+    res.json(tpl);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.put('/api/templates/:id', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const tpl = await templates.update(req.params.id, req.body || {});
+    if (!tpl) return res.status(404).json({ error: 'template not found' });
+    res.json(tpl);
+  } catch (err) { res.status(400).json({ error: err.message || String(err) }); }
+});
+
+app.delete('/api/templates/:id', requireApiKey, requireRole('operator'), async (req, res) => {
+  try {
+    const ok = await templates.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: 'template not found' });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+// render without sending (preview / check variables)
+app.post('/api/templates/:id/render', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const text = await templates.resolve({ templateId: req.params.id, variables: req.body?.variables || {} });
+    res.json({ text });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message || String(err), missing: err.missing }); }
+});
+
+/**
+ * REST: auto-reply rules
+ * POST/PUT accept JSON or multipart (optional field: file, used for replyType=media)
+ */
+function autoReplyInput(req) {
+  const body = { ...(req.body || {}) };
+  if (req.file) {
+    body.replyMediaBase64 = fs.readFileSync(req.file.path).toString('base64');
+    body.replyMediaMime = req.file.mimetype;
+    body.replyMediaFilename = req.file.originalname;
+  }
+  // multipart sends everything as strings
+  for (const k of ['caseSensitive', 'ignoreFromMe', 'enabled']) {
+    if (body[k] === 'false' || body[k] === '0') body[k] = false;
+  }
+  return body;
+}
+
+app.get('/api/autoreplies', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await autoReplies.list(req.query.sessionId || null));
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/autoreplies', requireApiKey, requireRole('operator'), upload.single('file'), apiValidator.validateMultipart, requireSessionScope, async (req, res) => {
+  try {
+    res.status(201).json(await autoReplies.create(autoReplyInput(req)));
+  } catch (err) {
+    res.status(400).json({ error: err.message || String(err) });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) try { fs.unlinkSync(req.file.path); } catch(e){}
+  }
+});
+
+// which rule would answer a given text (dry run, no cooldown, nothing sent)
+app.post('/api/autoreplies/test', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    const { sessionId='main', text, isGroup=false, fromMe=false } = req.body || {};
+    const rule = await autoReplies.findRule(sessionId, { text, isGroup, fromMe });
+    res.json({ matched: !!rule, rule: rule ? await autoReplies.get(rule.id) : null });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.get('/api/autoreplies/:id', requireApiKey, requireRole('viewer'), autoReplyInScope, async (req, res) => {
+  try {
+    const rule = await autoReplies.get(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'rule not found' });
+    res.json(rule);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.put('/api/autoreplies/:id', requireApiKey, requireRole('operator'), autoReplyInScope, upload.single('file'), apiValidator.validateMultipart, requireSessionScope, async (req, res) => {
+  try {
+    const rule = await autoReplies.update(req.params.id, autoReplyInput(req));
+    if (!rule) return res.status(404).json({ error: 'rule not found' });
+    res.json(rule);
+  } catch (err) {
+    res.status(400).json({ error: err.message || String(err) });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) try { fs.unlinkSync(req.file.path); } catch(e){}
+  }
+});
+
+app.delete('/api/autoreplies/:id', requireApiKey, requireRole('operator'), autoReplyInScope, async (req, res) => {
+  try {
+    const ok = await autoReplies.remove(req.params.id);
+    if (!ok) return res.status(404).json({ error: 'rule not found' });
+    res.json({ ok: true });
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+/**
+ * REST: scheduled messages
+ * POST accepts JSON or multipart (optional field: file)
+ */
+app.get('/api/schedules', requireApiKey, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await scheduler.list({
+      sessionId: req.query.sessionId || null,
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit || '100', 10)
+    }));
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.post('/api/schedules', requireApiKey, requireRole('operator'), upload.single('file'), apiValidator.validateMultipart, requireSessionScope, async (req, res) => {
+  const filePath = req.file?.path;
+  try {
+    const { sessionId='main', to, message, sendAt, cron, endAt, expireMinutes } = req.body || {};
+    const file = req.file
+      ? { buffer: fs.readFileSync(filePath), mime: req.file.mimetype, fileName: req.file.originalname }
+      : null;
+    res.status(201).json(await scheduler.create({ sessionId, to, text: message || null, file, sendAt, cron: cron || null, endAt, expireMinutes }));
+  } catch (err) {
+    res.status(400).json({ error: err.message || String(err) });
   } finally {
     if (filePath && fs.existsSync(filePath)) try { fs.unlinkSync(filePath); } catch(e){}
   }
 });
 
+app.get('/api/schedules/:id', requireApiKey, requireRole('viewer'), scheduleInScope, async (req, res) => {
+  try {
+    const row = await scheduler.get(req.params.id);
+    if (!row) return res.status(404).json({ error: 'schedule not found' });
+    res.json(row);
+  } catch (err) { res.status(500).json({ error: err.message || String(err) }); }
+});
+
+app.delete('/api/schedules/:id', requireApiKey, requireRole('operator'), scheduleInScope, async (req, res) => {
+  try {
+    const row = await scheduler.cancel(req.params.id);
+    if (!row) return res.status(404).json({ error: 'schedule not found' });
+    res.json(row);
+  } catch (err) { res.status(409).json({ error: err.message || String(err) }); }
+});
+
+// unknown API routes answer in JSON like the rest of the API
+app.use('/api', (req, res) => res.status(404).json({ error: `no route for ${req.method} ${req.originalUrl.split('?')[0]}` }));
+
+/**
+ * reconnect every session that was logged in before the restart, one after another
+ * logged out sessions stay down, and so do sessions that never finished pairing (no phone number):
+ * nobody is there to scan their QR
+ */
+async function restoreSessions() {
+  const rows = (await sessionStore.list()).filter(r => r.status !== 'logged_out' && r.phone_number);
+  if (!rows.length) return;
+  logger.info(`restoring ${rows.length} session(s)`);
+  for (const r of rows) {
+    if (shuttingDown) return;
+    try {
+      await startBaileysSession(r.session_id);
+    } catch (err) {
+      logger.error(`[${r.session_id}] restore err: ${err?.message || err}`);
+      await scheduleReconnect(r.session_id, { error: err?.message || String(err) }).catch(() => {});
+    }
+    await new Promise(resolve => setTimeout(resolve, SESSION_RESTORE_STAGGER_MS));
+  }
+}
+
+/**
+ * SIGTERM / SIGINT: stop the workers and close the WhatsApp sockets without logging out,
+ * so the stored credentials stay valid and restoreSessions() picks the sessions up again
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info(`${signal} received, shutting down`);
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+  for (const sessionId of Object.keys(RECONNECTS)) cancelReconnect(sessionId);
+  scheduler?.stop();
+  webhooks?.stop();
+  media?.stop();
+  // a runner may be mid-send: let it finish and record the outcome before the sockets and the pool close
+  await broadcasts?.stop().catch(err => logger.error(`broadcast stop err: ${err?.message || err}`));
+  for (const [sessionId, s] of Object.entries(SESSIONS)) {
+    try { s.sock.end(undefined); } catch (e) { /* already closed */ }
+    await sessionStore.updateStatus(sessionId, 'disconnected').catch(() => {});
+  }
+  io.close(); // closes the HTTP server too
+  await pool?.end().catch(() => {});
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 /**
  * Start server after DB init
  */
 (async () => {
   try {
     await initDB();
+    // imported sessions get their row (with the phone number), so restoreSessions() brings them up
+    for (const { sessionId, phone } of await importAuthFolders(pool, LEGACY_AUTH_DIRS, { logger })) {
+      await sessionStore.upsert(sessionId, { phone, status: 'disconnected' });
+    }
+    auth = createAuthService({ pool, logger });
+    await auth.ensureAdmin();
+    apiKeys = createApiKeyService({ pool, logger });
+    await apiKeys.importLegacyKey(process.env.API_KEY);
+    chats = createChatService({ pool, logger, io });
+    messageSearch = createMessageSearch({ pool, columns: MESSAGE_COLUMNS });
+    contacts = createContactService({ pool, logger, io });
+    media = createMediaService({ pool, logger });
+    media.start();
+    exporter = createExportService({ pool, logger, media });
+    sendLimiter = createSendLimiter({
+      pool, logger, onReject: metrics.sendRejected,
+      presence: (sessionId, jid, type) => sendPresence(sessionId, jid, type)
+    });
+    mediaArchive = createMediaArchiver({ pool, logger, io, media, download: fetchMessageMedia });
+    webhooks = createWebhookService({ pool, logger });
+    templates = createTemplateService({ pool });
+    audiences = createAudienceService({ pool, logger });
+    autoReplies = createAutoReplyService({
+      pool, logger, templates, contacts, media,
+      sendText: (...args) => metrics.timeSend('autoreply', () => sendText(...args)),
+      sendMedia: (...args) => metrics.timeSend('autoreply', () => sendMedia(...args))
+    });
+    webhooks.start();
+    broadcasts = createBroadcastService({
+      pool, logger, io, formatJid,
+      send: (...args) => metrics.timeSend('broadcast', () => sendPayload(...args)),
+      isSessionActive: (sessionId) => !!SESSIONS[sessionId]?.connected
+    });
+    await broadcasts.start();
+    scheduler = createSchedulerService({
+      pool, logger, io, formatJid, media,
+      sendText: (...args) => metrics.timeSend('schedule', () => sendText(...args)),
+      sendMedia: (...args) => metrics.timeSend('schedule', () => sendMedia(...args)),
+      isSessionActive: (sessionId) => !!SESSIONS[sessionId]?.connected
+    });
+    scheduler.start();
     server.listen(PORT, () => {
       logger.info(`Server listening on http://localhost:${PORT}`);
+      restoreSessions().catch(err => logger.error(`session restore err: ${err?.message || err}`));
     });
   } catch (err) {
     logger.error('Fatal startup error:', err);
@@ -0,0 +1,274 @@
+// audiences.js
+const path = require('path');
+
+/**
+ * Configuration
+ */
+const AUDIENCE_COUNTRY_CODE = String(process.env.AUDIENCE_COUNTRY_CODE || '62').replace(/[^0-9]/g, ''); // local 08.. -> 628..
+const AUDIENCE_MAX_ROWS = parseInt(process.env.AUDIENCE_MAX_ROWS || '50000', 10);
+const AUDIENCE_INSERT_BATCH = 500;
+const AUDIENCE_REPORT_LIMIT = 500; // invalid rows listed in the import report
+
+// header names recognised as the phone column (after normalizeColumn)
+const PHONE_COLUMNS = ['phone', 'number', 'nomor', 'no', 'no_hp', 'hp', 'nomor_hp', 'no_wa', 'whatsapp', 'wa', 'msisdn', 'to', 'mobile'];
+
+/**
+ * "Nama Lengkap" -> nama_lengkap, so columns work as {{nama_lengkap}} in templates
+ */
+function normalizeColumn(name, index) {
+  const col = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return col || `col_${index + 1}`;
+}
+
+const SCI_RE = /^(\d+)(?:\.(\d+))?e\+(\d+)$/i;
+
+/**
+ * digits only, local 0-prefix -> country code; returns null when it cannot be a WhatsApp number
+ */
+function normalizePhone(value) {
+  let digits = String(value ?? '').trim();
+  // spreadsheets show long numbers as 6.28123E+11; unless every digit is still there it is some other number
+  const sci = SCI_RE.exec(digits);
+  if (sci) {
+    const [, int, frac = '', exp] = sci;
+    if (frac.length !== Number(exp)) return null;
+    digits = int + frac;
+  }
+  digits = digits.replace(/[^0-9]/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  else if (digits.startsWith('0')) digits = AUDIENCE_COUNTRY_CODE + digits.slice(1);
+  if (digits.length < 8 || digits.length > 15) return null;
+  return digits;
+}
+
+/**
+ * RFC 4180-ish CSV: quoted fields, "" escapes, newlines inside quotes; , ; or tab (sniffed from the first line)
+ */
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+// optional dependency, only needed for spreadsheet uploads
+function loadXlsx() {
+  try {
+    return require('xlsx');
+  } catch (err) {
+    if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    throw Object.assign(new Error('XLSX import is not available on this server (optional xlsx package not installed), upload CSV'), { status: 415 });
+  }
+}
+
+// whole numbers as the number itself: the displayed text of 628123456789 in a General cell is 6.28123E+11
+function cellText(XLSX, cell) {
+  if (!cell) return '';
+  if (cell.t === 'n' && Number.isInteger(cell.v) && !XLSX.SSF.is_date(cell.z || 'General')) return String(cell.v);
+  return cell.w !== undefined ? cell.w : String(cell.v ?? '');
+}
+
+function parseXlsx(buffer) {
+  const XLSX = loadXlsx();
+  const book = XLSX.read(buffer, { type: 'buffer', cellNF: true });
+  const sheet = book.Sheets[book.SheetNames[0]];
+  if (!sheet || !sheet['!ref']) return [];
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const rows = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) row.push(cellText(XLSX, sheet[XLSX.utils.encode_cell({ r, c })]));
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+/**
+ * rows (first row = header) from an uploaded CSV or XLSX file
+ */
+function parseUpload({ buffer, filename = '', mime = '' }) {
+  const ext = path.extname(String(filename)).toLowerCase();
+  if (ext === '.xlsx' || ext === '.xls' || /spreadsheetml|ms-excel/.test(mime)) return parseXlsx(buffer);
+  if (ext === '.csv' || ext === '.txt' || /^text\//.test(mime) || !ext) return parseCsv(buffer.toString('utf8'));
+  throw Object.assign(new Error('unsupported file type, upload CSV or XLSX'), { status: 400 });
+}
+
+function toPublic(row) {
+  if (!row) return null;
+  let columns = [];
+  try { columns = JSON.parse(row.columns || '[]'); } catch (e) { /* keep [] */ }
+  return { ...row, columns };
+}
+
+/**
+ * Audience lists: named recipient lists for broadcasts
+ * - imported from CSV / XLSX; numbers are normalized and de-duplicated per list
+ * - every other column is kept per member and becomes a template variable ({{column}})
+ */
+function createAudienceService({ pool, logger }) {
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  async function list() {
+    const rows = await query(
+      `SELECT l.*, (SELECT COUNT(*) FROM audience_members m WHERE m.list_id = l.id) AS total
+       FROM audience_lists l ORDER BY l.name`);
+    return rows.map(toPublic);
+  }
+
+  async function get(id) {
+    const rows = await query(
+      `SELECT l.*, (SELECT COUNT(*) FROM audience_members m WHERE m.list_id = l.id) AS total
+       FROM audience_lists l WHERE l.id=?`, [id]);
+    return toPublic(rows[0]);
+  }
+
+  async function create({ name, description = null, createdBy = null }) {
+    if (!name || !String(name).trim()) throw new Error('name required');
+    try {
+      const res = await query(`INSERT INTO audience_lists (name, description, created_by) VALUES (?, ?, ?)`, [String(name).trim(), description || null, createdBy]);
+      return get(res.insertId);
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') throw new Error(`list "${name}" already exists`);
+      throw err;
+    }
+  }
+
+  async function update(id, { name, description } = {}) {
+    const current = await get(id);
+    if (!current) return null;
+    try {
+      await query(`UPDATE audience_lists SET name=?, description=? WHERE id=?`,
+        [name ? String(name).trim() : current.name, description !== undefined ? (description || null) : current.description, id]);
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') throw new Error(`list "${name}" already exists`);
+      throw err;
+    }
+    return get(id);
+  }
+
+  async function remove(id) {
+    await query(`DELETE FROM audience_members WHERE list_id=?`, [id]);
+    const res = await query(`DELETE FROM audience_lists WHERE id=?`, [id]);
+    return res.affectedRows > 0;
+  }
+
+  async function members(id, { q = null, limit = 100, offset = 0 } = {}) {
+    const params = [id];
+    let sql = `SELECT * FROM audience_members WHERE list_id=?`;
+    if (q) { sql += ` AND (phone LIKE ? OR fields LIKE ?)`; params.push(`%${q}%`, `%${q}%`); }
+    sql += ` ORDER BY id LIMIT ? OFFSET ?`;
+    params.push(Math.min(limit, 1000), offset);
+    const rows = await query(sql, params);
+    return rows.map(r => ({ ...r, fields: r.fields ? JSON.parse(r.fields) : {} }));
+  }
+
+  /**
+   * import a CSV / XLSX upload into a list
+   * - phoneColumn: header of the number column (default: first recognised name, else the first column)
+   * - replace: drop the current members first
+   * returns a report: rows, imported, updated (already in the list), duplicates (within the file), invalid [{ row, value, reason }]
+   */
+  async function importFile(id, { buffer, filename, mime, phoneColumn = null, replace = false }) {
+    const current = await get(id);
+    if (!current) return null;
+    if (!buffer || !buffer.length) throw Object.assign(new Error('file required'), { status: 400 });
+
+    const rows = parseUpload({ buffer, filename, mime });
+    if (rows.length < 2) throw Object.assign(new Error('file has no data rows (first row must be the header)'), { status: 400 });
+    if (rows.length - 1 > AUDIENCE_MAX_ROWS) throw Object.assign(new Error(`too many rows (max ${AUDIENCE_MAX_ROWS})`), { status: 400 });
+
+    const header = rows[0].map(normalizeColumn);
+    const wanted = phoneColumn ? normalizeColumn(phoneColumn, 0) : null;
+    const phoneIdx = wanted ? header.indexOf(wanted) : Math.max(header.findIndex(h => PHONE_COLUMNS.includes(h)), 0);
+    if (phoneIdx < 0) throw Object.assign(new Error(`column "${phoneColumn}" not found (columns: ${header.join(', ')})`), { status: 400 });
+
+    const report = { listId: Number(id), rows: rows.length - 1, imported: 0, updated: 0, duplicates: 0, invalid: [], invalidCount: 0, phoneColumn: header[phoneIdx], columns: header };
+    const seen = new Map(); // phone -> values
+    rows.slice(1).forEach((r, i) => {
+      const raw = r[phoneIdx];
+      const phone = normalizePhone(raw);
+      if (!phone) {
+        report.invalidCount++;
+        if (report.invalid.length < AUDIENCE_REPORT_LIMIT) {
+          // +2: 1-based and the header row
+          const value = String(raw ?? '').trim();
+          const reason = !value ? 'empty number' : (SCI_RE.test(value) ? 'digits lost to scientific notation, format the column as text' : 'invalid number');
+          report.invalid.push({ row: i + 2, value: String(raw ?? ''), reason });
+        }
+        return;
+      }
+      if (seen.has(phone)) { report.duplicates++; return; }
+      const fields = {};
+      header.forEach((col, c) => { if (c !== phoneIdx && r[c] !== undefined && String(r[c]).trim() !== '') fields[col] = String(r[c]).trim(); });
+      seen.set(phone, [String(raw).trim(), fields]);
+    });
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      if (replace) await conn.query(`DELETE FROM audience_members WHERE list_id=?`, [id]);
+      const entries = [...seen.entries()];
+      for (let i = 0; i < entries.length; i += AUDIENCE_INSERT_BATCH) {
+        const chunk = entries.slice(i, i + AUDIENCE_INSERT_BATCH);
+        const [existing] = await conn.query(`SELECT phone FROM audience_members WHERE list_id=? AND phone IN (?)`, [id, chunk.map(([phone]) => phone)]);
+        const batch = chunk.map(([phone, [raw, fields]]) =>
+          [id, raw.slice(0, 100), phone, `${phone}@s.whatsapp.net`, Object.keys(fields).length ? JSON.stringify(fields) : null]);
+        await conn.query(
+          `INSERT INTO audience_members (list_id, recipient, phone, jid, fields) VALUES ?
+           ON DUPLICATE KEY UPDATE recipient=VALUES(recipient), fields=VALUES(fields)`, [batch]);
+        report.updated += existing.length;
+        report.imported += batch.length - existing.length;
+      }
+      const columns = [...new Set([...(replace ? [] : current.columns), ...header.filter((_, c) => c !== phoneIdx)])];
+      await conn.query(`UPDATE audience_lists SET columns=? WHERE id=?`, [JSON.stringify(columns), id]);
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    } finally { conn.release(); }
+
+    logger.info(`audience list ${id}: imported ${report.imported}, updated ${report.updated}, invalid ${report.invalidCount}, duplicates ${report.duplicates}`);
+    return report;
+  }
+
+  /**
+   * members as broadcast recipients: [{ to, variables }]
+   */
+  async function recipients(id) {
+    const rows = await query(`SELECT phone, fields FROM audience_members WHERE list_id=? ORDER BY id`, [id]);
+    return rows.map(r => ({ to: r.phone, variables: r.fields ? JSON.parse(r.fields) : {} }));
+  }
+
+  return { list, get, create, update, remove, members, importFile, recipients };
+}
+
+module.exports = { createAudienceService, normalizePhone, parseCsv, parseUpload };
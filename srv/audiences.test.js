@@ -0,0 +1,46 @@
+// audiences.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhone, parseCsv, parseUpload } = require('./audiences');
+
+let XLSX = null;
+try { XLSX = require('xlsx'); } catch (e) { /* optional dependency */ }
+
+test('normalizePhone keeps digits and turns a local 0 into the country code', () => {
+  assert.equal(normalizePhone('+62 812-3456-789'), '628123456789');
+  assert.equal(normalizePhone('08123456789'), '628123456789');
+  assert.equal(normalizePhone('0044 20 7946 0958'), '442079460958');
+  assert.equal(normalizePhone('12345'), null);
+  assert.equal(normalizePhone(''), null);
+});
+
+test('normalizePhone only expands scientific notation that kept every digit', () => {
+  assert.equal(normalizePhone('6.28123456789E+11'), '628123456789');
+  // General-format display of 628123456789: expanding it would give 628123000000, someone else's number
+  assert.equal(normalizePhone('6.28123E+11'), null);
+  assert.equal(normalizePhone('6.281234567891E+11'), null);
+});
+
+test('parseCsv handles quotes, escaped quotes, newlines in quotes and sniffs the delimiter', () => {
+  assert.deepEqual(parseCsv('phone;name\n0812;"Ana ""A"""\n0813;"two\nlines"\n'), [['phone', 'name'], ['0812', 'Ana "A"'], ['0813', 'two\nlines']]);
+  assert.deepEqual(parseCsv('\uFEFFphone,name\r\n0812,Ana\r\n\r\n'), [['phone', 'name'], ['0812', 'Ana']]);
+});
+
+test('parseUpload refuses other file types', () => {
+  assert.throws(() => parseUpload({ buffer: Buffer.from('x'), filename: 'list.pdf', mime: 'application/pdf' }), { status: 400 });
+});
+
+test('XLSX uploads are a 415 without the optional xlsx package', { skip: !!XLSX && 'xlsx is installed' }, () => {
+  assert.throws(() => parseUpload({ buffer: Buffer.from('PK'), filename: 'list.xlsx' }), { status: 415 });
+});
+
+test('XLSX number cells keep every digit, dates keep their displayed text', { skip: !XLSX && 'optional xlsx package not installed' }, () => {
+  const sheet = XLSX.utils.aoa_to_sheet([['phone', 'name', 'joined'], [628123456789, 'Ana', new Date(Date.UTC(2024, 2, 1))], ['08123456789', 'Budi', '']]);
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, sheet, 'list');
+  const buffer = XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+  const rows = parseUpload({ buffer, filename: 'list.xlsx' });
+  assert.deepEqual(rows.map(r => r.slice(0, 2)), [['phone', 'name'], ['628123456789', 'Ana'], ['08123456789', 'Budi']]);
+  assert.match(rows[1][2], /\d+\/\d+\/\d+/);
+  assert.equal(normalizePhone(rows[1][0]), '628123456789');
+});
@@ -0,0 +1,227 @@
+// auth.js
+const crypto = require('crypto');
+
+/**
+ * Configuration
+ */
+const SESSION_COOKIE = 'wa_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '12', 10);
+
+// admin > operator > viewer
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * scrypt password hashes stored as scrypt$<salt hex>$<hash hex>
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [algo, saltHex, hashHex] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const k = part.slice(0, idx).trim();
+    if (k) out[k] = decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return out;
+}
+
+function hasRole(user, role) {
+  if (!user) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function toPublic(row) {
+  if (!row) return null;
+  return { id: row.id, username: row.username, role: row.role, active: !!row.active, last_login_at: row.last_login_at, created_at: row.created_at };
+}
+
+/**
+ * Dashboard accounts + login sessions
+ * - session token lives in an HttpOnly cookie (or handshake auth.token for socket clients); only its sha256 is stored
+ * - middleware() fills req.user, socketMiddleware() rejects anonymous Socket.IO clients
+ */
+function createAuthService({ pool, logger }) {
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  async function list() {
+    const rows = await query(`SELECT * FROM users ORDER BY username`);
+    return rows.map(toPublic);
+  }
+
+  async function get(id) {
+    const rows = await query(`SELECT * FROM users WHERE id=?`, [id]);
+    return toPublic(rows[0]);
+  }
+
+  function validate({ username, password, role }, { partial = false } = {}) {
+    if (!partial || username !== undefined) {
+      if (!username || !/^[a-zA-Z0-9_.-]{3,64}$/.test(username)) throw new Error('username must be 3-64 chars (letters, digits, _ . -)');
+    }
+    if (!partial || password !== undefined) {
+      if (!password || String(password).length < 8) throw new Error('password must be at least 8 characters');
+    }
+    if (role !== undefined && !ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+  }
+
+  async function create({ username, password, role = 'viewer' }) {
+    validate({ username, password, role });
+    try {
+      const res = await query(`INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)`, [username, hashPassword(password), role]);
+      return get(res.insertId);
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') throw new Error(`user "${username}" already exists`);
+      throw err;
+    }
+  }
+
+  async function update(id, { password, role, active } = {}) {
+    const user = await get(id);
+    if (!user) return null;
+    validate({ password, role }, { partial: true });
+    const sets = [];
+    const params = [];
+    if (password !== undefined) { sets.push('password_hash=?'); params.push(hashPassword(password)); }
+    if (role !== undefined) { sets.push('role=?'); params.push(role); }
+    if (active !== undefined) { sets.push('active=?'); params.push(active ? 1 : 0); }
+    if (sets.length) {
+      params.push(id);
+      await query(`UPDATE users SET ${sets.join(', ')} WHERE id=?`, params);
+    }
+    // password change or deactivation ends existing logins
+    if (password !== undefined || active === false) await query(`DELETE FROM user_sessions WHERE user_id=?`, [id]);
+    return get(id);
+  }
+
+  async function remove(id) {
+    await query(`DELETE FROM user_sessions WHERE user_id=?`, [id]);
+    const res = await query(`DELETE FROM users WHERE id=?`, [id]);
+    return res.affectedRows > 0;
+  }
+
+  async function checkPassword(userId, password) {
+    const rows = await query(`SELECT password_hash FROM users WHERE id=?`, [userId]);
+    return !!rows[0] && verifyPassword(password, rows[0].password_hash);
+  }
+
+  /**
+   * check credentials; returns { user, token, expiresAt } or null
+   */
+  async function login(username, password, { ip = null, userAgent = null } = {}) {
+    const rows = await query(`SELECT * FROM users WHERE username=?`, [username]);
+    const row = rows[0];
+    if (!row || !row.active || !verifyPassword(password, row.password_hash)) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+    await query(`DELETE FROM user_sessions WHERE expires_at < ?`, [new Date()]);
+    await query(`INSERT INTO user_sessions (token_hash, user_id, ip, user_agent, expires_at) VALUES (?, ?, ?, ?, ?)`,
+      [sha256(token), row.id, ip, userAgent ? String(userAgent).slice(0, 255) : null, expiresAt]);
+    await query(`UPDATE users SET last_login_at=NOW() WHERE id=?`, [row.id]);
+    return { user: toPublic(row), token, expiresAt };
+  }
+
+  async function logout(token) {
+    if (token) await query(`DELETE FROM user_sessions WHERE token_hash=?`, [sha256(token)]);
+  }
+
+  async function userForToken(token) {
+    if (!token) return null;
+    const rows = await query(
+      `SELECT u.* FROM user_sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.token_hash=? AND s.expires_at > ? AND u.active=1`, [sha256(token), new Date()]);
+    return toPublic(rows[0]);
+  }
+
+  function tokenFrom(req) {
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  function setCookie(req, res, token, expiresAt) {
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      expires: expiresAt,
+      path: '/'
+    });
+  }
+
+  function clearCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+  }
+
+  /**
+   * express: attach req.user when a valid session cookie is present
+   */
+  async function middleware(req, res, next) {
+    try {
+      req.user = await userForToken(tokenFrom(req));
+    } catch (err) {
+      logger.error(`auth middleware err: ${err?.message || err}`);
+      req.user = null;
+    }
+    next();
+  }
+
+  /**
+   * Socket.IO handshake: cookie (browser) or auth.token (other clients)
+   */
+  async function socketMiddleware(socket, next) {
+    try {
+      const token = socket.handshake.auth?.token || parseCookies(socket.handshake.headers.cookie)[SESSION_COOKIE];
+      const user = await userForToken(token);
+      if (!user) return next(new Error('unauthorized'));
+      socket.data.user = user;
+      next();
+    } catch (err) {
+      next(new Error('unauthorized'));
+    }
+  }
+
+  /**
+   * first boot: create an admin from ADMIN_USERNAME / ADMIN_PASSWORD (random password if unset)
+   */
+  async function ensureAdmin() {
+    const rows = await query(`SELECT COUNT(*) AS n FROM users`);
+    if (rows[0].n > 0) return;
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    let password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+      password = crypto.randomBytes(9).toString('base64url');
+      logger.warn(`No users found — created "${username}" with generated password: ${password} (change it after first login)`);
+    } else {
+      logger.info(`No users found — created admin "${username}" from ADMIN_PASSWORD`);
+    }
+    await create({ username, password, role: 'admin' });
+  }
+
+  return {
+    list, get, create, update, remove, checkPassword, login, logout, userForToken,
+    tokenFrom, setCookie, clearCookie, middleware, socketMiddleware, ensureAdmin
+  };
+}
+
+module.exports = { createAuthService, hasRole, hashPassword, verifyPassword, ROLES };
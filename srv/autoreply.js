@@ -0,0 +1,319 @@
+// autoreply.js
+const vm = require('vm');
+const { renderTemplate } = require('./templates');
+
+/**
+ * Configuration
+ */
+const AUTO_REPLY_REGEX_TIMEOUT_MS = parseInt(process.env.AUTO_REPLY_REGEX_TIMEOUT_MS || '50', 10); // per rule and message
+
+const MATCH_TYPES = ['exact', 'contains', 'regex'];
+const CHAT_SCOPES = ['all', 'private', 'group'];
+const REPLY_TYPES = ['text', 'media', 'template'];
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+// regex rules only see this much of a message: bounds the work a slow pattern can do on the event loop
+const REGEX_MAX_INPUT = 1000;
+const NEVER = /(?!)/;
+
+// user patterns run under a vm timeout: polynomial backtracking (\d+\d+\d+$) gets past unsafeRegex
+const regexContext = vm.createContext({});
+const regexTest = new vm.Script('regex.test(input)');
+
+function testRegex(regex, input) {
+  regexContext.regex = regex;
+  regexContext.input = input;
+  try {
+    return regexTest.runInContext(regexContext, { timeout: AUTO_REPLY_REGEX_TIMEOUT_MS });
+  } finally {
+    regexContext.regex = null;
+    regexContext.input = null;
+  }
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(n => parseInt(n, 10));
+  return h * 60 + m;
+}
+
+/**
+ * true when `now` falls inside the rule's days / time window (server local time)
+ * a window with from > to wraps past midnight (e.g. 22:00-06:00)
+ */
+function inWindow(rule, now = new Date()) {
+  if (rule.active_days) {
+    const days = String(rule.active_days).split(',').map(Number);
+    if (!days.includes(now.getDay())) return false;
+  }
+  if (rule.active_from && rule.active_to) {
+    const cur = now.getHours() * 60 + now.getMinutes();
+    const from = minutesOf(rule.active_from);
+    const to = minutesOf(rule.active_to);
+    return from <= to ? (cur >= from && cur < to) : (cur >= from || cur < to);
+  }
+  return true;
+}
+
+/**
+ * a repeated group that itself repeats or alternates ((a+)+, (\w*)*, (a|ab)*) can backtrack exponentially;
+ * rules with such patterns are refused
+ */
+function unsafeRegex(pattern) {
+  const src = String(pattern);
+  const groups = []; // per open group: contains a quantifier or an alternation
+  let inClass = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '\\') { i++; continue; }
+    if (inClass) { if (ch === ']') inClass = false; continue; }
+    if (ch === '[') inClass = true;
+    else if (ch === '(') groups.push(false);
+    else if (ch === ')') {
+      const risky = groups.pop();
+      if (risky && /[*+{]/.test(src[i + 1] || '')) return true;
+      if (risky && groups.length) groups[groups.length - 1] = true;
+    } else if ((ch === '*' || ch === '+' || ch === '{' || ch === '|') && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+function compileRegex(rule) {
+  return new RegExp(rule.pattern, rule.case_sensitive ? '' : 'i');
+}
+
+// rule.regex: compiled once when the rules are cached (rulesFor)
+// a regex that runs out of time throws (err.code ERR_SCRIPT_EXECUTION_TIMEOUT)
+function matches(rule, text) {
+  const input = String(text || '').trim();
+  if (!input) return false;
+  const cs = !!rule.case_sensitive;
+  if (rule.match_type === 'regex') {
+    let regex;
+    try { regex = rule.regex || compileRegex(rule); } catch (e) { return false; }
+    return testRegex(regex, input.slice(0, REGEX_MAX_INPUT));
+  }
+  const a = cs ? input : input.toLowerCase();
+  const b = cs ? rule.pattern : String(rule.pattern).toLowerCase();
+  return rule.match_type === 'exact' ? a === b : a.includes(b);
+}
+
+/**
+ * validate + normalise a rule payload (API field names are camelCase)
+ */
+function normalize(input = {}, current = {}) {
+  const pick = (k, col, def = null) => (input[k] !== undefined ? input[k] : (current[col] !== undefined ? current[col] : def));
+  const rule = {
+    session_id: pick('sessionId', 'session_id'),
+    name: pick('name', 'name'),
+    match_type: pick('matchType', 'match_type', 'contains'),
+    pattern: pick('pattern', 'pattern'),
+    case_sensitive: pick('caseSensitive', 'case_sensitive', 0) ? 1 : 0,
+    chat_scope: pick('chatScope', 'chat_scope', 'all'),
+    active_days: pick('activeDays', 'active_days'),
+    active_from: pick('activeFrom', 'active_from'),
+    active_to: pick('activeTo', 'active_to'),
+    reply_type: pick('replyType', 'reply_type', 'text'),
+    reply_text: pick('replyText', 'reply_text'),
+    reply_media_base64: pick('replyMediaBase64', 'reply_media_base64'),
+    reply_media_id: pick('replyMediaId', 'reply_media_id'),
+    reply_media_mime: pick('replyMediaMime', 'reply_media_mime'),
+    reply_media_filename: pick('replyMediaFilename', 'reply_media_filename'),
+    template_id: pick('templateId', 'template_id'),
+    priority: parseInt(pick('priority', 'priority', 100), 10),
+    cooldown_seconds: parseInt(pick('cooldownSeconds', 'cooldown_seconds', 300), 10),
+    ignore_from_me: pick('ignoreFromMe', 'ignore_from_me', 1) ? 1 : 0,
+    enabled: pick('enabled', 'enabled', 1) ? 1 : 0
+  };
+
+  for (const k of ['active_days', 'active_from', 'active_to', 'template_id']) {
+    if (rule[k] === '') rule[k] = null;
+  }
+
+  if (!rule.session_id) throw new Error('sessionId required');
+  if (!rule.pattern) throw new Error('pattern required');
+  if (!MATCH_TYPES.includes(rule.match_type)) throw new Error(`matchType must be one of ${MATCH_TYPES.join(', ')}`);
+  if (!CHAT_SCOPES.includes(rule.chat_scope)) throw new Error(`chatScope must be one of ${CHAT_SCOPES.join(', ')}`);
+  if (!REPLY_TYPES.includes(rule.reply_type)) throw new Error(`replyType must be one of ${REPLY_TYPES.join(', ')}`);
+  if (rule.match_type === 'regex') {
+    try { new RegExp(rule.pattern); } catch (e) { throw new Error(`invalid regex: ${e.message}`); }
+    if (unsafeRegex(rule.pattern)) throw new Error('regex must not repeat a group that repeats or alternates itself, e.g. (a+)+ or (a|b)*');
+  }
+  if (Array.isArray(rule.active_days)) rule.active_days = rule.active_days.join(',');
+  if (rule.active_days && !/^[0-6](,[0-6])*$/.test(String(rule.active_days))) throw new Error('activeDays must be a list of 0-6 (0 = sunday)');
+  if ((rule.active_from || rule.active_to) && !(TIME_RE.test(rule.active_from || '') && TIME_RE.test(rule.active_to || ''))) {
+    throw new Error('activeFrom and activeTo must both be HH:MM');
+  }
+  if (rule.reply_type === 'text' && !rule.reply_text) throw new Error('replyText required');
+  if (rule.reply_type === 'media' && !rule.reply_media_id && !rule.reply_media_base64) throw new Error('reply media required');
+  if (rule.reply_type === 'template' && !rule.template_id) throw new Error('templateId required');
+  if (!Number.isFinite(rule.priority)) rule.priority = 100;
+  if (!Number.isFinite(rule.cooldown_seconds) || rule.cooldown_seconds < 0) rule.cooldown_seconds = 300;
+  return rule;
+}
+
+function toPublic(row) {
+  if (!row) return null;
+  const { reply_media_base64, ...rest } = row;
+  return { ...rest, has_media: !!(rest.reply_media_id || reply_media_base64) };
+}
+
+/**
+ * Auto-reply rules per session
+ * - evaluated for every incoming message (messages.upsert, type notify)
+ * - lowest priority value first; the first matching rule replies, the rest are skipped
+ * - per rule + contact cooldown keeps two bots from replying to each other forever
+ * - reply files live in the media store (reply_media_id); an uploaded replyMediaBase64 is moved there on save
+ */
+function createAutoReplyService({ pool, logger, templates, contacts, media, sendText, sendMedia }) {
+  const cache = new Map();     // sessionId -> enabled rules, sorted
+  const lastReply = new Map(); // `${ruleId}:${jid}` -> timestamp
+
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  async function getRow(id) {
+    const rows = await query(`SELECT * FROM auto_reply_rules WHERE id=?`, [id]);
+    return rows[0] || null;
+  }
+
+  async function list(sessionId = null) {
+    const rows = sessionId
+      ? await query(`SELECT * FROM auto_reply_rules WHERE session_id=? ORDER BY priority, id`, [sessionId])
+      : await query(`SELECT * FROM auto_reply_rules ORDER BY session_id, priority, id`);
+    return rows.map(toPublic);
+  }
+
+  async function get(id) {
+    return toPublic(await getRow(id));
+  }
+
+  // a new reply file goes to the media store, the rule keeps its id
+  async function storeReplyMedia(r) {
+    if (!r.reply_media_base64) return r;
+    const stored = await media.save(Buffer.from(r.reply_media_base64, 'base64'), {
+      mime: r.reply_media_mime || 'application/octet-stream', filename: r.reply_media_filename
+    });
+    return { ...r, reply_media_id: stored.id, reply_media_base64: null };
+  }
+
+  async function create(input) {
+    const r = await storeReplyMedia(normalize(input));
+    const res = await query(`INSERT INTO auto_reply_rules SET ?`, [r]);
+    cache.delete(r.session_id);
+    return get(res.insertId);
+  }
+
+  async function update(id, input) {
+    const current = await getRow(id);
+    if (!current) return null;
+    const r = await storeReplyMedia(normalize(input, current));
+    await query(`UPDATE auto_reply_rules SET ? WHERE id=?`, [r, id]);
+    cache.delete(current.session_id);
+    cache.delete(r.session_id);
+    return get(id);
+  }
+
+  async function remove(id) {
+    const current = await getRow(id);
+    if (!current) return false;
+    await query(`DELETE FROM auto_reply_rules WHERE id=?`, [id]);
+    cache.delete(current.session_id);
+    return true;
+  }
+
+  async function rulesFor(sessionId) {
+    if (!cache.has(sessionId)) {
+      const rows = await query(`SELECT * FROM auto_reply_rules WHERE session_id=? AND enabled=1 ORDER BY priority, id`, [sessionId]);
+      // regexes compiled once; stored rules from before the unsafe-pattern check never match
+      cache.set(sessionId, rows.map(row => {
+        if (row.match_type !== 'regex') return row;
+        if (unsafeRegex(row.pattern)) {
+          logger.warn(`auto-reply rule ${row.id}: unsafe regex ignored, edit the rule`);
+          return { ...row, regex: NEVER };
+        }
+        try { return { ...row, regex: compileRegex(row) }; } catch (e) { return { ...row, regex: NEVER }; }
+      }));
+    }
+    return cache.get(sessionId);
+  }
+
+  /**
+   * first rule that would fire for this message (ignores cooldown)
+   */
+  async function findRule(sessionId, { text, isGroup = false, fromMe = false, now = new Date() }) {
+    for (const rule of await rulesFor(sessionId)) {
+      if (fromMe && rule.ignore_from_me) continue;
+      if (rule.chat_scope === 'private' && isGroup) continue;
+      if (rule.chat_scope === 'group' && !isGroup) continue;
+      if (!inWindow(rule, now)) continue;
+      try {
+        if (matches(rule, text)) return rule;
+      } catch (err) {
+        if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+        // too slow once, too slow again: the cached rule stays off until it is edited
+        logger.warn(`auto-reply rule ${rule.id}: regex took over ${AUTO_REPLY_REGEX_TIMEOUT_MS}ms and is switched off, edit the rule`);
+        rule.regex = NEVER;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * called from messages.upsert for each stored message
+   */
+  async function handle(sessionId, msg, text) {
+    try {
+      const jid = msg.key?.remoteJid;
+      if (!jid || !text) return;
+      const isGroup = jid.endsWith('@g.us');
+      const rule = await findRule(sessionId, { text, isGroup, fromMe: !!msg.key.fromMe });
+      if (!rule) return;
+
+      // cooldown per rule + contact (in groups: per participant)
+      const contact = isGroup ? (msg.key.participant || jid) : jid;
+      const cdKey = `${rule.id}:${contact}`;
+      const last = lastReply.get(cdKey) || 0;
+      if (Date.now() - last < rule.cooldown_seconds * 1000) return;
+      lastReply.set(cdKey, Date.now());
+
+      if (rule.reply_type === 'media') {
+        const stored = rule.reply_media_id ? await media.readBuffer(rule.reply_media_id) : { buffer: Buffer.from(rule.reply_media_base64, 'base64') };
+        if (!stored) throw new Error(`reply media ${rule.reply_media_id} not found`);
+        await sendMedia(sessionId, jid, {
+          buffer: stored.buffer,
+          mime: rule.reply_media_mime || stored.mime || 'application/octet-stream',
+          fileName: rule.reply_media_filename,
+          caption: rule.reply_text || undefined
+        });
+      } else {
+        let reply = rule.reply_text;
+        if (rule.reply_type === 'template') {
+          const tpl = await templates.get(rule.template_id);
+          if (!tpl) throw new Error(`template ${rule.template_id} not found`);
+          reply = renderTemplate(tpl.body, {
+            name: msg.pushName || contact.split('@')[0],
+            number: contact.split('@')[0],
+            jid: contact,
+            text,
+            session: sessionId,
+            contact: await contacts.templateVars(sessionId, contact)
+          });
+        }
+        await sendText(sessionId, jid, reply);
+      }
+      logger.info(`[${sessionId}] auto-reply rule ${rule.id} -> ${jid}`);
+    } catch (err) {
+      logger.error(`[${sessionId}] auto-reply err: ${err?.message || err}`);
+    }
+  }
+
+  return { list, get, create, update, remove, findRule, handle };
+}
+
+module.exports = { createAutoReplyService };
@@ -0,0 +1,53 @@
+// autoreply.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAutoReplyService } = require('./autoreply');
+
+const rule = (id, pattern, extra = {}) => ({
+  id, session_id: 'main', match_type: 'regex', pattern, case_sensitive: 0, chat_scope: 'all', active_days: null,
+  active_from: null, active_to: null, reply_type: 'text', reply_text: 'ok', priority: id, cooldown_seconds: 0, ignore_from_me: 1, enabled: 1, ...extra
+});
+
+// auto_reply_rules rows in memory; warnings collects logger.warn
+function service(rows) {
+  const warnings = [];
+  const pool = {
+    async getConnection() {
+      return {
+        async query(sql) { return [/FROM auto_reply_rules/.test(sql) ? rows : { insertId: 1 }]; },
+        release() {}
+      };
+    }
+  };
+  const logger = { info() {}, error() {}, warn: (m) => warnings.push(m) };
+  return { autoReplies: createAutoReplyService({ pool, logger }), warnings };
+}
+
+test('regex rules match case-insensitively unless asked', async () => {
+  const { autoReplies } = service([rule(1, '^harga\\s+(\\d+)$'), rule(2, '^Hi$', { case_sensitive: 1 })]);
+  assert.equal((await autoReplies.findRule('main', { text: 'HARGA 10' }))?.id, 1);
+  assert.equal((await autoReplies.findRule('main', { text: 'Hi' }))?.id, 2);
+  assert.equal(await autoReplies.findRule('main', { text: 'hi' }), null);
+});
+
+test('nested quantifiers are refused when a rule is saved', async () => {
+  const { autoReplies } = service([]);
+  for (const pattern of ['(a+)+$', '(\\w*)*', '(a|a)*']) {
+    await assert.rejects(autoReplies.create({ sessionId: 'main', matchType: 'regex', pattern, replyText: 'x' }), /must not repeat a group/, pattern);
+  }
+});
+
+test('a polynomially slow regex is cut off and switched off instead of blocking the event loop', async () => {
+  const { autoReplies, warnings } = service([rule(1, '\\d+\\d+\\d+\\d+$'), rule(2, 'x$')]);
+  const text = '1'.repeat(999) + 'x';
+  const started = Date.now();
+  assert.equal((await autoReplies.findRule('main', { text }))?.id, 2);
+  assert.ok(Date.now() - started < 2000, `matching took ${Date.now() - started} ms`);
+  assert.match(warnings[0], /rule 1: regex took over \d+ms and is switched off/);
+
+  // the cached rule no longer runs its pattern
+  const again = Date.now();
+  assert.equal((await autoReplies.findRule('main', { text }))?.id, 2);
+  assert.ok(Date.now() - again < 20);
+  assert.equal(warnings.length, 1);
+});
@@ -0,0 +1,287 @@
+// broadcasts.js
+const { renderTemplate, templateVariables } = require('./templates');
+
+/**
+ * Configuration (defaults, can be overridden per job)
+ */
+const BROADCAST_INTERVAL_MS = parseInt(process.env.BROADCAST_INTERVAL_MS || '3000', 10);
+const BROADCAST_JITTER_MS = parseInt(process.env.BROADCAST_JITTER_MS || '2000', 10);
+const BROADCAST_LIMIT_RETRY_MS = 60 * 1000; // longest wait before retrying after the session's send limit was hit
+
+/**
+ * Broadcast jobs
+ * - a job and its recipients are stored in MySQL, so progress survives restarts
+ * - one runner loop per running job sends to the next pending recipient, then waits interval + random jitter
+ * - a job whose session is not connected goes to 'waiting' and continues when the session comes back
+ * - a send refused by the session's send limiter (429) keeps its recipient pending; the runner waits and retries
+ * - send(sessionId, jid, payload) gets the send payload of outgoing.js: the job's payload plus the recipient's text
+ * - stop() (shutdown) lets the runners finish their current send and leaves their jobs running for start() after a restart
+ *
+ * job status: queued -> running <-> paused / waiting -> completed | cancelled
+ */
+function createBroadcastService({ pool, logger, io, send, formatJid, isSessionActive }) {
+  const runners = new Map(); // jobId -> { stop, wake, finished }
+  let stopping = false;
+
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  function room(jobId) {
+    return `broadcast:${jobId}`;
+  }
+
+  async function get(jobId) {
+    const rows = await query(`SELECT * FROM broadcast_jobs WHERE id=?`, [jobId]);
+    return rows[0] || null;
+  }
+
+  async function list({ sessionId = null, status = null, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    if (sessionId) { where.push('session_id=?'); params.push(sessionId); }
+    if (status) { where.push('status=?'); params.push(status); }
+    params.push(limit);
+    return query(`SELECT * FROM broadcast_jobs ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`, params);
+  }
+
+  async function recipients(jobId, { status = null, limit = 500, offset = 0 } = {}) {
+    const params = [jobId];
+    let sql = `SELECT * FROM broadcast_recipients WHERE job_id=?`;
+    if (status) { sql += ` AND status=?`; params.push(status); }
+    sql += ` ORDER BY id LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+    return query(sql, params);
+  }
+
+  async function setStatus(jobId, status, { started = false, finished = false, lastError } = {}) {
+    const sets = ['status=?'];
+    const params = [status];
+    if (started) sets.push('started_at=COALESCE(started_at, NOW())');
+    if (finished) sets.push('finished_at=NOW()');
+    if (lastError !== undefined) { sets.push('last_error=?'); params.push(lastError); }
+    params.push(jobId);
+    await query(`UPDATE broadcast_jobs SET ${sets.join(', ')} WHERE id=?`, params);
+    const job = await get(jobId);
+    io.emit('broadcast-job', job);
+    return job;
+  }
+
+  /**
+   * create a job; numbers are de-duplicated by jid
+   * - numbers: ['628..', ...] or [{ to, variables }, ...] (an audience list arrives as the latter, listId records it)
+   * - template: { id, body } rendered per recipient with { ...variables, ...recipient.variables }
+   *   a plain message is rendered the same way when recipients carry variables (audience list columns)
+   *   every recipient is rendered up front, so a missing variable rejects the whole job before anything is sent
+   * - payload: the non-text part of the send payload (file by mediaId, location, contacts, poll), message is then its caption
+   */
+  async function create({ sessionId = 'main', numbers = [], message = '', template = null, variables = {}, payload = null, intervalMs, jitterMs, listId = null, createdBy = null }) {
+    if (!Array.isArray(numbers) || !numbers.length) throw new Error('numbers required');
+    if (template) message = template.body;
+    if (!payload && (!message || !String(message).trim())) throw new Error('message required');
+    const render = !!template || (templateVariables(message).length > 0 && numbers.some(n => n?.variables && Object.keys(n.variables).length));
+
+    const seen = new Set();
+    const rows = [];
+    const invalid = [];
+    for (const n of numbers) {
+      const raw = String((n && typeof n === 'object' ? (n.to || n.number) : n) || '').trim();
+      if (!raw) continue;
+      const jid = formatJid(raw);
+      if (seen.has(jid)) continue;
+      seen.add(jid);
+      let text = null;
+      if (render) {
+        try {
+          text = renderTemplate(message, { ...(variables || {}), ...(n?.variables || {}) });
+        } catch (e) {
+          if (!e.missing) throw e;
+          invalid.push({ to: raw, missing: e.missing });
+          continue;
+        }
+      }
+      rows.push([raw, jid, text]);
+    }
+    if (invalid.length) {
+      const err = new Error(`missing template variables for ${invalid.length} recipient(s): ` +
+        invalid.slice(0, 5).map(i => `${i.to} (${i.missing.join(', ')})`).join('; '));
+      err.status = 400;
+      err.missing = invalid;
+      throw err;
+    }
+    if (!rows.length) throw new Error('numbers required');
+
+    const interval = Number.isFinite(+intervalMs) && +intervalMs >= 0 ? +intervalMs : BROADCAST_INTERVAL_MS;
+    const jitter = Number.isFinite(+jitterMs) && +jitterMs >= 0 ? +jitterMs : BROADCAST_JITTER_MS;
+
+    const conn = await pool.getConnection();
+    let jobId;
+    try {
+      await conn.beginTransaction();
+      const [res] = await conn.query(
+        `INSERT INTO broadcast_jobs (session_id, message, payload, media_id, template_id, status, total, interval_ms, jitter_ms, list_id, created_by) VALUES (?, ?, ?, ?, ?, 'queued', ?, ?, ?, ?, ?)`,
+        [sessionId, message || '', payload ? JSON.stringify(payload) : null, payload?.mediaId || null, template?.id || null, rows.length, interval, jitter, listId, createdBy]);
+      jobId = res.insertId;
+      await conn.query(`INSERT INTO broadcast_recipients (job_id, recipient, jid, text) VALUES ?`, [rows.map(r => [jobId, ...r])]);
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    } finally { conn.release(); }
+
+    await setStatus(jobId, 'running', { started: true });
+    run(jobId);
+    return get(jobId);
+  }
+
+  /**
+   * runner loop for one job
+   */
+  async function run(jobId) {
+    jobId = Number(jobId);
+    if (stopping || runners.has(jobId)) return;
+    let finish;
+    const runner = { stop: false, wake: null, finished: new Promise(resolve => { finish = resolve; }) };
+    runners.set(jobId, runner);
+    // sleeps end early on stop() (not on pause: resume() revives a sleeping runner)
+    const nap = (ms) => new Promise(resolve => {
+      if (stopping) return resolve();
+      const timer = setTimeout(resolve, ms);
+      runner.wake = () => { clearTimeout(timer); resolve(); };
+    });
+    try {
+      while (!runner.stop) {
+        const job = await get(jobId);
+        if (!job || job.status !== 'running') break;
+
+        if (!isSessionActive(job.session_id)) {
+          await setStatus(jobId, 'waiting', { lastError: 'session not active' });
+          logger.info(`[broadcast ${jobId}] session ${job.session_id} not active, waiting`);
+          break;
+        }
+
+        const [next] = await query(`SELECT * FROM broadcast_recipients WHERE job_id=? AND status='pending' ORDER BY id LIMIT 1`, [jobId]);
+        if (!next) {
+          const done = await setStatus(jobId, 'completed', { finished: true });
+          io.emit('broadcast-complete', { id: done.session_id, jobId, total: done.total, success: done.sent, failed: done.failed });
+          break;
+        }
+
+        const idx = job.sent + job.failed + 1;
+        try {
+          await send(job.session_id, next.jid, { ...(job.payload ? JSON.parse(job.payload) : {}), message: next.text || job.message || null });
+          await query(`UPDATE broadcast_recipients SET status='sent', error=NULL, sent_at=NOW() WHERE id=?`, [next.id]);
+          await query(`UPDATE broadcast_jobs SET sent=sent+1 WHERE id=?`, [jobId]);
+          io.to(room(jobId)).emit('broadcast-status', { id: job.session_id, jobId, to: next.jid, status: 'sent', idx, total: job.total });
+        } catch (e) {
+          // session dropped mid-run: keep the recipient pending and wait for reconnect
+          if (!isSessionActive(job.session_id)) continue;
+          if (e?.status === 429) {
+            await query(`UPDATE broadcast_jobs SET last_error=? WHERE id=?`, [e.message, jobId]);
+            const retryIn = e.retryAt ? new Date(e.retryAt).getTime() - Date.now() : 0;
+            await nap(Math.min(Math.max(retryIn, job.interval_ms, 1000), BROADCAST_LIMIT_RETRY_MS));
+            continue;
+          }
+          await query(`UPDATE broadcast_recipients SET status='failed', error=? WHERE id=?`, [e?.message || String(e), next.id]);
+          await query(`UPDATE broadcast_jobs SET failed=failed+1, last_error=? WHERE id=?`, [e?.message || String(e), jobId]);
+          io.to(room(jobId)).emit('broadcast-status', { id: job.session_id, jobId, to: next.jid, status: 'error', idx, total: job.total, error: e?.message });
+        }
+
+        await nap(job.interval_ms + Math.floor(Math.random() * (job.jitter_ms + 1)));
+      }
+    } catch (err) {
+      logger.error(`[broadcast ${jobId}] runner err: ${err?.message || err}`);
+      // while shutting down the job stays running, so start() picks it up again
+      if (!stopping) await setStatus(jobId, 'paused', { lastError: err?.message || String(err) }).catch(() => {});
+    } finally {
+      runners.delete(jobId);
+      finish();
+    }
+  }
+
+  async function pause(jobId) {
+    jobId = Number(jobId);
+    const job = await get(jobId);
+    if (!job) return null;
+    if (!['running', 'waiting', 'queued'].includes(job.status)) throw new Error(`cannot pause a ${job.status} job`);
+    const r = runners.get(jobId);
+    if (r) r.stop = true;
+    return setStatus(jobId, 'paused');
+  }
+
+  async function resume(jobId) {
+    jobId = Number(jobId);
+    const job = await get(jobId);
+    if (!job) return null;
+    if (!['paused', 'waiting'].includes(job.status)) throw new Error(`cannot resume a ${job.status} job`);
+    const updated = await setStatus(jobId, 'running', { started: true, lastError: null });
+    // a paused runner may still be sleeping out its interval: revive it instead of starting a second one
+    const r = runners.get(jobId);
+    if (r) r.stop = false;
+    else run(jobId);
+    return updated;
+  }
+
+  async function cancel(jobId) {
+    jobId = Number(jobId);
+    const job = await get(jobId);
+    if (!job) return null;
+    if (['completed', 'cancelled'].includes(job.status)) throw new Error(`job already ${job.status}`);
+    const r = runners.get(jobId);
+    if (r) r.stop = true;
+    await query(`UPDATE broadcast_recipients SET status='skipped' WHERE job_id=? AND status='pending'`, [jobId]);
+    return setStatus(jobId, 'cancelled', { finished: true });
+  }
+
+  /**
+   * continue jobs that were waiting for this session
+   */
+  async function resumeForSession(sessionId) {
+    const rows = await query(`SELECT id FROM broadcast_jobs WHERE session_id=? AND status='waiting'`, [sessionId]);
+    for (const r of rows) {
+      await setStatus(r.id, 'running', { lastError: null });
+      run(r.id);
+    }
+  }
+
+  /**
+   * on boot: pick up jobs that were running when the process stopped
+   */
+  async function start() {
+    const rows = await query(`SELECT id FROM broadcast_jobs WHERE status IN ('running','queued')`);
+    for (const r of rows) {
+      logger.info(`[broadcast ${r.id}] resuming after restart`);
+      await query(`UPDATE broadcast_jobs SET status='running' WHERE id=?`, [r.id]);
+      run(r.id);
+    }
+  }
+
+  /**
+   * shutdown: no new runners; running ones end after their current send (before the pool closes)
+   */
+  async function stop() {
+    stopping = true;
+    const running = [...runners.values()];
+    for (const runner of running) {
+      runner.stop = true;
+      if (runner.wake) runner.wake();
+    }
+    await Promise.all(running.map(runner => runner.finished));
+  }
+
+  function watch(socket, jobId) {
+    socket.join(room(jobId));
+  }
+
+  function unwatch(socket, jobId) {
+    socket.leave(room(jobId));
+  }
+
+  return { create, get, list, recipients, pause, resume, cancel, resumeForSession, start, stop, watch, unwatch };
+}
+
+module.exports = { createBroadcastService };
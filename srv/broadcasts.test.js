@@ -0,0 +1,65 @@
+// broadcasts.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBroadcastService } = require('./broadcasts');
+
+const logger = { info() {}, warn() {}, error() {} };
+const io = { emit() {}, to() { return { emit() {} }; } };
+
+// one running job with pending recipients, kept in memory
+function fakePool(recipients) {
+  const job = { id: 1, session_id: 'main', status: 'running', message: 'hi', payload: null, total: recipients.length, sent: 0, failed: 0, interval_ms: 60000, jitter_ms: 0 };
+  const rows = recipients.map((jid, i) => ({ id: i + 1, job_id: 1, jid, text: null, status: 'pending' }));
+  const conn = {
+    async query(sql, params = []) {
+      if (/^SELECT \* FROM broadcast_jobs WHERE id=\?/.test(sql)) return [[{ ...job }]];
+      if (/^SELECT id FROM broadcast_jobs WHERE status IN/.test(sql)) return [job.status === 'running' ? [{ id: 1 }] : []];
+      if (/^SELECT \* FROM broadcast_recipients WHERE job_id=\? AND status='pending'/.test(sql)) return [rows.filter(r => r.status === 'pending').slice(0, 1)];
+      if (/^UPDATE broadcast_recipients SET status='sent'/.test(sql)) rows.find(r => r.id === params[0]).status = 'sent';
+      if (/^UPDATE broadcast_jobs SET sent=sent\+1/.test(sql)) job.sent++;
+      if (/^UPDATE broadcast_jobs SET status=\?/.test(sql)) job.status = params[0];
+      return [{ affectedRows: 1 }];
+    },
+    release() {}
+  };
+  return { pool: { async getConnection() { return conn; } }, job, rows };
+}
+
+test('stop() waits for the send in flight and leaves the job running for the next start', async () => {
+  const { pool, job, rows } = fakePool(['a@s.whatsapp.net', 'b@s.whatsapp.net']);
+  let release;
+  let sending;
+  const sent = new Promise(resolve => { sending = resolve; });
+  const send = () => { sending(); return new Promise(resolve => { release = resolve; }); };
+  const broadcasts = createBroadcastService({ pool, logger, io, send, formatJid: (n) => n, isSessionActive: () => true });
+
+  await broadcasts.start();
+  await sent;
+  let stopped = false;
+  const stopping = broadcasts.stop().then(() => { stopped = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(stopped, false, 'stop() returned while a send was in flight');
+
+  release();
+  await stopping;
+  assert.deepEqual(rows.map(r => r.status), ['sent', 'pending']);
+  assert.equal(job.sent, 1);
+  assert.equal(job.status, 'running');
+});
+
+test('stop() cuts the interval sleep short and no runner starts afterwards', async () => {
+  const { pool, job } = fakePool(['a@s.whatsapp.net', 'b@s.whatsapp.net']);
+  let sends = 0;
+  const broadcasts = createBroadcastService({ pool, logger, io, send: async () => { sends++; }, formatJid: (n) => n, isSessionActive: () => true });
+
+  await broadcasts.start();
+  while (!sends) await new Promise(resolve => setImmediate(resolve));
+  const started = Date.now();
+  await broadcasts.stop(); // the runner is sleeping out interval_ms (60 s)
+  assert.ok(Date.now() - started < 1000);
+
+  await broadcasts.start();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(sends, 1);
+  assert.equal(job.status, 'running');
+});
@@ -0,0 +1,122 @@
+// chats.js
+
+const CHAT_FLAGS = ['archived', 'pinned', 'muted'];
+
+/**
+ * Conversations per session + jid
+ * - touch() runs for every stored message: last message, unread count (incoming only), display name
+ * - a message sent from us (dashboard, API or the phone) means the chat was read
+ * - messages() pages a chat's history newest first with an id cursor
+ */
+function createChatService({ pool, logger, io }) {
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  async function get(sessionId, jid) {
+    const rows = await query(`SELECT * FROM chats WHERE session_id=? AND jid=?`, [sessionId, jid]);
+    return rows[0] || null;
+  }
+
+  async function list({ sessionId, archived = null, q = null, limit = 50, offset = 0 } = {}) {
+    const where = ['session_id=?'];
+    const params = [sessionId];
+    if (archived !== null) { where.push('archived=?'); params.push(archived ? 1 : 0); }
+    if (q) { where.push('(name LIKE ? OR jid LIKE ?)'); params.push(`%${q}%`, `%${q}%`); }
+    params.push(Math.min(limit, 500), offset);
+    return query(
+      `SELECT * FROM chats WHERE ${where.join(' AND ')} ORDER BY pinned DESC, last_message_at DESC, id DESC LIMIT ? OFFSET ?`, params);
+  }
+
+  function emit(row) {
+    if (row) io.emit('chat', row);
+    return row;
+  }
+
+  /**
+   * record a new message in its chat
+   */
+  async function touch(sessionId, jid, { messageId, text = null, direction = 'in', fromMe = false, name = null, at = new Date() }) {
+    if (!jid) return null;
+    const incoming = direction === 'in' && !fromMe;
+    const preview = text ? String(text).slice(0, 255) : null;
+    await query(
+      `INSERT INTO chats (session_id, jid, name, last_message_id, last_message_text, last_message_direction, last_message_at, unread_count)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         name = COALESCE(VALUES(name), name),
+         last_message_id = VALUES(last_message_id),
+         last_message_text = VALUES(last_message_text),
+         last_message_direction = VALUES(last_message_direction),
+         last_message_at = VALUES(last_message_at),
+         unread_count = IF(?, unread_count + 1, 0),
+         archived = IF(?, 0, archived)`,
+      // a new incoming message brings an archived chat back, like the phone does
+      [sessionId, jid, name, messageId, preview, direction, at, incoming ? 1 : 0, incoming ? 1 : 0, incoming ? 1 : 0]);
+    return emit(await get(sessionId, jid));
+  }
+
+  async function markRead(sessionId, jid) {
+    const res = await query(`UPDATE chats SET unread_count=0 WHERE session_id=? AND jid=? AND unread_count > 0`, [sessionId, jid]);
+    if (res.affectedRows) emit(await get(sessionId, jid));
+  }
+
+  async function update(sessionId, jid, { archived, pinned, muted, name } = {}) {
+    const current = await get(sessionId, jid);
+    if (!current) return null;
+    const sets = [];
+    const params = [];
+    const flags = { archived, pinned, muted };
+    for (const flag of CHAT_FLAGS) {
+      if (flags[flag] !== undefined) { sets.push(`${flag}=?`); params.push(flags[flag] ? 1 : 0); }
+    }
+    if (name !== undefined) { sets.push('name=?'); params.push(name || null); }
+    if (sets.length) {
+      params.push(sessionId, jid);
+      await query(`UPDATE chats SET ${sets.join(', ')} WHERE session_id=? AND jid=?`, params);
+    }
+    return emit(await get(sessionId, jid));
+  }
+
+  /**
+   * chats.upsert / chats.update from WhatsApp (changes made on the phone)
+   */
+  async function syncFromWhatsApp(sessionId, updates) {
+    for (const u of updates || []) {
+      if (!u?.id || u.id === 'status@broadcast') continue;
+      try {
+        const sets = [];
+        const params = [];
+        if (u.archived !== undefined && u.archived !== null) { sets.push('archived=?'); params.push(u.archived ? 1 : 0); }
+        if (u.pinned !== undefined) { sets.push('pinned=?'); params.push(u.pinned ? 1 : 0); }
+        if (u.muteEndTime !== undefined) { sets.push('muted=?'); params.push(Number(u.muteEndTime) > Date.now() / 1000 || Number(u.muteEndTime) < 0 ? 1 : 0); }
+        if (typeof u.unreadCount === 'number') { sets.push('unread_count=?'); params.push(Math.max(u.unreadCount, 0)); }
+        if (u.name) { sets.push('name=?'); params.push(u.name); }
+        if (!sets.length) continue;
+        const res = await query(`UPDATE chats SET ${sets.join(', ')} WHERE session_id=? AND jid=?`, [...params, sessionId, u.id]);
+        if (res.affectedRows) emit(await get(sessionId, u.id));
+      } catch (err) {
+        logger.error(`[${sessionId}] chat sync err (${u.id}): ${err?.message || err}`);
+      }
+    }
+  }
+
+  /**
+   * one page of a chat's messages, newest first; pass nextCursor back as `before` for older ones
+   */
+  async function messages(sessionId, jid, { before = null, limit = 50, columns = '*' } = {}) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const rows = before
+      ? await query(`SELECT ${columns} FROM messages WHERE session_id=? AND chat_jid=? AND id < ? ORDER BY id DESC LIMIT ?`, [sessionId, jid, before, size])
+      : await query(`SELECT ${columns} FROM messages WHERE session_id=? AND chat_jid=? ORDER BY id DESC LIMIT ?`, [sessionId, jid, size]);
+    return { messages: rows, nextCursor: rows.length === size ? rows[rows.length - 1].id : null };
+  }
+
+  return { get, list, touch, markRead, update, syncFromWhatsApp, messages };
+}
+
+module.exports = { createChatService };
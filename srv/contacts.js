@@ -0,0 +1,167 @@
+// contacts.js
+
+// custom field names: usable as {{contact.<name>}} in templates
+const FIELD_NAME = /^[a-zA-Z0-9_]{1,64}$/;
+const MAX_FIELDS = 50;
+
+function phoneOf(jid) {
+  return String(jid || '').endsWith('@s.whatsapp.net') ? jid.split('@')[0] : null;
+}
+
+function parseFields(raw) {
+  if (!raw) return {};
+  try { return JSON.parse(raw) || {}; } catch (e) { return {}; }
+}
+
+function toPublic(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    fields: parseFields(row.fields),
+    display_name: row.name || row.notify || row.verified_name || row.phone || row.jid
+  };
+}
+
+/**
+ * Contact directory per session + jid
+ * - WhatsApp data (address-book name, push name, business name, about, picture) comes from
+ *   contacts.upsert / contacts.update, message push names and profile lookups
+ * - our own data (custom fields, notes) is only changed through update()
+ */
+function createContactService({ pool, logger, io }) {
+  const pushNames = new Map(); // `${sessionId}|${jid}` -> last push name written
+
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  async function get(sessionId, jid) {
+    const rows = await query(`SELECT * FROM contacts WHERE session_id=? AND jid=?`, [sessionId, jid]);
+    return toPublic(rows[0]);
+  }
+
+  /**
+   * search by name, push name, business name, number or custom field values
+   */
+  async function list({ sessionId, q = null, limit = 100, offset = 0 } = {}) {
+    const where = ['session_id=?'];
+    const params = [sessionId];
+    if (q) {
+      const like = `%${q}%`;
+      where.push('(name LIKE ? OR notify LIKE ? OR verified_name LIKE ? OR phone LIKE ? OR fields LIKE ?)');
+      // numbers are stored without + or spaces
+      params.push(like, like, like, `%${String(q).replace(/[^0-9]/g, '') || q}%`, like);
+    }
+    params.push(Math.min(limit, 1000), offset);
+    const rows = await query(
+      `SELECT * FROM contacts WHERE ${where.join(' AND ')} ORDER BY COALESCE(name, notify, verified_name, phone, jid) LIMIT ? OFFSET ?`, params);
+    return rows.map(toPublic);
+  }
+
+  // insert or update WhatsApp-provided columns; null leaves the stored value alone
+  async function upsert(sessionId, jid, { name = null, notify = null, verifiedName = null, about = null, pictureUrl = null } = {}) {
+    await query(
+      `INSERT INTO contacts (session_id, jid, phone, name, notify, verified_name, about, picture_url)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         name = COALESCE(VALUES(name), name),
+         notify = COALESCE(VALUES(notify), notify),
+         verified_name = COALESCE(VALUES(verified_name), verified_name),
+         about = COALESCE(VALUES(about), about),
+         picture_url = COALESCE(VALUES(picture_url), picture_url)`,
+      [sessionId, jid, phoneOf(jid), name, notify, verifiedName, about, pictureUrl]);
+  }
+
+  /**
+   * contacts.upsert / contacts.update from WhatsApp; returns how many were stored
+   */
+  async function syncFromWhatsApp(sessionId, updates) {
+    let count = 0;
+    for (const c of updates || []) {
+      if (!c?.id || c.id === 'status@broadcast' || c.id.endsWith('@g.us')) continue;
+      try {
+        await upsert(sessionId, c.id, {
+          name: c.name || null,
+          notify: c.notify || null,
+          verifiedName: c.verifiedName || null,
+          // imgUrl is 'changed' when only the fact of a change is known
+          pictureUrl: c.imgUrl && c.imgUrl !== 'changed' ? c.imgUrl : null
+        });
+        count++;
+      } catch (err) {
+        logger.error(`[${sessionId}] contact sync err (${c.id}): ${err?.message || err}`);
+      }
+    }
+    if (count) io.emit('contacts-updated', { sessionId, count });
+    return count;
+  }
+
+  /**
+   * push name seen on an incoming message; only written when it changed
+   */
+  async function notePushName(sessionId, jid, pushName) {
+    if (!jid || !pushName || !jid.endsWith('@s.whatsapp.net')) return;
+    const cacheKey = `${sessionId}|${jid}`;
+    if (pushNames.get(cacheKey) === pushName) return;
+    if (pushNames.size > 50000) pushNames.clear();
+    pushNames.set(cacheKey, pushName);
+    await upsert(sessionId, jid, { notify: pushName });
+  }
+
+  // result of a profile lookup (picture + about)
+  async function saveProfile(sessionId, jid, { ppUrl = null, status = null } = {}) {
+    if (!jid || jid.endsWith('@g.us')) return null;
+    // newer Baileys returns fetchStatus as [{ id, status: { status, setAt } }]
+    const about = Array.isArray(status) ? status[0]?.status?.status : status?.status;
+    await upsert(sessionId, jid, { pictureUrl: ppUrl, about: about || null });
+    return get(sessionId, jid);
+  }
+
+  /**
+   * our own data: fields are merged (a null value removes that field), notes replaced
+   * creates the contact when it is not known yet
+   */
+  async function update(sessionId, jid, { fields, notes } = {}) {
+    const current = await get(sessionId, jid);
+    let merged = current ? current.fields : {};
+    if (fields !== undefined) {
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields)) throw new Error('fields must be an object');
+      merged = { ...merged };
+      for (const [k, v] of Object.entries(fields)) {
+        if (!FIELD_NAME.test(k)) throw new Error(`invalid field name: ${k} (letters, digits, _)`);
+        if (v === null) delete merged[k];
+        else merged[k] = String(v);
+      }
+      if (Object.keys(merged).length > MAX_FIELDS) throw new Error(`at most ${MAX_FIELDS} custom fields`);
+    }
+    if (!current) await upsert(sessionId, jid);
+    const sets = [];
+    const params = [];
+    if (fields !== undefined) { sets.push('fields=?'); params.push(Object.keys(merged).length ? JSON.stringify(merged) : null); }
+    if (notes !== undefined) { sets.push('notes=?'); params.push(notes || null); }
+    if (sets.length) {
+      params.push(sessionId, jid);
+      await query(`UPDATE contacts SET ${sets.join(', ')} WHERE session_id=? AND jid=?`, params);
+    }
+    const row = await get(sessionId, jid);
+    io.emit('contact', row);
+    return row;
+  }
+
+  /**
+   * {{contact.*}} template variables: name, number, jid and the custom fields
+   */
+  async function templateVars(sessionId, jid) {
+    const row = await get(sessionId, jid).catch(() => null);
+    const number = phoneOf(jid) || String(jid).split('@')[0];
+    return { ...(row?.fields || {}), name: row?.display_name || number, number, jid };
+  }
+
+  return { get, list, syncFromWhatsApp, notePushName, saveProfile, update, templateVars };
+}
+
+module.exports = { createContactService };
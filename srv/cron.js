@@ -0,0 +1,107 @@
+// cron.js
+// minimal 5-field cron parser: "minute hour day-of-month month day-of-week"
+// supports *, lists (1,15), ranges (1-5), steps (*/10, 8-18/2) and the @hourly/@daily/@weekly/@monthly aliases.
+// evaluated in the server's local time.
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both sunday
+];
+
+function parseField(part, { name, min, max }) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const [range, stepStr] = item.split('/');
+    const step = stepStr === undefined ? 1 : parseInt(stepStr, 10);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in ${name}: ${item}`);
+
+    let lo, hi;
+    if (range === '*') { lo = min; hi = max; }
+    else if (range.includes('-')) {
+      [lo, hi] = range.split('-').map(n => parseInt(n, 10));
+    } else {
+      lo = parseInt(range, 10);
+      hi = stepStr === undefined ? lo : max;
+    }
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < min || hi > max || lo > hi) {
+      throw new Error(`invalid ${name}: ${item}`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * parse an expression into sets of allowed values; throws on invalid input
+ */
+function parseCron(expr) {
+  const source = ALIASES[String(expr || '').trim().toLowerCase()] || String(expr || '').trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new Error('cron expression must have 5 fields');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return {
+    minute, hour, dom, month, dow,
+    // standard cron: when both day fields are restricted, either may match
+    domAny: parts[2] === '*',
+    dowAny: parts[4] === '*'
+  };
+}
+
+function dayMatches(c, d) {
+  const domOk = c.dom.has(d.getDate());
+  const dowOk = c.dow.has(d.getDay());
+  if (c.domAny && c.dowAny) return true;
+  if (c.domAny) return dowOk;
+  if (c.dowAny) return domOk;
+  return domOk || dowOk;
+}
+
+/**
+ * next occurrence strictly after `from`, or null if none within ~5 years
+ */
+function nextRun(expr, from = new Date()) {
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  const limit = from.getTime() + 5 * 366 * 24 * 3600 * 1000;
+  while (d.getTime() <= limit) {
+    if (!c.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(c, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!c.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!c.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,184 @@
+// export.js
+const { PassThrough } = require('stream');
+const { isDate } = require('./search');
+
+/**
+ * Configuration
+ */
+const EXPORT_BATCH = parseInt(process.env.EXPORT_BATCH || '1000', 10); // rows per query
+
+const FORMATS = {
+  csv: { ext: 'csv', mime: 'text/csv; charset=utf-8' },
+  jsonl: { ext: 'jsonl', mime: 'application/x-ndjson; charset=utf-8' },
+  txt: { ext: 'txt', mime: 'text/plain; charset=utf-8' }
+};
+
+const CSV_COLUMNS = ['id', 'session_id', 'chat_jid', 'direction', 'sender', 'from_who', 'to_who', 'text', 'media_type', 'media_file', 'status', 'wa_id', 'created_at'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  // spreadsheets run cells starting with = + - @ as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// WhatsApp "Export chat" style: 19/10/26, 14.05 - Name: text
+function transcriptLine(row, mediaFile) {
+  const d = new Date(row.created_at);
+  const stamp = `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${String(d.getFullYear()).slice(-2)}, ${pad(d.getHours())}.${pad(d.getMinutes())}`;
+  const body = [mediaFile ? `${mediaFile} (file attached)` : (row.media_type ? `<Media omitted>` : null), row.text].filter(Boolean).join('\n');
+  return `${stamp} - ${row.sender}: ${body}\n`;
+}
+
+// wait for the consumer when the stream buffer is full, so big exports never pile up in memory
+function write(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const cleanup = () => { stream.off('drain', onDrain); stream.off('close', onClose); stream.off('error', reject); };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('client went away')); };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Conversation export (CSV, JSON Lines or a WhatsApp-style .txt transcript)
+ * - filters: session, chat jid, created_at range
+ * - rows are read in id order EXPORT_BATCH at a time and written with backpressure, never all at once
+ * - withMedia: a zip with the export plus the referenced files from the media store under media/
+ */
+function createExportService({ pool, logger, media }) {
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  function whereFor({ sessionId = null, jid = null, from = null, to = null }) {
+    const where = [];
+    const params = [];
+    if (sessionId) { where.push('m.session_id=?'); params.push(sessionId); }
+    if (jid) { where.push('m.chat_jid=?'); params.push(jid); }
+    // same date handling as message search: a bare `to` date includes that whole day
+    if (from) { where.push('m.created_at >= ?'); params.push(isDate(from) ? String(from) : new Date(from)); }
+    if (to) {
+      if (isDate(to)) { where.push('m.created_at < ? + INTERVAL 1 DAY'); params.push(String(to)); }
+      else { where.push('m.created_at <= ?'); params.push(new Date(to)); }
+    }
+    return { where, params };
+  }
+
+  /**
+   * all matching messages, oldest first, one batch in memory at a time
+   */
+  async function* rows(filters) {
+    const { where, params } = whereFor(filters);
+    let lastId = 0;
+    for (;;) {
+      const batch = await query(
+        `SELECT m.id, m.session_id, m.chat_jid, m.direction, m.from_who, m.to_who, m.text, m.media_type, m.media_id, m.status, m.wa_id, m.created_at,
+                md.filename AS media_filename, md.mime AS media_mime,
+                COALESCE(c.name, c.notify, c.verified_name, ch.name) AS contact_name
+         FROM messages m
+         LEFT JOIN media md ON md.id = m.media_id
+         LEFT JOIN contacts c ON c.session_id = m.session_id AND c.jid = m.chat_jid
+         LEFT JOIN chats ch ON ch.session_id = m.session_id AND ch.jid = m.chat_jid
+         WHERE ${[...where, 'm.id > ?'].join(' AND ')}
+         ORDER BY m.id LIMIT ?`, [...params, lastId, EXPORT_BATCH]);
+      for (const row of batch) {
+        row.sender = row.direction === 'out' ? 'You' : (row.contact_name || String(row.chat_jid || row.from_who || '').split('@')[0]);
+        yield row;
+      }
+      if (batch.length < EXPORT_BATCH) return;
+      lastId = batch[batch.length - 1].id;
+    }
+  }
+
+  // name of a message's file inside the zip
+  function mediaFileName(row) {
+    const ext = String(row.media_mime || '').split('/')[1]?.split(/[;+]/)[0] || 'bin';
+    const name = row.media_filename ? row.media_filename.replace(/[\\/:*?"<>|]+/g, '_') : `${row.media_id}.${ext}`;
+    return `media/${row.media_id}-${name}`.slice(0, 200);
+  }
+
+  /**
+   * write the export to `out`; returns { messages, mediaIds }
+   */
+  async function writeMessages(out, format, filters, { withMedia = false } = {}) {
+    const mediaIds = new Map(); // media id -> file name in the zip
+    let count = 0;
+    if (format === 'csv') await write(out, '\uFEFF' + CSV_COLUMNS.join(',') + '\r\n');
+    for await (const row of rows(filters)) {
+      let mediaFile = null;
+      if (withMedia && row.media_id) {
+        mediaFile = mediaIds.get(row.media_id) || mediaFileName(row);
+        mediaIds.set(row.media_id, mediaFile);
+      }
+      if (format === 'csv') {
+        await write(out, CSV_COLUMNS.map(c => csvCell(c === 'media_file' ? mediaFile : row[c])).join(',') + '\r\n');
+      } else if (format === 'jsonl') {
+        const { contact_name, media_filename, media_mime, ...rest } = row;
+        await write(out, JSON.stringify({ ...rest, media_file: mediaFile }) + '\n');
+      } else {
+        await write(out, transcriptLine(row, mediaFile && mediaFile.replace(/^media\//, '')));
+      }
+      count++;
+    }
+    return { messages: count, mediaIds };
+  }
+
+  /**
+   * stream an export into a writable (an HTTP response); filename = base name without extension
+   */
+  async function stream(out, { format = 'csv', filename = 'export', withMedia = false, ...filters }) {
+    if (!FORMATS[format]) throw Object.assign(new Error(`format must be one of ${Object.keys(FORMATS).join(', ')}`), { status: 400 });
+    if (!withMedia) {
+      const result = await writeMessages(out, format, filters);
+      out.end();
+      return result;
+    }
+
+    // zip: the export first, then every referenced file; archiver reads one entry at a time
+    const archiver = require('archiver');
+    const zip = archiver('zip', { zlib: { level: 6 } });
+    const entry = new PassThrough();
+    let aborted = false;
+    zip.on('warning', err => logger.warn(`export zip warning: ${err?.message || err}`));
+    const done = new Promise((resolve, reject) => {
+      zip.on('error', reject);
+      out.on('finish', resolve);
+      out.on('close', () => {
+        if (out.writableFinished) return resolve();
+        // client went away mid-download: stop reading rows and files
+        aborted = true;
+        entry.destroy();
+        zip.abort();
+        reject(new Error('client went away'));
+      });
+    });
+    done.catch(() => {});
+    zip.pipe(out);
+    zip.append(entry, { name: `${filename}.${FORMATS[format].ext}` });
+    const result = await writeMessages(entry, format, filters, { withMedia: true });
+    entry.end();
+    for (const [id, name] of result.mediaIds) {
+      if (aborted) break;
+      const row = await media.get(id);
+      if (row) zip.append(media.open(row), { name, date: row.created_at });
+    }
+    if (!aborted) zip.finalize();
+    await done;
+    return result;
+  }
+
+  return { stream, rows };
+}
+
+module.exports = { createExportService, FORMATS, csvCell };
@@ -0,0 +1,148 @@
+// media-archive.js
+const { unwrap } = require('./outgoing');
+
+/**
+ * Configuration (defaults for sessions without their own settings row)
+ */
+const MEDIA_ARCHIVE_ENABLED = (process.env.MEDIA_ARCHIVE_ENABLED || 'true') !== 'false';
+const MEDIA_ARCHIVE_MAX_FILE_MB = parseInt(process.env.MEDIA_ARCHIVE_MAX_FILE_MB || '32', 10);
+const MEDIA_ARCHIVE_QUOTA_MB = parseInt(process.env.MEDIA_ARCHIVE_QUOTA_MB || '0', 10); // per session, 0 = unlimited
+const MEDIA_ARCHIVE_MIME = process.env.MEDIA_ARCHIVE_MIME || '*';                    // e.g. image/*,audio/*,application/pdf
+
+// message content types that carry downloadable media -> our short type
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  stickerMessage: 'sticker',
+  documentMessage: 'document'
+};
+
+/**
+ * { type, content } of the media inside a message, or null
+ * also inside disappearing-message, view-once and captioned-document wrappers
+ */
+function mediaContent(message) {
+  if (!message) return null;
+  const inner = unwrap(message);
+  for (const [field, type] of Object.entries(MEDIA_TYPES)) {
+    if (inner[field]) return { type, content: inner[field] };
+  }
+  return null;
+}
+
+// "image/*,application/pdf" style allow-list; '*' or empty allows everything
+function mimeAllowed(mime, allowList) {
+  const list = String(allowList || '*').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (!list.length || list.includes('*')) return true;
+  const m = String(mime || '').toLowerCase().split(';')[0];
+  return list.some(p => (p.endsWith('/*') ? m.startsWith(p.slice(0, -1)) : m === p));
+}
+
+/**
+ * Inbound media archiving
+ * - every incoming media message is downloaded + decrypted right away and saved in the media store,
+ *   so it stays available after the session is gone (WhatsApp media URLs expire)
+ * - per session: on/off, max file size, total quota and allowed mime types (media_archive_settings)
+ */
+function createMediaArchiver({ pool, logger, io, media, download }) {
+  const settingsCache = new Map(); // sessionId -> settings
+
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  function defaults(sessionId) {
+    return {
+      session_id: sessionId,
+      enabled: MEDIA_ARCHIVE_ENABLED ? 1 : 0,
+      max_file_mb: MEDIA_ARCHIVE_MAX_FILE_MB,
+      quota_mb: MEDIA_ARCHIVE_QUOTA_MB,
+      allowed_mime: MEDIA_ARCHIVE_MIME,
+      is_default: true
+    };
+  }
+
+  async function getSettings(sessionId) {
+    if (!settingsCache.has(sessionId)) {
+      const rows = await query(`SELECT * FROM media_archive_settings WHERE session_id=?`, [sessionId]);
+      settingsCache.set(sessionId, rows[0] ? { ...rows[0], is_default: false } : defaults(sessionId));
+    }
+    return settingsCache.get(sessionId);
+  }
+
+  async function updateSettings(sessionId, { enabled, maxFileMb, quotaMb, allowedMime } = {}) {
+    const current = await getSettings(sessionId);
+    const next = {
+      enabled: enabled !== undefined ? (enabled && enabled !== 'false' ? 1 : 0) : current.enabled,
+      max_file_mb: maxFileMb !== undefined ? parseInt(maxFileMb, 10) : current.max_file_mb,
+      quota_mb: quotaMb !== undefined ? parseInt(quotaMb, 10) : current.quota_mb,
+      allowed_mime: allowedMime !== undefined ? (Array.isArray(allowedMime) ? allowedMime.join(',') : String(allowedMime || '*')) : current.allowed_mime
+    };
+    if (!Number.isInteger(next.max_file_mb) || next.max_file_mb < 1) throw new Error('maxFileMb must be a positive integer');
+    if (!Number.isInteger(next.quota_mb) || next.quota_mb < 0) throw new Error('quotaMb must be 0 (unlimited) or more');
+    await query(
+      `INSERT INTO media_archive_settings (session_id, enabled, max_file_mb, quota_mb, allowed_mime) VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE enabled=VALUES(enabled), max_file_mb=VALUES(max_file_mb), quota_mb=VALUES(quota_mb), allowed_mime=VALUES(allowed_mime)`,
+      [sessionId, next.enabled, next.max_file_mb, next.quota_mb, next.allowed_mime]);
+    settingsCache.delete(sessionId);
+    return getSettings(sessionId);
+  }
+
+  // bytes of archived media referenced by this session's messages
+  async function usage(sessionId) {
+    const rows = await query(
+      `SELECT COALESCE(SUM(size), 0) AS bytes, COUNT(*) AS files FROM media
+       WHERE id IN (SELECT DISTINCT media_id FROM messages WHERE session_id=? AND media_id IS NOT NULL)`, [sessionId]);
+    return { bytes: Number(rows[0].bytes), files: Number(rows[0].files) };
+  }
+
+  /**
+   * download + store the media of a message already saved as messages.id = messageId
+   * returns the media row, or null when skipped (disabled, too big, mime not allowed, quota)
+   */
+  async function archive(sessionId, msg, messageId) {
+    const found = mediaContent(msg.message);
+    if (!found) return null;
+    const { type, content } = found;
+    const settings = await getSettings(sessionId);
+    if (!settings.enabled) return null;
+
+    const mime = content.mimetype || (type === 'sticker' ? 'image/webp' : 'application/octet-stream');
+    const size = Number(content.fileLength || 0);
+    const skip = (reason) => {
+      logger.info(`[${sessionId}] media ${msg.key.id} not archived: ${reason}`);
+      return null;
+    };
+    if (!mimeAllowed(mime, settings.allowed_mime)) return skip(`mime ${mime} not allowed`);
+    if (size > settings.max_file_mb * 1024 * 1024) return skip(`${size} bytes > ${settings.max_file_mb} MB`);
+    if (settings.quota_mb > 0) {
+      const { bytes } = await usage(sessionId);
+      if (bytes + size > settings.quota_mb * 1024 * 1024) return skip(`session quota of ${settings.quota_mb} MB reached`);
+    }
+
+    const buffer = await download(sessionId, msg);
+    // fileLength can be missing or wrong; check the real size too
+    if (buffer.length > settings.max_file_mb * 1024 * 1024) return skip(`${buffer.length} bytes > ${settings.max_file_mb} MB`);
+    const row = await media.save(buffer, { mime, filename: content.fileName || null });
+    await query(`UPDATE messages SET media_id=? WHERE id=?`, [row.id, messageId]);
+    io.emit('message-media', { sessionId, id: messageId, waId: msg.key.id, mediaId: row.id, mime, type, url: `/api/media/${row.id}` });
+    return row;
+  }
+
+  /**
+   * fire-and-forget wrapper for messages.upsert
+   */
+  function handle(sessionId, msg, messageId) {
+    archive(sessionId, msg, messageId)
+      .catch(err => logger.error(`[${sessionId}] media archive err (${msg.key?.id}): ${err?.message || err}`));
+  }
+
+  return { getSettings, updateSettings, usage, archive, handle };
+}
+
+module.exports = { createMediaArchiver, mediaContent, mimeAllowed };
@@ -0,0 +1,34 @@
+// media-archive.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mediaContent, mimeAllowed } = require('./media-archive');
+
+const image = { mimetype: 'image/jpeg', fileLength: 1234 };
+
+test('mediaContent finds plain media messages', () => {
+  assert.deepEqual(mediaContent({ imageMessage: image }), { type: 'image', content: image });
+  assert.equal(mediaContent({ conversation: 'hi' }), null);
+  assert.equal(mediaContent(null), null);
+});
+
+test('mediaContent looks inside disappearing-message and view-once wrappers', () => {
+  assert.deepEqual(mediaContent({ ephemeralMessage: { message: { imageMessage: image } } }), { type: 'image', content: image });
+  assert.deepEqual(mediaContent({ viewOnceMessageV2: { message: { imageMessage: image } } }), { type: 'image', content: image });
+  assert.deepEqual(mediaContent({ viewOnceMessageV2Extension: { message: { audioMessage: image } } }), { type: 'audio', content: image });
+  // view-once in a chat with disappearing messages
+  assert.deepEqual(mediaContent({ ephemeralMessage: { message: { viewOnceMessage: { message: { videoMessage: image } } } } }), { type: 'video', content: image });
+});
+
+test('mediaContent unwraps captioned documents', () => {
+  const doc = { mimetype: 'application/pdf', caption: 'invoice' };
+  assert.deepEqual(mediaContent({ documentWithCaptionMessage: { message: { documentMessage: doc } } }), { type: 'document', content: doc });
+  assert.deepEqual(mediaContent({ ephemeralMessage: { message: { documentWithCaptionMessage: { message: { documentMessage: doc } } } } }), { type: 'document', content: doc });
+});
+
+test('mimeAllowed matches exact types and type/* patterns', () => {
+  assert.equal(mimeAllowed('image/png', '*'), true);
+  assert.equal(mimeAllowed('image/png', ''), true);
+  assert.equal(mimeAllowed('image/png', 'image/*,application/pdf'), true);
+  assert.equal(mimeAllowed('application/pdf; name=x', 'image/*,application/pdf'), true);
+  assert.equal(mimeAllowed('video/mp4', 'image/*,application/pdf'), false);
+});
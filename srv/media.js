@@ -0,0 +1,262 @@
+// media.js
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Configuration
+ */
+const MEDIA_DRIVER = process.env.MEDIA_DRIVER || 'local';
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, 'media');
+const MEDIA_RETENTION_DAYS = parseInt(process.env.MEDIA_RETENTION_DAYS || '0', 10); // 0 = keep forever
+const MEDIA_CLEANUP_INTERVAL_MINUTES = parseInt(process.env.MEDIA_CLEANUP_INTERVAL_MINUTES || '60', 10);
+const MEDIA_MIGRATE_BATCH = parseInt(process.env.MEDIA_MIGRATE_BATCH || '50', 10);
+// unreferenced files younger than this may still be waiting for their message row
+const MEDIA_ORPHAN_GRACE_MINUTES = 60;
+
+/**
+ * Storage drivers: put / createReadStream / exists / remove by storage key
+ * a driver for S3 or similar only needs the same four functions
+ */
+function createLocalDriver(baseDir = MEDIA_DIR) {
+  // content-addressed, fanned out: ab/cd/abcdef...
+  const fullPath = (key) => path.join(baseDir, key);
+  return {
+    name: 'local',
+    keyFor(sha256) {
+      return path.join(sha256.slice(0, 2), sha256.slice(2, 4), sha256);
+    },
+    async put(key, buffer) {
+      const file = fullPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // write + rename so a crash never leaves a half-written file under the final name
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file);
+    },
+    createReadStream(key, range) {
+      return fs.createReadStream(fullPath(key), range || {});
+    },
+    async exists(key) {
+      try { await fs.promises.access(fullPath(key)); return true; } catch (e) { return false; }
+    },
+    async remove(key) {
+      await fs.promises.unlink(fullPath(key)).catch(err => { if (err.code !== 'ENOENT') throw err; });
+    }
+  };
+}
+
+const DRIVERS = { local: createLocalDriver };
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', c => chunks.push(c));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Media store
+ * - each file is stored once, keyed by its sha256; `media` holds mime / size / filename
+ * - messages link to it through messages.media_id
+ * - cleanup() drops unreferenced files and, with MEDIA_RETENTION_DAYS, files nobody saved or sent for that long;
+ *   files that broadcasts, schedules or auto-reply rules still have to send are kept either way
+ * - migrateLegacy() moves old media_base64 blobs (messages, scheduled_messages, auto_reply_rules) into the store in small batches
+ */
+function createMediaService({ pool, logger, driver = null }) {
+  const store = driver || (DRIVERS[MEDIA_DRIVER] || DRIVERS.local)();
+  let timer = null;
+
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  async function get(id) {
+    const rows = await query(`SELECT * FROM media WHERE id=?`, [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * store a buffer (deduplicated); returns the media row
+   */
+  async function save(buffer, { mime = 'application/octet-stream', filename = null } = {}) {
+    if (!Buffer.isBuffer(buffer) || !buffer.length) throw new Error('empty media');
+    const hash = sha256(buffer);
+    const existing = (await query(`SELECT * FROM media WHERE sha256=?`, [hash]))[0];
+    if (existing) {
+      // the file may have been cleaned up from disk by hand; put it back
+      if (!(await store.exists(existing.storage_key))) await store.put(existing.storage_key, buffer);
+      await query(`UPDATE media SET last_used_at=NOW() WHERE id=?`, [existing.id]);
+      return existing;
+    }
+    const key = store.keyFor(hash);
+    await store.put(key, buffer);
+    try {
+      const res = await query(
+        `INSERT INTO media (sha256, driver, storage_key, mime, size, filename, last_used_at) VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [hash, store.name, key, String(mime).slice(0, 150), buffer.length, filename ? String(filename).slice(0, 255) : null]);
+      return get(res.insertId);
+    } catch (err) {
+      // same file saved concurrently
+      if (err.code === 'ER_DUP_ENTRY') return (await query(`SELECT * FROM media WHERE sha256=?`, [hash]))[0];
+      throw err;
+    }
+  }
+
+  /**
+   * readable stream of a stored file; range = { start, end } (inclusive, like fs.createReadStream)
+   */
+  function open(row, range = null) {
+    return store.createReadStream(row.storage_key, range);
+  }
+
+  // whole file for a send; a file still being sent is in use, so retention starts over
+  async function readBuffer(id) {
+    const row = await get(id);
+    if (!row) return null;
+    await query(`UPDATE media SET last_used_at=NOW() WHERE id=?`, [row.id]);
+    return { buffer: await streamToBuffer(open(row)), mime: row.mime, filename: row.filename };
+  }
+
+  // sessions whose messages reference this file (for session-scoped API keys)
+  async function sessionsFor(id) {
+    const rows = await query(`SELECT DISTINCT session_id FROM messages WHERE media_id=?`, [id]);
+    return rows.map(r => r.session_id);
+  }
+
+  async function removeRows(rows) {
+    for (const row of rows) {
+      await store.remove(row.storage_key);
+      await query(`UPDATE messages SET media_id=NULL WHERE media_id=?`, [row.id]);
+      await query(`DELETE FROM media WHERE id=?`, [row.id]);
+    }
+    return rows.length;
+  }
+
+  async function cleanup() {
+    // files that unfinished broadcasts, pending schedules and auto-reply rules will still send
+    const awaitingSend = `
+         AND NOT EXISTS (SELECT 1 FROM broadcast_jobs b WHERE b.media_id = m.id AND b.status NOT IN ('completed', 'cancelled'))
+         AND NOT EXISTS (SELECT 1 FROM scheduled_messages s WHERE s.media_id = m.id AND s.status='pending')
+         AND NOT EXISTS (SELECT 1 FROM auto_reply_rules r WHERE r.reply_media_id = m.id)`;
+    const orphans = await query(
+      `SELECT m.id, m.storage_key FROM media m
+       WHERE m.last_used_at < NOW() - INTERVAL ? MINUTE
+         AND NOT EXISTS (SELECT 1 FROM messages msg WHERE msg.media_id = m.id)${awaitingSend}
+       LIMIT 500`, [MEDIA_ORPHAN_GRACE_MINUTES]);
+    let removed = await removeRows(orphans);
+    if (MEDIA_RETENTION_DAYS > 0) {
+      const expired = await query(
+        `SELECT m.id, m.storage_key FROM media m
+         WHERE m.last_used_at < NOW() - INTERVAL ? DAY${awaitingSend}
+         LIMIT 500`, [MEDIA_RETENTION_DAYS]);
+      removed += await removeRows(expired);
+    }
+    if (removed) logger.info(`media cleanup: removed ${removed} file(s)`);
+    return removed;
+  }
+
+  /**
+   * messages / scheduled_messages / auto_reply_rules media blobs -> media store, MEDIA_MIGRATE_BATCH rows at a time; returns rows migrated
+   */
+  async function migrateLegacy() {
+    let total = 0;
+    for (;;) {
+      const rows = await query(
+        `SELECT id, media_type, media_base64 FROM messages WHERE media_base64 IS NOT NULL AND media_id IS NULL ORDER BY id LIMIT ?`,
+        [MEDIA_MIGRATE_BATCH]);
+      if (!rows.length) break;
+      for (const row of rows) {
+        const buffer = Buffer.from(row.media_base64, 'base64');
+        const media = buffer.length ? await save(buffer, { mime: row.media_type || 'application/octet-stream' }) : null;
+        await query(`UPDATE messages SET media_id=?, media_base64=NULL WHERE id=?`, [media ? media.id : null, row.id]);
+      }
+      total += rows.length;
+    }
+    for (;;) {
+      const rows = await query(
+        `SELECT id, media_mime, media_filename, media_base64 FROM scheduled_messages WHERE media_base64 IS NOT NULL AND media_id IS NULL ORDER BY id LIMIT ?`,
+        [MEDIA_MIGRATE_BATCH]);
+      if (!rows.length) break;
+      for (const row of rows) {
+        const buffer = Buffer.from(row.media_base64, 'base64');
+        const media = buffer.length ? await save(buffer, { mime: row.media_mime || 'application/octet-stream', filename: row.media_filename }) : null;
+        await query(`UPDATE scheduled_messages SET media_id=?, media_base64=NULL WHERE id=?`, [media ? media.id : null, row.id]);
+      }
+      total += rows.length;
+    }
+    for (;;) {
+      const rows = await query(
+        `SELECT id, reply_media_mime, reply_media_filename, reply_media_base64 FROM auto_reply_rules WHERE reply_media_base64 IS NOT NULL AND reply_media_id IS NULL ORDER BY id LIMIT ?`,
+        [MEDIA_MIGRATE_BATCH]);
+      if (!rows.length) break;
+      for (const row of rows) {
+        const buffer = Buffer.from(row.reply_media_base64, 'base64');
+        const media = buffer.length ? await save(buffer, { mime: row.reply_media_mime || 'application/octet-stream', filename: row.reply_media_filename }) : null;
+        await query(`UPDATE auto_reply_rules SET reply_media_id=?, reply_media_base64=NULL WHERE id=?`, [media ? media.id : null, row.id]);
+      }
+      total += rows.length;
+    }
+    if (total) logger.info(`media: migrated ${total} message blob(s) into the media store`);
+    return total;
+  }
+
+  function start() {
+    migrateLegacy().catch(err => logger.error(`media migration err: ${err?.message || err}`));
+    timer = setInterval(() => {
+      cleanup().catch(err => logger.error(`media cleanup err: ${err?.message || err}`));
+    }, MEDIA_CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { get, save, open, readBuffer, sessionsFor, cleanup, migrateLegacy, start, stop };
+}
+
+// the only types GET /api/media/:id shows inline; mimes come from the sender, anything else (html, svg, pdf ...) is a download
+const INLINE_MIMES = new Set([
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr', 'audio/wav', 'audio/webm',
+  'video/mp4', 'video/3gpp', 'video/webm', 'video/ogg'
+]);
+
+function inlineAllowed(mime) {
+  return INLINE_MIMES.has(String(mime || '').split(';')[0].trim().toLowerCase());
+}
+
+/**
+ * parse a single "bytes=start-end" Range header against a file size
+ * returns { start, end } (inclusive), null when absent, or false when unsatisfiable
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!m || (m[1] === '' && m[2] === '')) return false;
+  let start;
+  let end;
+  if (m[1] === '') {
+    // suffix range: last N bytes
+    start = Math.max(size - parseInt(m[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] === '' ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+  }
+  if (start > end || start >= size) return false;
+  return { start, end };
+}
+
+module.exports = { createMediaService, createLocalDriver, parseRange, inlineAllowed, DRIVERS };
@@ -0,0 +1,75 @@
+// media.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+
+process.env.MEDIA_RETENTION_DAYS = '30';
+const { createMediaService, parseRange, inlineAllowed } = require('./media');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// media rows in memory; sql records every statement
+function fakeStore(rows = []) {
+  const sql = [];
+  const pool = {
+    async getConnection() {
+      return {
+        async query(statement, params = []) {
+          sql.push(statement.replace(/\s+/g, ' ').trim());
+          if (/^SELECT \* FROM media WHERE id=\?/.test(statement)) return [rows.filter(r => r.id === params[0])];
+          if (/^SELECT m\.id/.test(statement)) return [[]];
+          return [{ affectedRows: 1 }];
+        },
+        release() {}
+      };
+    }
+  };
+  const driver = { name: 'memory', createReadStream: () => Readable.from([Buffer.from('file')]), async remove() {} };
+  return { media: createMediaService({ pool, logger, driver }), sql };
+}
+
+test('parseRange without a header is a full response', () => {
+  assert.equal(parseRange(undefined, 100), null);
+  assert.equal(parseRange('', 100), null);
+});
+
+test('parseRange reads start-end, open ended and suffix ranges', () => {
+  assert.deepEqual(parseRange('bytes=0-9', 100), { start: 0, end: 9 });
+  assert.deepEqual(parseRange('bytes=90-', 100), { start: 90, end: 99 });
+  assert.deepEqual(parseRange('bytes=-10', 100), { start: 90, end: 99 });
+  assert.deepEqual(parseRange(' bytes=5-5 ', 100), { start: 5, end: 5 });
+});
+
+test('parseRange clips to the file size', () => {
+  assert.deepEqual(parseRange('bytes=50-1000', 100), { start: 50, end: 99 });
+  assert.deepEqual(parseRange('bytes=-1000', 100), { start: 0, end: 99 });
+});
+
+test('parseRange refuses unsatisfiable and malformed ranges', () => {
+  for (const header of ['bytes=100-', 'bytes=20-10', 'bytes=-', 'bytes=0-1,5-6', 'items=0-1', 'bytes=a-b']) {
+    assert.equal(parseRange(header, 100), false, header);
+  }
+  assert.equal(parseRange('bytes=0-', 0), false);
+});
+
+test('inlineAllowed only lets raster images, audio and video show inline', () => {
+  for (const mime of ['image/jpeg', 'image/PNG', 'audio/ogg; codecs=opus', 'video/mp4']) assert.equal(inlineAllowed(mime), true, mime);
+  for (const mime of ['text/html', 'image/svg+xml', 'application/pdf', 'application/xhtml+xml', 'text/xml', '', null]) assert.equal(inlineAllowed(mime), false, String(mime));
+});
+
+test('reading a file for a send marks it used', async () => {
+  const { media, sql } = fakeStore([{ id: 7, mime: 'image/png', filename: 'a.png', storage_key: 'k' }]);
+  const { buffer, mime } = await media.readBuffer(7);
+  assert.equal(buffer.toString(), 'file');
+  assert.equal(mime, 'image/png');
+  assert.ok(sql.includes('UPDATE media SET last_used_at=NOW() WHERE id=?'));
+  assert.equal(await media.readBuffer(8), null);
+});
+
+test('retention keeps files that broadcasts, schedules and auto-replies still send', async () => {
+  const { media, sql } = fakeStore();
+  await media.cleanup();
+  const retention = sql.find(s => /INTERVAL \? DAY/.test(s));
+  assert.ok(retention, 'no retention pass');
+  for (const table of ['broadcast_jobs', 'scheduled_messages', 'auto_reply_rules']) assert.match(retention, new RegExp(`NOT EXISTS \\(SELECT 1 FROM ${table} `));
+});
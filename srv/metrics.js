@@ -0,0 +1,133 @@
+// metrics.js
+const client = require('prom-client');
+
+const SEND_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 30]; // seconds
+
+/**
+ * stored media_type (mime, or the short type of older rows) -> a small set of label values
+ */
+function mediaKind(mediaType) {
+  if (!mediaType) return 'text';
+  const type = String(mediaType).toLowerCase();
+  if (type === 'sticker' || type === 'image/webp') return 'sticker';
+  const top = type.split('/')[0];
+  if (['image', 'video', 'audio'].includes(top)) return top;
+  return 'document';
+}
+
+/**
+ * Prometheus metrics for GET /metrics
+ * - counters and histograms are updated by the receive and send paths
+ * - gauges (sessions, DB pool, Socket.IO clients) are read at scrape time
+ * - getPool / listSessions / queueDepths are functions: the pool and the send limiter only exist after initDB
+ */
+function createMetrics({ io, logger, getPool, listSessions, queueDepths = () => ({}) }) {
+  const register = new client.Registry();
+  const registers = [register];
+  client.collectDefaultMetrics({ register });
+
+  const messages = new client.Counter({
+    name: 'wa_messages_total', help: 'Messages stored, by session, direction and media type',
+    labelNames: ['session', 'direction', 'type'], registers
+  });
+  const sendDuration = new client.Histogram({
+    name: 'wa_send_duration_seconds', help: 'Time until WhatsApp accepted a send, by send path',
+    labelNames: ['path'], buckets: SEND_BUCKETS, registers
+  });
+  const sendErrors = new client.Counter({
+    name: 'wa_send_errors_total', help: 'Failed sends, by send path',
+    labelNames: ['path'], registers
+  });
+  const sendRejected = new client.Counter({
+    name: 'wa_send_rejected_total', help: 'Sends refused by the send limiter, by session and reason',
+    labelNames: ['session', 'reason'], registers
+  });
+  const connectionCloses = new client.Counter({
+    name: 'wa_connection_closed_total', help: 'WhatsApp connections closed (connection.update), by session and disconnect code',
+    labelNames: ['session', 'code'], registers
+  });
+  const reconnects = new client.Counter({
+    name: 'wa_reconnect_attempts_total', help: 'Reconnect attempts scheduled after a dropped connection',
+    labelNames: ['session'], registers
+  });
+  const sessionFailures = new client.Counter({
+    name: 'wa_session_failed_total', help: 'Sessions that gave up reconnecting',
+    labelNames: ['session'], registers
+  });
+
+  new client.Gauge({
+    name: 'wa_session_status', help: 'Status of every session (1 for the status it is in)',
+    labelNames: ['session', 'status'], registers,
+    async collect() {
+      this.reset();
+      try {
+        for (const s of await listSessions()) this.set({ session: s.session_id, status: s.status }, 1);
+      } catch (err) {
+        logger.error(`metrics: session status err: ${err?.message || err}`);
+      }
+    }
+  });
+
+  // mysql2 keeps the pool state on the callback pool behind the promise wrapper
+  new client.Gauge({
+    name: 'wa_db_pool_connections', help: 'MySQL pool connections by state',
+    labelNames: ['state'], registers,
+    collect() {
+      const core = getPool()?.pool;
+      if (!core) return;
+      const total = core._allConnections?.length || 0;
+      const free = core._freeConnections?.length || 0;
+      this.set({ state: 'total' }, total);
+      this.set({ state: 'free' }, free);
+      this.set({ state: 'in_use' }, total - free);
+      this.set({ state: 'limit' }, core.config?.connectionLimit || 0);
+    }
+  });
+  new client.Gauge({
+    name: 'wa_db_pool_queue', help: 'Requests waiting for a MySQL pool connection', registers,
+    collect() { this.set(getPool()?.pool?._connectionQueue?.length || 0); }
+  });
+
+  new client.Gauge({
+    name: 'wa_send_queue_depth', help: 'Sends waiting in the send limiter, by session',
+    labelNames: ['session'], registers,
+    collect() {
+      this.reset();
+      for (const [session, depth] of Object.entries(queueDepths())) this.set({ session }, depth);
+    }
+  });
+
+  new client.Gauge({
+    name: 'wa_socketio_clients', help: 'Connected Socket.IO clients (dashboard tabs)', registers,
+    collect() { this.set(io.engine?.clientsCount || 0); }
+  });
+
+  function messageStored({ sessionId, direction, mediaType }) {
+    messages.inc({ session: sessionId || 'unknown', direction, type: mediaKind(mediaType) });
+  }
+
+  /**
+   * run one send and record its duration (and failure) under the send path
+   */
+  async function timeSend(path, fn) {
+    const end = sendDuration.startTimer({ path });
+    try {
+      return await fn();
+    } catch (err) {
+      sendErrors.inc({ path });
+      throw err;
+    } finally { end(); }
+  }
+
+  return {
+    register,
+    messageStored,
+    timeSend,
+    sendRejected: (sessionId, reason) => sendRejected.inc({ session: sessionId, reason }),
+    connectionClosed: (sessionId, code) => connectionCloses.inc({ session: sessionId, code: String(code ?? 'none') }),
+    reconnectScheduled: (sessionId) => reconnects.inc({ session: sessionId }),
+    sessionFailed: (sessionId) => sessionFailures.inc({ session: sessionId })
+  };
+}
+
+module.exports = { createMetrics, mediaKind };
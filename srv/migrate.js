@@ -0,0 +1,211 @@
+// migrate.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Configuration
+ */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATE_LOCK = 'wa_schema_migrate';
+const MIGRATE_LOCK_TIMEOUT = parseInt(process.env.MIGRATE_LOCK_TIMEOUT || '120', 10); // seconds another instance may hold the lock
+
+const FILE_RE = /^(\d+)_([a-z0-9_-]+)\.js$/i;
+
+/**
+ * add columns that a table created earlier does not have yet
+ */
+async function addMissingColumns(conn, table, columns) {
+  const [rows] = await conn.query(
+    `SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA=DATABASE() AND TABLE_NAME=?`, [table]);
+  const existing = new Set(rows.map(r => r.COLUMN_NAME));
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) await conn.query(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+  }
+}
+
+/**
+ * add an index unless one with that name exists; returns true when it was added
+ * definition: e.g. 'INDEX idx_x (a, b)' or 'FULLTEXT INDEX ft_x (text)'
+ */
+async function addIndex(conn, table, name, definition) {
+  const [rows] = await conn.query(`SHOW INDEX FROM ${table} WHERE Key_name=?`, [name]);
+  if (rows.length) return false;
+  await conn.query(`ALTER TABLE ${table} ADD ${definition}`);
+  return true;
+}
+
+/**
+ * srv/migrations/<version>_<name>.js, ordered by version
+ * each exports async up(conn, helpers) and down(conn, helpers)
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const seen = new Map();
+  return fs.readdirSync(dir)
+    .map(file => ({ file, m: FILE_RE.exec(file) }))
+    .filter(({ m }) => m)
+    .map(({ file, m }) => {
+      const version = parseInt(m[1], 10);
+      if (seen.has(version)) throw new Error(`migration version ${version} used twice (${seen.get(version)}, ${file})`);
+      seen.set(version, file);
+      const full = path.join(dir, file);
+      const { up, down } = require(full);
+      if (typeof up !== 'function') throw new Error(`migration ${file} has no up()`);
+      const checksum = crypto.createHash('sha256').update(fs.readFileSync(full)).digest('hex');
+      return { version, name: m[2], file, up, down, checksum };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Versioned schema migrations
+ * - applied versions are kept in schema_migrations (with a checksum of the file)
+ * - migrate() runs every pending migration in order under a MySQL named lock, so several instances
+ *   starting together migrate once
+ * - MySQL commits DDL implicitly: a migration that fails halfway is not rolled back, so write
+ *   each step to be safe to run again (helpers: addMissingColumns, addIndex)
+ */
+function createMigrator({ pool, logger, dir = MIGRATIONS_DIR }) {
+  const helpers = { addMissingColumns, addIndex, logger };
+
+  async function ensureTable(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        duration_ms INT NOT NULL DEFAULT 0,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async function applied(conn) {
+    const [rows] = await conn.query(`SELECT * FROM schema_migrations ORDER BY version`);
+    return new Map(rows.map(r => [r.version, r]));
+  }
+
+  async function withLock(fn) {
+    const conn = await pool.getConnection();
+    try {
+      const [[{ locked }]] = await conn.query(`SELECT GET_LOCK(?, ?) AS locked`, [MIGRATE_LOCK, MIGRATE_LOCK_TIMEOUT]);
+      if (locked !== 1) throw new Error(`could not get the migration lock within ${MIGRATE_LOCK_TIMEOUT}s (another instance migrating?)`);
+      try {
+        await ensureTable(conn);
+        return await fn(conn);
+      } finally {
+        await conn.query(`SELECT RELEASE_LOCK(?)`, [MIGRATE_LOCK]).catch(() => {});
+      }
+    } finally { conn.release(); }
+  }
+
+  /**
+   * apply every pending migration; returns the versions applied
+   */
+  async function migrate() {
+    const migrations = loadMigrations(dir);
+    return withLock(async (conn) => {
+      const done = await applied(conn);
+      const ran = [];
+      for (const m of migrations) {
+        const row = done.get(m.version);
+        if (row) {
+          if (row.checksum !== m.checksum) logger.warn(`migration ${m.file} changed after it was applied`);
+          continue;
+        }
+        logger.info(`migrating ${m.file}`);
+        const started = Date.now();
+        await m.up(conn, helpers);
+        await conn.query(`INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES (?, ?, ?, ?)`,
+          [m.version, m.name, m.checksum, Date.now() - started]);
+        ran.push(m.version);
+      }
+      if (ran.length) logger.info(`schema migrated to version ${ran[ran.length - 1]} (${ran.length} migration(s))`);
+      return ran;
+    });
+  }
+
+  /**
+   * revert the last `steps` applied migrations; returns the versions reverted
+   */
+  async function rollback(steps = 1) {
+    const migrations = new Map(loadMigrations(dir).map(m => [m.version, m]));
+    return withLock(async (conn) => {
+      const versions = [...(await applied(conn)).keys()].reverse().slice(0, steps);
+      const reverted = [];
+      for (const version of versions) {
+        const m = migrations.get(version);
+        if (!m) throw new Error(`migration ${version} is applied but its file is missing`);
+        if (typeof m.down !== 'function') throw new Error(`migration ${m.file} cannot be reverted (no down())`);
+        logger.info(`reverting ${m.file}`);
+        await m.down(conn, helpers);
+        await conn.query(`DELETE FROM schema_migrations WHERE version=?`, [version]);
+        reverted.push(version);
+      }
+      return reverted;
+    });
+  }
+
+  /**
+   * every known migration: [{ version, name, applied_at, state: applied|pending|changed|missing }]
+   */
+  async function status() {
+    const migrations = loadMigrations(dir);
+    const conn = await pool.getConnection();
+    try {
+      await ensureTable(conn);
+      const done = await applied(conn);
+      const rows = migrations.map(m => {
+        const row = done.get(m.version);
+        const state = !row ? 'pending' : (row.checksum !== m.checksum ? 'changed' : 'applied');
+        return { version: m.version, name: m.name, applied_at: row?.applied_at || null, state };
+      });
+      // applied here but no file (e.g. an older checkout)
+      for (const [version, row] of done) {
+        if (!migrations.some(m => m.version === version)) rows.push({ version, name: row.name, applied_at: row.applied_at, state: 'missing' });
+      }
+      return rows.sort((a, b) => a.version - b.version);
+    } finally { conn.release(); }
+  }
+
+  return { migrate, rollback, status };
+}
+
+module.exports = { createMigrator, addMissingColumns, addIndex };
+
+/**
+ * CLI:
+ *   node srv/migrate.js [up]       apply pending migrations
+ *   node srv/migrate.js status     list migrations and their state
+ *   node srv/migrate.js down [n]   revert the last n (default 1)
+ */
+if (require.main === module) {
+  require('dotenv').config();
+  const mysql = require('mysql2/promise');
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASS || '',
+    port: process.env.DB_PORT || 3306,
+    database: process.env.DB_NAME || 'whatsapp'
+  });
+  const logger = { info: console.log, warn: console.warn, error: console.error };
+  const migrator = createMigrator({ pool, logger });
+  const [command = 'up', arg] = process.argv.slice(2);
+  const run = {
+    up: () => migrator.migrate(),
+    down: () => migrator.rollback(Math.max(parseInt(arg || '1', 10) || 1, 1)),
+    status: async () => {
+      for (const r of await migrator.status()) {
+        console.log(`${String(r.version).padStart(4, '0')}  ${r.state.padEnd(8)} ${r.name}${r.applied_at ? `  (${new Date(r.applied_at).toISOString()})` : ''}`);
+      }
+    }
+  }[command];
+  if (!run) {
+    console.error('usage: node srv/migrate.js [up | status | down [n]]');
+    process.exit(1);
+  }
+  run()
+    .then(() => pool.end())
+    .catch((err) => { console.error(err?.message || err); process.exit(1); });
+}
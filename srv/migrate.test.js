@@ -0,0 +1,111 @@
+// migrate.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMigrator } = require('./migrate');
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// a migrations directory with these { 'NNN_name.js': source } files
+function migrationsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-test-'));
+  dirs.push(dir);
+  for (const [file, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), source);
+  return dir;
+}
+
+const migration = (tag) => `module.exports = { up: async (conn) => conn.query('UP ${tag}'), down: async (conn) => conn.query('DOWN ${tag}') };\n`;
+
+// one connection answering the migrator's queries; log records every statement
+function fakePool({ locked = 1, applied = [] } = {}) {
+  const state = { log: [], applied: [...applied], released: 0 };
+  const conn = {
+    async query(sql, params = []) {
+      state.log.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+      if (/GET_LOCK/.test(sql)) return [[{ locked }]];
+      if (/SELECT \* FROM schema_migrations/.test(sql)) return [state.applied];
+      if (/INSERT INTO schema_migrations/.test(sql)) {
+        const [version, name, checksum] = params;
+        state.applied.push({ version, name, checksum, applied_at: new Date() });
+      }
+      if (/DELETE FROM schema_migrations/.test(sql)) state.applied = state.applied.filter(r => r.version !== params[0]);
+      if (/^UP fail/.test(sql)) throw new Error('boom');
+      return [[]];
+    },
+    release() { state.released++; }
+  };
+  return { pool: { async getConnection() { return conn; } }, state };
+}
+
+function quietLogger() {
+  const warnings = [];
+  return { logger: { info() {}, warn: (m) => warnings.push(m), error() {} }, warnings };
+}
+
+test('migrate applies pending migrations in version order under the lock', async () => {
+  const dir = migrationsDir({ '002_second.js': migration('two'), '001_first.js': migration('one'), 'README.md': 'not a migration' });
+  const { pool, state } = fakePool();
+  const ran = await createMigrator({ pool, logger: quietLogger().logger, dir }).migrate();
+  assert.deepEqual(ran, [1, 2]);
+  assert.deepEqual(state.log.filter(s => /^(SELECT GET_LOCK|UP|SELECT RELEASE_LOCK)/.test(s)),
+    ['SELECT GET_LOCK(?,', 'UP one', 'UP two', 'SELECT RELEASE_LOCK(?)']);
+  assert.deepEqual(state.applied.map(r => [r.version, r.name]), [[1, 'first'], [2, 'second']]);
+  assert.match(state.applied[0].checksum, /^[0-9a-f]{64}$/);
+  assert.equal(state.released, 1);
+
+  // nothing left to do on the next start
+  assert.deepEqual(await createMigrator({ pool, logger: quietLogger().logger, dir }).migrate(), []);
+});
+
+test('migrate refuses to run without the lock', async () => {
+  const dir = migrationsDir({ '001_first.js': migration('one') });
+  const { pool, state } = fakePool({ locked: 0 });
+  await assert.rejects(createMigrator({ pool, logger: quietLogger().logger, dir }).migrate(), /migration lock/);
+  assert.ok(!state.log.includes('UP one'));
+  assert.equal(state.released, 1);
+});
+
+test('a failing migration is not recorded and the lock is released', async () => {
+  const dir = migrationsDir({ '001_first.js': migration('one'), '002_broken.js': migration('fail') });
+  const { pool, state } = fakePool();
+  await assert.rejects(createMigrator({ pool, logger: quietLogger().logger, dir }).migrate(), /boom/);
+  assert.deepEqual(state.applied.map(r => r.version), [1]);
+  assert.equal(state.log[state.log.length - 1], 'SELECT RELEASE_LOCK(?)');
+});
+
+test('an applied migration whose file changed is reported, not run again', async () => {
+  const dir = migrationsDir({ '001_first.js': migration('one') });
+  const { pool, state } = fakePool({ applied: [{ version: 1, name: 'first', checksum: '0'.repeat(64), applied_at: new Date() }] });
+  const { logger, warnings } = quietLogger();
+  const migrator = createMigrator({ pool, logger, dir });
+  assert.deepEqual(await migrator.migrate(), []);
+  assert.ok(!state.log.includes('UP one'));
+  assert.match(warnings[0], /001_first\.js changed after it was applied/);
+  assert.deepEqual((await migrator.status()).map(r => [r.version, r.state]), [[1, 'changed']]);
+});
+
+test('status lists pending and missing migrations', async () => {
+  const dir = migrationsDir({ '002_second.js': migration('two') });
+  const { pool } = fakePool({ applied: [{ version: 1, name: 'gone', checksum: '0'.repeat(64), applied_at: new Date() }] });
+  const rows = await createMigrator({ pool, logger: quietLogger().logger, dir }).status();
+  assert.deepEqual(rows.map(r => [r.version, r.name, r.state]), [[1, 'gone', 'missing'], [2, 'second', 'pending']]);
+});
+
+test('rollback runs down() of the latest migrations and forgets them', async () => {
+  const dir = migrationsDir({ '001_first.js': migration('one'), '002_second.js': migration('two') });
+  const { pool, state } = fakePool();
+  const migrator = createMigrator({ pool, logger: quietLogger().logger, dir });
+  await migrator.migrate();
+  assert.deepEqual(await migrator.rollback(1), [2]);
+  assert.ok(state.log.includes('DOWN two') && !state.log.includes('DOWN one'));
+  assert.deepEqual(state.applied.map(r => r.version), [1]);
+});
+
+test('duplicate versions are refused', async () => {
+  const dir = migrationsDir({ '001_first.js': migration('one'), '1_again.js': migration('again') });
+  const { pool } = fakePool();
+  await assert.rejects(createMigrator({ pool, logger: quietLogger().logger, dir }).migrate(), /version 1 used twice/);
+});
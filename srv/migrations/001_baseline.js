@@ -0,0 +1,386 @@
+// 001_baseline.js
+// every table as it was when versioned migrations came in; databases created earlier by db.sql,
+// main.js (ensureTables) or the old initDB differ, so this one checks columns and indexes itself
+
+// in creation order; down() drops them in reverse
+const TABLES = [
+  'sessions',
+  'messages',
+  'chats',
+  'contacts',
+  'media',
+  'media_archive_settings',
+  'webhooks',
+  'webhook_deliveries',
+  'broadcast_jobs',
+  'broadcast_recipients',
+  'audience_lists',
+  'audience_members',
+  'scheduled_messages',
+  'auto_reply_rules',
+  'users',
+  'user_sessions',
+  'api_keys',
+  'message_templates',
+  'auth_state'
+];
+
+module.exports = {
+  async up(conn, { addMissingColumns, addIndex, logger }) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(150) NOT NULL UNIQUE,
+        user_id VARCHAR(150) DEFAULT NULL,
+        phone_number VARCHAR(80) DEFAULT NULL,
+        status ENUM('loading','qr_received','connected','reconnecting','disconnected','failed','logged_out') DEFAULT 'loading',
+        reconnect_attempts INT NOT NULL DEFAULT 0,
+        next_retry_at DATETIME DEFAULT NULL,
+        last_error VARCHAR(255) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    // db.sql / main.js created sessions with user_id; initDB without it
+    await addMissingColumns(conn, 'sessions', {
+      user_id: 'VARCHAR(150) DEFAULT NULL',
+      reconnect_attempts: 'INT NOT NULL DEFAULT 0',
+      next_retry_at: 'DATETIME DEFAULT NULL',
+      last_error: 'VARCHAR(255) DEFAULT NULL'
+    });
+    const [statusCol] = await conn.query(
+      `SELECT COLUMN_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA=DATABASE() AND TABLE_NAME='sessions' AND COLUMN_NAME='status'`);
+    if (!String(statusCol[0]?.COLUMN_TYPE || '').includes("'reconnecting'")) {
+      await conn.query(`ALTER TABLE sessions MODIFY status ENUM('loading','qr_received','connected','reconnecting','disconnected','failed','logged_out') DEFAULT 'loading'`);
+    }
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(150) DEFAULT NULL,
+        direction ENUM('in','out') NOT NULL,
+        from_who VARCHAR(150) DEFAULT NULL,
+        to_who VARCHAR(150) DEFAULT NULL,
+        text TEXT,
+        media_type VARCHAR(50) DEFAULT NULL,
+        media_base64 LONGTEXT DEFAULT NULL,
+        media_id BIGINT DEFAULT NULL,
+        chat_jid VARCHAR(150) DEFAULT NULL,
+        wa_id VARCHAR(128) DEFAULT NULL,
+        status ENUM('pending','sent','delivered','read','failed') DEFAULT NULL,
+        sent_at DATETIME DEFAULT NULL,
+        delivered_at DATETIME DEFAULT NULL,
+        read_at DATETIME DEFAULT NULL,
+        failed_at DATETIME DEFAULT NULL,
+        error VARCHAR(255) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_messages_wa (session_id, wa_id),
+        INDEX idx_messages_media (media_id),
+        INDEX idx_messages_chat (session_id, chat_jid, id),
+        INDEX idx_messages_session (session_id, id),
+        INDEX idx_messages_created (created_at),
+        FULLTEXT INDEX ft_messages_text (text)
+      )
+    `);
+    // db.sql / main.js messages only had the first seven columns
+    await addMissingColumns(conn, 'messages', {
+      media_base64: 'LONGTEXT DEFAULT NULL',
+      wa_id: 'VARCHAR(128) DEFAULT NULL',
+      status: "ENUM('pending','sent','delivered','read','failed') DEFAULT NULL",
+      sent_at: 'DATETIME DEFAULT NULL',
+      delivered_at: 'DATETIME DEFAULT NULL',
+      read_at: 'DATETIME DEFAULT NULL',
+      failed_at: 'DATETIME DEFAULT NULL',
+      error: 'VARCHAR(255) DEFAULT NULL',
+      media_id: 'BIGINT DEFAULT NULL',
+      chat_jid: 'VARCHAR(150) DEFAULT NULL'
+    });
+    await addIndex(conn, 'messages', 'idx_messages_wa', 'INDEX idx_messages_wa (session_id, wa_id)');
+    await addIndex(conn, 'messages', 'idx_messages_media', 'INDEX idx_messages_media (media_id)');
+    // search: session + cursor, date range and full-text (building the FULLTEXT index once can take a while on big tables)
+    await addIndex(conn, 'messages', 'idx_messages_session', 'INDEX idx_messages_session (session_id, id)');
+    await addIndex(conn, 'messages', 'idx_messages_created', 'INDEX idx_messages_created (created_at)');
+    if (await addIndex(conn, 'messages', 'ft_messages_text', 'FULLTEXT INDEX ft_messages_text (text)')) logger.info('added ft_messages_text to messages');
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS chats (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(150) NOT NULL,
+        jid VARCHAR(150) NOT NULL,
+        name VARCHAR(255) DEFAULT NULL,
+        last_message_id BIGINT DEFAULT NULL,
+        last_message_text VARCHAR(255) DEFAULT NULL,
+        last_message_direction ENUM('in','out') DEFAULT NULL,
+        last_message_at DATETIME DEFAULT NULL,
+        unread_count INT NOT NULL DEFAULT 0,
+        archived TINYINT(1) NOT NULL DEFAULT 0,
+        pinned TINYINT(1) NOT NULL DEFAULT 0,
+        muted TINYINT(1) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_chats_session_jid (session_id, jid),
+        INDEX idx_chats_list (session_id, archived, pinned, last_message_at)
+      )
+    `);
+    if (await addIndex(conn, 'messages', 'idx_messages_chat', 'INDEX idx_messages_chat (session_id, chat_jid, id)')) {
+      // older rows: the chat is whichever side is not our own jid (ours carries a :device suffix)
+      await conn.query(`UPDATE messages SET chat_jid = IF(to_who IS NULL OR to_who LIKE '%:%@%', from_who, to_who) WHERE chat_jid IS NULL`);
+      // and seed the conversation list from each chat's latest message
+      await conn.query(`
+        INSERT IGNORE INTO chats (session_id, jid, last_message_id, last_message_text, last_message_direction, last_message_at)
+        SELECT m.session_id, m.chat_jid, m.id, LEFT(m.text, 255), m.direction, m.created_at
+        FROM messages m
+        JOIN (SELECT MAX(id) AS id FROM messages WHERE session_id IS NOT NULL AND chat_jid IS NOT NULL GROUP BY session_id, chat_jid) latest ON latest.id = m.id
+      `);
+    }
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(150) NOT NULL,
+        jid VARCHAR(150) NOT NULL,
+        phone VARCHAR(50) DEFAULT NULL,
+        name VARCHAR(255) DEFAULT NULL,
+        notify VARCHAR(255) DEFAULT NULL,
+        verified_name VARCHAR(255) DEFAULT NULL,
+        about VARCHAR(500) DEFAULT NULL,
+        picture_url TEXT DEFAULT NULL,
+        fields TEXT DEFAULT NULL,
+        notes TEXT DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_contacts_session_jid (session_id, jid),
+        INDEX idx_contacts_phone (session_id, phone)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS media (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        sha256 CHAR(64) NOT NULL UNIQUE,
+        driver VARCHAR(20) NOT NULL DEFAULT 'local',
+        storage_key VARCHAR(255) NOT NULL,
+        mime VARCHAR(150) NOT NULL DEFAULT 'application/octet-stream',
+        size BIGINT NOT NULL DEFAULT 0,
+        filename VARCHAR(255) DEFAULT NULL,
+        last_used_at DATETIME DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_media_last_used (last_used_at)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS media_archive_settings (
+        session_id VARCHAR(150) PRIMARY KEY,
+        enabled TINYINT(1) NOT NULL DEFAULT 1,
+        max_file_mb INT NOT NULL DEFAULT 32,
+        quota_mb INT NOT NULL DEFAULT 0,
+        allowed_mime TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(150) NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        events VARCHAR(500) NOT NULL DEFAULT '*',
+        secret VARCHAR(255) NOT NULL,
+        active TINYINT(1) NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_webhooks_session (session_id)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        webhook_id INT NOT NULL,
+        event VARCHAR(100) NOT NULL,
+        payload LONGTEXT NOT NULL,
+        status ENUM('pending','success','failed') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        response_status INT DEFAULT NULL,
+        response_body TEXT DEFAULT NULL,
+        error TEXT DEFAULT NULL,
+        next_attempt_at DATETIME DEFAULT NULL,
+        delivered_at DATETIME DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_deliveries_webhook (webhook_id, id),
+        INDEX idx_deliveries_due (status, next_attempt_at)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS broadcast_jobs (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(150) NOT NULL,
+        message TEXT NOT NULL,
+        template_id INT DEFAULT NULL,
+        status ENUM('queued','running','paused','waiting','completed','cancelled') NOT NULL DEFAULT 'queued',
+        total INT NOT NULL DEFAULT 0,
+        sent INT NOT NULL DEFAULT 0,
+        failed INT NOT NULL DEFAULT 0,
+        interval_ms INT NOT NULL DEFAULT 3000,
+        jitter_ms INT NOT NULL DEFAULT 2000,
+        last_error TEXT DEFAULT NULL,
+        list_id BIGINT DEFAULT NULL,
+        created_by VARCHAR(150) DEFAULT NULL,
+        started_at DATETIME DEFAULT NULL,
+        finished_at DATETIME DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_broadcast_jobs_status (status)
+      )
+    `);
+    await addMissingColumns(conn, 'broadcast_jobs', { list_id: 'BIGINT DEFAULT NULL' });
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS broadcast_recipients (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        job_id BIGINT NOT NULL,
+        recipient VARCHAR(150) NOT NULL,
+        jid VARCHAR(150) NOT NULL,
+        text TEXT DEFAULT NULL,
+        status ENUM('pending','sent','failed','skipped') NOT NULL DEFAULT 'pending',
+        error TEXT DEFAULT NULL,
+        sent_at DATETIME DEFAULT NULL,
+        INDEX idx_broadcast_recipients_job (job_id, status, id)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS audience_lists (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(150) NOT NULL UNIQUE,
+        description VARCHAR(255) DEFAULT NULL,
+        columns TEXT DEFAULT NULL,
+        created_by VARCHAR(150) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS audience_members (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        list_id BIGINT NOT NULL,
+        recipient VARCHAR(100) NOT NULL,
+        phone VARCHAR(20) NOT NULL,
+        jid VARCHAR(150) NOT NULL,
+        fields TEXT DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_audience_members_phone (list_id, phone)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS scheduled_messages (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(150) NOT NULL,
+        recipient VARCHAR(150) NOT NULL,
+        text TEXT DEFAULT NULL,
+        media_base64 LONGTEXT DEFAULT NULL,
+        media_mime VARCHAR(150) DEFAULT NULL,
+        media_filename VARCHAR(255) DEFAULT NULL,
+        cron VARCHAR(100) DEFAULT NULL,
+        run_at DATETIME NOT NULL,
+        end_at DATETIME DEFAULT NULL,
+        expire_minutes INT NOT NULL DEFAULT 60,
+        status ENUM('pending','sent','completed','expired','failed','cancelled') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        run_count INT NOT NULL DEFAULT 0,
+        last_error TEXT DEFAULT NULL,
+        last_sent_at DATETIME DEFAULT NULL,
+        created_by VARCHAR(150) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_scheduled_due (status, run_at),
+        INDEX idx_scheduled_session (session_id)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS auto_reply_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id VARCHAR(150) NOT NULL,
+        name VARCHAR(150) DEFAULT NULL,
+        match_type ENUM('exact','contains','regex') NOT NULL DEFAULT 'contains',
+        pattern VARCHAR(500) NOT NULL,
+        case_sensitive TINYINT(1) NOT NULL DEFAULT 0,
+        chat_scope ENUM('all','private','group') NOT NULL DEFAULT 'all',
+        active_days VARCHAR(20) DEFAULT NULL,
+        active_from TIME DEFAULT NULL,
+        active_to TIME DEFAULT NULL,
+        reply_type ENUM('text','media','template') NOT NULL DEFAULT 'text',
+        reply_text TEXT DEFAULT NULL,
+        reply_media_base64 LONGTEXT DEFAULT NULL,
+        reply_media_mime VARCHAR(150) DEFAULT NULL,
+        reply_media_filename VARCHAR(255) DEFAULT NULL,
+        template_id INT DEFAULT NULL,
+        priority INT NOT NULL DEFAULT 100,
+        cooldown_seconds INT NOT NULL DEFAULT 300,
+        ignore_from_me TINYINT(1) NOT NULL DEFAULT 1,
+        enabled TINYINT(1) NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_auto_reply_session (session_id, enabled, priority)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        username VARCHAR(64) NOT NULL UNIQUE,
+        password_hash VARCHAR(255) NOT NULL,
+        role ENUM('admin','operator','viewer') NOT NULL DEFAULT 'viewer',
+        active TINYINT(1) NOT NULL DEFAULT 1,
+        last_login_at DATETIME DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id INT NOT NULL,
+        ip VARCHAR(64) DEFAULT NULL,
+        user_agent VARCHAR(255) DEFAULT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_sessions_user (user_id),
+        INDEX idx_user_sessions_expiry (expires_at)
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        label VARCHAR(150) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) NOT NULL UNIQUE,
+        scopes VARCHAR(100) NOT NULL DEFAULT 'read',
+        sessions TEXT DEFAULT NULL,
+        rate_limit INT NOT NULL DEFAULT 120,
+        expires_at DATETIME DEFAULT NULL,
+        revoked_at DATETIME DEFAULT NULL,
+        last_used_at DATETIME DEFAULT NULL,
+        created_by VARCHAR(64) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS message_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(150) NOT NULL UNIQUE,
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS auth_state (
+        session_id VARCHAR(150) NOT NULL,
+        category VARCHAR(50) NOT NULL,
+        key_id VARCHAR(255) NOT NULL DEFAULT '',
+        enc_key CHAR(16) DEFAULT NULL,
+        iv VARBINARY(12) DEFAULT NULL,
+        tag VARBINARY(16) DEFAULT NULL,
+        data LONGBLOB NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, category, key_id)
+      )
+    `);
+  },
+
+  async down(conn) {
+    for (const table of [...TABLES].reverse()) await conn.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+};
@@ -0,0 +1,30 @@
+// 002_message_types.js
+// message types (outgoing.js): the type of every message, the message it quotes or reacts to,
+// type specific data as JSON (location, contacts, poll, mentions) and the non-text part of a broadcast
+// (media_id keeps its file from the media cleanup until the job is done)
+
+module.exports = {
+  async up(conn, { addMissingColumns }) {
+    await addMissingColumns(conn, 'messages', {
+      message_type: "VARCHAR(20) NOT NULL DEFAULT 'text'",
+      quoted_id: 'BIGINT DEFAULT NULL',
+      meta: 'TEXT DEFAULT NULL'
+    });
+    // older rows only know their media mime (or the short type)
+    await conn.query(`
+      UPDATE messages SET message_type = CASE
+        WHEN media_type IN ('sticker', 'image/webp') THEN 'sticker'
+        WHEN media_type LIKE 'image%' THEN 'image'
+        WHEN media_type LIKE 'video%' THEN 'video'
+        WHEN media_type LIKE 'audio%' THEN 'audio'
+        ELSE 'document' END
+      WHERE media_type IS NOT NULL AND message_type='text'
+    `);
+    await addMissingColumns(conn, 'broadcast_jobs', { payload: 'TEXT DEFAULT NULL', media_id: 'BIGINT DEFAULT NULL' });
+  },
+
+  async down(conn) {
+    await conn.query(`ALTER TABLE messages DROP COLUMN message_type, DROP COLUMN quoted_id, DROP COLUMN meta`);
+    await conn.query(`ALTER TABLE broadcast_jobs DROP COLUMN payload, DROP COLUMN media_id`);
+  }
+};
@@ -0,0 +1,27 @@
+// 003_message_edits.js
+// edits and deletes for everyone (ours and the other side's): the row keeps the current text plus
+// edited_at / deleted flag, message_edits the text each edit replaced
+
+module.exports = {
+  async up(conn, { addMissingColumns }) {
+    await addMissingColumns(conn, 'messages', {
+      edited_at: 'DATETIME DEFAULT NULL',
+      deleted: 'TINYINT(1) NOT NULL DEFAULT 0',
+      deleted_at: 'DATETIME DEFAULT NULL'
+    });
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS message_edits (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        message_id BIGINT NOT NULL,
+        text TEXT,
+        edited_at DATETIME NOT NULL,
+        INDEX idx_message_edits_message (message_id, id)
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query(`DROP TABLE IF EXISTS message_edits`);
+    await conn.query(`ALTER TABLE messages DROP COLUMN edited_at, DROP COLUMN deleted, DROP COLUMN deleted_at`);
+  }
+};
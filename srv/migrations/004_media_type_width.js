@@ -0,0 +1,14 @@
+// 004_media_type_width.js
+// media_type holds the full mime of a message's file: office mimes are longer than 50 characters,
+// so it gets the width of media.mime
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`ALTER TABLE messages MODIFY media_type VARCHAR(150) DEFAULT NULL`);
+  },
+
+  async down(conn) {
+    await conn.query(`UPDATE messages SET media_type=LEFT(media_type, 50) WHERE CHAR_LENGTH(media_type) > 50`);
+    await conn.query(`ALTER TABLE messages MODIFY media_type VARCHAR(50) DEFAULT NULL`);
+  }
+};
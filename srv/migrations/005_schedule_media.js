@@ -0,0 +1,13 @@
+// 005_schedule_media.js
+// scheduled files move into the media store: media_id replaces media_base64 (old rows are moved by media.migrateLegacy)
+
+module.exports = {
+  async up(conn, { addMissingColumns, addIndex }) {
+    await addMissingColumns(conn, 'scheduled_messages', { media_id: 'BIGINT DEFAULT NULL' });
+    await addIndex(conn, 'scheduled_messages', 'idx_scheduled_media', 'INDEX idx_scheduled_media (media_id)');
+  },
+
+  async down(conn) {
+    await conn.query(`ALTER TABLE scheduled_messages DROP INDEX idx_scheduled_media, DROP COLUMN media_id`);
+  }
+};
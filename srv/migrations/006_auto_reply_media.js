@@ -0,0 +1,13 @@
+// 006_auto_reply_media.js
+// auto-reply files move into the media store: reply_media_id replaces reply_media_base64 (old rows are moved by media.migrateLegacy)
+
+module.exports = {
+  async up(conn, { addMissingColumns, addIndex }) {
+    await addMissingColumns(conn, 'auto_reply_rules', { reply_media_id: 'BIGINT DEFAULT NULL' });
+    await addIndex(conn, 'auto_reply_rules', 'idx_auto_reply_media', 'INDEX idx_auto_reply_media (reply_media_id)');
+  },
+
+  async down(conn) {
+    await conn.query(`ALTER TABLE auto_reply_rules DROP INDEX idx_auto_reply_media, DROP COLUMN reply_media_id`);
+  }
+};
@@ -0,0 +1,282 @@
+// mysql-auth.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+
+/**
+ * Configuration
+ * AUTH_ENCRYPTION_KEY: 32 bytes as 64 hex chars or base64 (openssl rand -hex 32)
+ * AUTH_ENCRYPTION_KEY_OLD: previous key(s), comma separated, still accepted for reading until rotate-key ran
+ */
+const AUTH_KEY_WRITE_BATCH = parseInt(process.env.AUTH_KEY_WRITE_BATCH || '200', 10); // rows per INSERT
+const AUTH_ROTATE_BATCH = 500;
+
+// file name prefixes of useMultiFileAuthState (longest first: sender-key-memory before sender-key)
+const KEY_TYPES = ['app-state-sync-version', 'app-state-sync-key', 'sender-key-memory', 'sender-key', 'pre-key', 'session'];
+
+function parseKey(value, name) {
+  const raw = String(value).trim();
+  const buf = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (buf.length !== 32) throw new Error(`${name} must be 32 bytes (64 hex chars or base64), e.g. openssl rand -hex 32`);
+  return buf;
+}
+
+// rows remember which key encrypted them, so old keys keep working during a rotation
+const fingerprint = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+function loadKeys() {
+  const current = process.env.AUTH_ENCRYPTION_KEY ? parseKey(process.env.AUTH_ENCRYPTION_KEY, 'AUTH_ENCRYPTION_KEY') : null;
+  const old = String(process.env.AUTH_ENCRYPTION_KEY_OLD || '').split(',').filter(s => s.trim()).map(k => parseKey(k, 'AUTH_ENCRYPTION_KEY_OLD'));
+  const byId = new Map([current, ...old].filter(Boolean).map(k => [fingerprint(k), k]));
+  return { current: current ? { id: fingerprint(current), key: current } : null, byId };
+}
+
+let keys = null;
+let warnedPlaintext = false;
+function getKeys(logger = console) {
+  if (!keys) keys = loadKeys();
+  if (!keys.current && !warnedPlaintext) {
+    warnedPlaintext = true;
+    logger.warn('AUTH_ENCRYPTION_KEY not set: WhatsApp credentials are stored unencrypted');
+  }
+  return keys;
+}
+
+/**
+ * AES-256-GCM; the row identity is the additional data, so a row copied to another session or key id does not decrypt
+ * without a key the data is stored as is (enc_key NULL) and rotate-key encrypts it later
+ */
+function seal(sessionId, category, keyId, value, logger) {
+  const plain = Buffer.from(JSON.stringify(value, BufferJSON.replacer), 'utf8');
+  const { current } = getKeys(logger);
+  if (!current) return { encKey: null, iv: null, tag: null, data: plain };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+  cipher.setAAD(Buffer.from(`${sessionId}|${category}|${keyId}`));
+  const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return { encKey: current.id, iv, tag: cipher.getAuthTag(), data };
+}
+
+function open(row, logger) {
+  let plain = row.data;
+  if (row.enc_key) {
+    const key = getKeys(logger).byId.get(row.enc_key);
+    if (!key) throw new Error(`auth state of ${row.session_id} is encrypted with key ${row.enc_key}, which is not configured (AUTH_ENCRYPTION_KEY / AUTH_ENCRYPTION_KEY_OLD)`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, row.iv);
+    decipher.setAAD(Buffer.from(`${row.session_id}|${row.category}|${row.key_id}`));
+    decipher.setAuthTag(row.tag);
+    plain = Buffer.concat([decipher.update(row.data), decipher.final()]);
+  }
+  return JSON.parse(plain.toString('utf8'), BufferJSON.reviver);
+}
+
+// [session_id, category, key_id, enc_key, iv, tag, data] rows, AUTH_KEY_WRITE_BATCH per statement
+async function upsertRows(conn, rows) {
+  for (let i = 0; i < rows.length; i += AUTH_KEY_WRITE_BATCH) {
+    await conn.query(
+      `INSERT INTO auth_state (session_id, category, key_id, enc_key, iv, tag, data) VALUES ?
+       ON DUPLICATE KEY UPDATE enc_key=VALUES(enc_key), iv=VALUES(iv), tag=VALUES(tag), data=VALUES(data)`,
+      [rows.slice(i, i + AUTH_KEY_WRITE_BATCH)]);
+  }
+}
+
+function toRow(sessionId, category, keyId, value, logger) {
+  const { encKey, iv, tag, data } = seal(sessionId, category, keyId, value, logger);
+  return [sessionId, category, keyId, encKey, iv, tag, data];
+}
+
+/**
+ * Baileys auth state in MySQL (drop-in for useMultiFileAuthState), table auth_state (srv/migrations)
+ * - creds: one row (category 'creds'), written on creds.update
+ * - signal keys: one row per type + id; each keys.set() is one transaction with multi-row writes
+ */
+async function useMySQLAuthState(pool, sessionId, { logger = console } = {}) {
+
+  async function read(category, ids) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(
+        `SELECT * FROM auth_state WHERE session_id=? AND category=? AND key_id IN (?)`, [sessionId, category, ids]);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  const [credsRow] = await read('creds', ['']);
+  const creds = credsRow ? open(credsRow, logger) : initAuthCreds();
+
+  const state = {
+    creds,
+    keys: {
+      async get(type, ids) {
+        const result = {};
+        if (!ids.length) return result;
+        for (const row of await read(type, ids)) {
+          let value = open(row, logger);
+          if (type === 'app-state-sync-key' && value) value = proto.Message.AppStateSyncKeyData.fromObject(value);
+          result[row.key_id] = value;
+        }
+        return result;
+      },
+      async set(data) {
+        const upserts = [];
+        const deletes = {}; // type -> ids
+        for (const [type, entries] of Object.entries(data || {})) {
+          for (const [id, value] of Object.entries(entries || {})) {
+            if (value) upserts.push(toRow(sessionId, type, id, value, logger));
+            else (deletes[type] = deletes[type] || []).push(id);
+          }
+        }
+        if (!upserts.length && !Object.keys(deletes).length) return;
+        const conn = await pool.getConnection();
+        try {
+          await conn.beginTransaction();
+          await upsertRows(conn, upserts);
+          for (const [type, ids] of Object.entries(deletes)) {
+            await conn.query(`DELETE FROM auth_state WHERE session_id=? AND category=? AND key_id IN (?)`, [sessionId, type, ids]);
+          }
+          await conn.commit();
+        } catch (err) {
+          await conn.rollback().catch(() => {});
+          throw err;
+        } finally { conn.release(); }
+      }
+    }
+  };
+
+  async function saveCreds() {
+    const conn = await pool.getConnection();
+    try {
+      await upsertRows(conn, [toRow(sessionId, 'creds', '', state.creds, logger)]);
+    } finally { conn.release(); }
+  }
+
+  return { state, saveCreds };
+}
+
+/**
+ * forget a session's credentials and keys (after logout)
+ */
+async function clearSession(pool, sessionId) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.query(`DELETE FROM auth_state WHERE session_id=?`, [sessionId]);
+  } finally { conn.release(); }
+}
+
+// useMultiFileAuthState file name -> [type, id]; it replaced / with __ and : with -
+function parseKeyFile(file) {
+  const base = file.replace(/\.json$/, '');
+  const type = KEY_TYPES.find(t => base.startsWith(`${t}-`));
+  if (!type) return null;
+  let id = base.slice(type.length + 1).replace(/__/g, '/');
+  // sender key ids are group::sender::device; other ids have no colons
+  if (type === 'sender-key') id = id.replace(/--/g, '::');
+  return [type, id];
+}
+
+/**
+ * one-time import of useMultiFileAuthState folders (<dir>/<sessionId>/creds.json + key files)
+ * - a session that already has creds in the database is left alone (the folder stays, with a warning)
+ * - imported folders are deleted, so no plaintext credentials stay on disk
+ * returns [{ sessionId, phone }] of the imported sessions
+ */
+async function importAuthFolders(pool, dirs, { logger = console } = {}) {
+  const imported = [];
+  for (const dir of [].concat(dirs)) {
+    if (!dir || !fs.existsSync(dir)) continue;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const folder = path.join(dir, entry.name);
+      if (!entry.isDirectory() || !fs.existsSync(path.join(folder, 'creds.json'))) continue;
+      const sessionId = entry.name;
+      const conn = await pool.getConnection();
+      try {
+        const [existing] = await conn.query(`SELECT 1 FROM auth_state WHERE session_id=? AND category='creds' LIMIT 1`, [sessionId]);
+        if (existing.length) {
+          logger.warn(`auth import: ${sessionId} is already in the database, ${folder} left in place (delete it)`);
+          continue;
+        }
+        const creds = JSON.parse(fs.readFileSync(path.join(folder, 'creds.json'), 'utf8'), BufferJSON.reviver);
+        const rows = [toRow(sessionId, 'creds', '', creds, logger)];
+        let skipped = 0;
+        for (const file of fs.readdirSync(folder)) {
+          if (file === 'creds.json' || !file.endsWith('.json')) continue;
+          const parsed = parseKeyFile(file);
+          if (!parsed) { skipped++; continue; }
+          const value = JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8'), BufferJSON.reviver);
+          rows.push(toRow(sessionId, parsed[0], parsed[1], value, logger));
+        }
+        await conn.beginTransaction();
+        await upsertRows(conn, rows);
+        await conn.commit();
+        fs.rmSync(folder, { recursive: true, force: true });
+        imported.push({ sessionId, phone: creds.me?.id ? creds.me.id.split(':')[0] : null });
+        logger.info(`auth import: ${sessionId} moved into the database (${rows.length} rows${skipped ? `, ${skipped} unknown files skipped` : ''})`);
+      } catch (err) {
+        await conn.rollback().catch(() => {});
+        logger.error(`auth import: ${sessionId} failed: ${err?.message || err}`);
+      } finally { conn.release(); }
+    }
+  }
+  return imported;
+}
+
+/**
+ * re-encrypt every row that is not under AUTH_ENCRYPTION_KEY (old keys and unencrypted rows)
+ * returns the number of rows rewritten
+ */
+async function rotateKey(pool, { logger = console } = {}) {
+  const { current } = getKeys(logger);
+  if (!current) throw new Error('AUTH_ENCRYPTION_KEY is not set');
+  let rewritten = 0;
+  for (;;) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(
+        `SELECT * FROM auth_state WHERE enc_key IS NULL OR enc_key <> ? LIMIT ?`, [current.id, AUTH_ROTATE_BATCH]);
+      if (!rows.length) break;
+      await conn.beginTransaction();
+      await upsertRows(conn, rows.map(r => toRow(r.session_id, r.category, r.key_id, open(r, logger), logger)));
+      await conn.commit();
+      rewritten += rows.length;
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    } finally { conn.release(); }
+  }
+  logger.info(`auth rotate-key: ${rewritten} rows now encrypted with key ${current.id}`);
+  return rewritten;
+}
+
+module.exports = { useMySQLAuthState, clearSession, importAuthFolders, rotateKey, seal, open };
+
+/**
+ * CLI:
+ *   node srv/mysql-auth.js rotate-key      (after moving the old key to AUTH_ENCRYPTION_KEY_OLD)
+ *   node srv/mysql-auth.js import [dir]    (default: srv/auth_info and auth_info)
+ */
+if (require.main === module) {
+  require('dotenv').config();
+  const mysql = require('mysql2/promise');
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASS || '',
+    port: process.env.DB_PORT || 3306,
+    database: process.env.DB_NAME || 'whatsapp'
+  });
+  const [command, arg] = process.argv.slice(2);
+  const { createMigrator } = require('./migrate');
+  const migrated = () => createMigrator({ pool, logger: console }).migrate();
+  const run = {
+    'rotate-key': () => migrated().then(() => rotateKey(pool)),
+    'import': () => migrated().then(() => importAuthFolders(pool, arg ? [arg] : [path.join(__dirname, 'auth_info'), path.join(__dirname, '..', 'auth_info')]))
+  }[command];
+  if (!run) {
+    console.error('usage: node srv/mysql-auth.js rotate-key | import [dir]');
+    process.exit(1);
+  }
+  run()
+    .then(() => pool.end())
+    .catch((err) => { console.error(err?.message || err); process.exit(1); });
+}
@@ -0,0 +1,84 @@
+// mysql-auth.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const logger = { info() {}, warn() {}, error() {} };
+const KEY_A = crypto.randomBytes(32).toString('hex');
+const KEY_B = crypto.randomBytes(32).toString('base64');
+
+// the module reads its keys once, so each key setup gets a fresh copy
+function load({ key, old } = {}) {
+  process.env.AUTH_ENCRYPTION_KEY = key || '';
+  process.env.AUTH_ENCRYPTION_KEY_OLD = old || '';
+  delete require.cache[require.resolve('./mysql-auth')];
+  return require('./mysql-auth');
+}
+
+// an auth_state row as MySQL returns it
+function row(sessionId, category, keyId, sealed) {
+  return { session_id: sessionId, category, key_id: keyId, enc_key: sealed.encKey, iv: sealed.iv, tag: sealed.tag, data: sealed.data };
+}
+
+const value = { registrationId: 42, noiseKey: { private: Buffer.from('secret'), public: Buffer.from([1, 2, 3]) } };
+
+test('seal / open round trip with AES-256-GCM, Buffers included', () => {
+  const { seal, open } = load({ key: KEY_A });
+  const sealed = seal('main', 'creds', '', value, logger);
+  assert.equal(sealed.encKey.length, 16);
+  assert.equal(sealed.iv.length, 12);
+  assert.ok(!sealed.data.includes(Buffer.from('secret')));
+  assert.deepEqual(open(row('main', 'creds', '', sealed), logger), value);
+});
+
+test('a row copied to another session or key id does not decrypt', () => {
+  const { seal, open } = load({ key: KEY_A });
+  const sealed = seal('main', 'pre-key', '1', value, logger);
+  assert.throws(() => open(row('other', 'pre-key', '1', sealed), logger));
+  assert.throws(() => open(row('main', 'pre-key', '2', sealed), logger));
+  const tampered = { ...sealed, data: Buffer.from(sealed.data) };
+  tampered.data[0] ^= 1;
+  assert.throws(() => open(row('main', 'pre-key', '1', tampered), logger));
+});
+
+test('without a key rows are stored as plain JSON', () => {
+  const { seal, open } = load();
+  const sealed = seal('main', 'creds', '', value, logger);
+  assert.equal(sealed.encKey, null);
+  assert.deepEqual(open(row('main', 'creds', '', sealed), logger), value);
+});
+
+test('keys must be 32 bytes', () => {
+  const { seal } = load({ key: 'too-short' });
+  assert.throws(() => seal('main', 'creds', '', value, logger), /must be 32 bytes/);
+});
+
+test('after a rotation old rows open with the old key until rotate-key rewrote them', async () => {
+  const sealedA = load({ key: KEY_A }).seal('main', 'session', 'x', value, logger);
+  const plain = load().seal('main', 'session', 'y', value, logger);
+
+  // new key without the old one: the old row is unreadable
+  assert.throws(() => load({ key: KEY_B }).open(row('main', 'session', 'x', sealedA), logger), /not configured/);
+
+  const { open, rotateKey } = load({ key: KEY_B, old: KEY_A });
+  assert.deepEqual(open(row('main', 'session', 'x', sealedA), logger), value);
+
+  let rows = [row('main', 'session', 'x', sealedA), row('main', 'session', 'y', plain)];
+  const conn = {
+    async query(sql, params) {
+      if (/^SELECT/.test(sql)) return [rows.filter(r => r.enc_key !== params[0])];
+      // INSERT ... ON DUPLICATE KEY UPDATE with [[session_id, category, key_id, enc_key, iv, tag, data], ...]
+      for (const [session_id, category, key_id, enc_key, iv, tag, data] of params[0]) {
+        rows = rows.map(r => (r.session_id === session_id && r.category === category && r.key_id === key_id ? { session_id, category, key_id, enc_key, iv, tag, data } : r));
+      }
+      return [{}];
+    },
+    async beginTransaction() {}, async commit() {}, async rollback() {}, release() {}
+  };
+  assert.equal(await rotateKey({ async getConnection() { return conn; } }, { logger }), 2);
+
+  // only the new key is needed from now on
+  const rotated = load({ key: KEY_B });
+  assert.equal(new Set(rows.map(r => r.enc_key)).size, 1);
+  for (const r of rows) assert.deepEqual(rotated.open(r, logger), value);
+});
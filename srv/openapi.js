@@ -0,0 +1,586 @@
+// openapi.js
+const { version } = require('../package.json');
+const { ROLES } = require('./auth');
+const { SCOPES } = require('./api-keys');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { MESSAGE_TYPES } = require('./outgoing');
+
+/**
+ * Schema helpers (OpenAPI 3.0 flavoured JSON schema)
+ */
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const num = (extra = {}) => ({ type: 'number', ...extra });
+const bool = (extra = {}) => ({ type: 'boolean', ...extra });
+const arr = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const obj = (properties, required = [], extra = {}) => ({ type: 'object', properties, ...(required.length ? { required } : {}), ...extra });
+// at least one of these fields must be present
+const oneOfFields = (...fields) => ({ anyOf: fields.map(f => ({ required: [f] })) });
+
+const SessionId = str({ pattern: '^[a-zA-Z0-9_-]{1,64}$', description: 'session id, defaults to "main"' });
+const Phone = str({
+  pattern: '^(\\+?[0-9][0-9 ()-]{5,30}|[0-9]+(-[0-9]+)?@(s\\.whatsapp\\.net|g\\.us))$',
+  description: 'phone number (digits, optional +, spaces, dashes) or full jid'
+});
+// the number of the WhatsApp account being linked
+const PairingPhone = str({ pattern: '^\\+?[0-9][0-9 ()-]{7,30}$', description: 'full number incl. country code, e.g. 628123456789' });
+const Id = int({ minimum: 1 });
+const DateTime = str({ format: 'date-time' });
+const Limit = (max, def) => int({ minimum: 1, maximum: max, default: def });
+const StringList = (items = str()) => ({ anyOf: [arr(items, { minItems: 1 }), str({ minLength: 1 })], description: 'array or comma separated string' });
+const Variables = obj({}, [], { additionalProperties: str(), description: 'template variables, e.g. { "name": "Budi" }' });
+// send payload of outgoing.js (besides message); the type specific checks happen there
+const SendPayload = {
+  type: str({ enum: MESSAGE_TYPES, description: 'defaults to what the payload carries (location, contacts, poll, reaction, a file by its mime, else text)' }),
+  base64: str({ minLength: 1, description: 'file content for image, video, audio, voice, sticker and document' }),
+  mediaId: { ...Id, description: 'a stored file (media store) instead of base64' },
+  mime: str({ maxLength: 150, pattern: '^[a-z0-9.+-]+/[a-z0-9.+-]+(;.*)?$' }),
+  fileName: str({ maxLength: 255, description: 'file name shown for a document' }),
+  replyTo: { ...Id, description: 'stored message id to quote (same chat)' },
+  mentions: { ...StringList(Phone), description: 'numbers to tag in a group; write them as @628... in the text' },
+  location: obj({ latitude: num({ minimum: -90, maximum: 90 }), longitude: num({ minimum: -180, maximum: 180 }), name: str({ maxLength: 255 }), address: str({ maxLength: 255 }) }, ['latitude', 'longitude']),
+  contacts: arr(obj({ name: str({ minLength: 1 }), phone: Phone, organization: str() }, ['name', 'phone']), { minItems: 1 }),
+  poll: obj({ name: str({ minLength: 1, maxLength: 255 }), options: arr(str({ minLength: 1, maxLength: 100 }), { minItems: 2, maxItems: 12 }), selectableCount: int({ minimum: 0, maximum: 12, description: '1 = single choice (default), 0 = any' }) }, ['name', 'options']),
+  reaction: obj({ messageId: Id, emoji: str({ maxLength: 16, description: 'empty removes the reaction' }) }, ['messageId'])
+};
+// what a send needs besides `to`: a text or template, or one of the other payloads
+const SEND_CONTENT = ['message', 'templateId', 'base64', 'mediaId', 'location', 'contacts', 'poll', 'reaction'];
+const MessageKey = obj({ remoteJid: str({ minLength: 1 }), id: str({ minLength: 1 }), fromMe: bool(), participant: str() }, ['remoteJid', 'id']);
+
+const BROADCAST_STATUSES = ['queued', 'running', 'paused', 'waiting', 'completed', 'cancelled'];
+const RECIPIENT_STATUSES = ['pending', 'sent', 'failed', 'skipped'];
+const SCHEDULE_STATUSES = ['pending', 'sent', 'completed', 'expired', 'failed', 'cancelled'];
+
+const AutoReplyRule = obj({
+  sessionId: SessionId,
+  name: str({ maxLength: 150 }),
+  matchType: str({ enum: ['exact', 'contains', 'regex'] }),
+  pattern: str({ minLength: 1 }),
+  caseSensitive: bool(),
+  chatScope: str({ enum: ['all', 'private', 'group'] }),
+  activeDays: { anyOf: [arr(int({ minimum: 0, maximum: 6 })), str({ pattern: '^([0-6](,[0-6])*)?$' })], description: '0 = sunday' },
+  activeFrom: str({ pattern: '^(([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?)?$' }),
+  activeTo: str({ pattern: '^(([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?)?$' }),
+  replyType: str({ enum: ['text', 'media', 'template'] }),
+  replyText: str(),
+  templateId: Id,
+  priority: int(),
+  cooldownSeconds: int({ minimum: 0 }),
+  ignoreFromMe: bool(),
+  enabled: bool(),
+  file: str({ format: 'binary', description: 'multipart only: media for replyType=media' })
+});
+
+/**
+ * Every /api route: method, path, role, params and body
+ * body.multipart = accepts multipart/form-data (fields arrive as strings and are coerced before validation)
+ * body.jsonToo = multipart route that also accepts JSON
+ */
+const ROUTES = [
+  // dashboard users
+  { method: 'get', path: '/api/users', tag: 'users', role: 'admin', summary: 'List dashboard users' },
+  { method: 'post', path: '/api/users', tag: 'users', role: 'admin', summary: 'Create a dashboard user', status: 201,
+    body: obj({ username: str({ pattern: '^[a-zA-Z0-9_.-]{3,64}$' }), password: str({ minLength: 8 }), role: str({ enum: ROLES }) }, ['username', 'password']) },
+  { method: 'put', path: '/api/users/{id}', tag: 'users', role: 'admin', summary: 'Change password, role or active flag',
+    body: obj({ password: str({ minLength: 8 }), role: str({ enum: ROLES }), active: bool() }) },
+  { method: 'delete', path: '/api/users/{id}', tag: 'users', role: 'admin', summary: 'Delete a dashboard user' },
+
+  // API keys
+  { method: 'get', path: '/api/keys', tag: 'api keys', role: 'admin', summary: 'List API keys (without the key itself)' },
+  { method: 'post', path: '/api/keys', tag: 'api keys', role: 'admin', summary: 'Create an API key; the plain key is only returned here', status: 201,
+    body: obj({
+      label: str({ minLength: 1, maxLength: 150 }),
+      scopes: StringList(str({ enum: SCOPES })),
+      sessions: StringList(SessionId),
+      rateLimit: int({ minimum: 1, description: 'requests per window' }),
+      expiresAt: { ...DateTime, nullable: true }
+    }, ['label']) },
+  { method: 'get', path: '/api/keys/{id}', tag: 'api keys', role: 'admin', summary: 'Get an API key' },
+  { method: 'patch', path: '/api/keys/{id}', tag: 'api keys', role: 'admin', summary: 'Update label, scopes, sessions, rate limit or expiry',
+    body: obj({
+      label: str({ minLength: 1, maxLength: 150 }),
+      scopes: StringList(str({ enum: SCOPES })),
+      sessions: { ...StringList(SessionId), nullable: true },
+      rateLimit: { ...int({ minimum: 1 }), nullable: true },
+      expiresAt: { ...DateTime, nullable: true }
+    }) },
+  { method: 'post', path: '/api/keys/{id}/revoke', tag: 'api keys', role: 'admin', summary: 'Revoke an API key' },
+  { method: 'delete', path: '/api/keys/{id}', tag: 'api keys', role: 'admin', summary: 'Delete an API key' },
+
+  // sessions
+  { method: 'get', path: '/api/sessions', tag: 'sessions', role: 'viewer', summary: 'List sessions' },
+  { method: 'post', path: '/api/sessions', tag: 'sessions', role: 'operator', summary: 'Start a session; returns the QR (JSON data URL or PNG), 202 while still loading, or a pairing code when phone is given',
+    query: { format: str({ enum: ['json', 'png'] }) }, body: obj({ sessionId: SessionId, phone: PairingPhone }), produces: ['application/json', 'image/png'] },
+  { method: 'get', path: '/api/sessions/{sessionId}/qr', tag: 'sessions', role: 'operator', summary: 'Current QR of a session that is waiting to be linked',
+    query: { format: str({ enum: ['json', 'png'] }) }, produces: ['application/json', 'image/png'] },
+  { method: 'post', path: '/api/sessions/{sessionId}/pairing-code', tag: 'sessions', role: 'operator', summary: 'New 8-character pairing code to link the session without scanning a QR (replaces the previous code)',
+    body: obj({ phone: PairingPhone }, ['phone']) },
+  { method: 'delete', path: '/api/sessions/{sessionId}', tag: 'sessions', role: 'admin', summary: 'Log a session out and drop its credentials' },
+  { method: 'get', path: '/api/sessions/{sessionId}/contacts', tag: 'contacts', role: 'viewer', summary: 'Contacts known to the session (same as /api/contacts)',
+    query: { q: str({ maxLength: 100 }), limit: Limit(1000, 100), offset: int({ minimum: 0, default: 0 }) } },
+  { method: 'get', path: '/api/sessions/{sessionId}/send-limits', tag: 'sessions', role: 'viewer', summary: 'Send limiter state: queued sends, sends of the last hour and day, rejected sends by reason and the configured limits' },
+  { method: 'get', path: '/api/sessions/{sessionId}/groups', tag: 'groups', role: 'viewer', summary: 'Groups the session participates in' },
+  { method: 'post', path: '/api/sessions/{sessionId}/groups', tag: 'groups', role: 'operator', summary: 'Create a group', status: 201,
+    body: obj({ subject: str({ minLength: 1, maxLength: 100 }), participants: arr(Phone, { minItems: 1 }) }, ['subject', 'participants']) },
+  ...['add', 'remove', 'promote', 'demote'].map(action => ({
+    method: 'post', path: `/api/sessions/{sessionId}/groups/{groupJid}/${action}`, tag: 'groups', role: 'operator', summary: `${action} group participants`,
+    params: { groupJid: str({ pattern: '^[0-9]+(-[0-9]+)?@g\\.us$' }) },
+    body: { ...obj({ participants: { anyOf: [arr(Phone, { minItems: 1 }), Phone] }, participant: Phone }), ...oneOfFields('participants', 'participant') }
+  })),
+  { method: 'post', path: '/api/sessions/{sessionId}/presence', tag: 'sessions', role: 'operator', summary: 'Send a presence update (typing, recording, ...)',
+    body: obj({ to: Phone, type: str({ enum: ['available', 'unavailable', 'composing', 'recording', 'paused'] }) }) },
+  ...['block', 'unblock'].map(action => ({
+    method: 'post', path: `/api/sessions/{sessionId}/${action}`, tag: 'contacts', role: 'operator', summary: `${action} a contact`,
+    body: obj({ jid: Phone }, ['jid'])
+  })),
+  { method: 'get', path: '/api/sessions/{sessionId}/profile/{jid}', tag: 'contacts', role: 'viewer', summary: 'Profile picture, about and stored contact card',
+    params: { jid: Phone } },
+  { method: 'post', path: '/api/sessions/{sessionId}/read', tag: 'messages', role: 'operator', summary: 'Mark a chat (or specific messages) as read',
+    body: { ...obj({ jid: Phone, keys: arr(MessageKey, { minItems: 1 }) }), ...oneOfFields('jid', 'keys') } },
+  { method: 'post', path: '/api/sessions/{sessionId}/media/download', tag: 'messages', role: 'viewer', summary: 'Download the media of a message by key',
+    query: { format: str({ enum: ['base64'] }) }, body: obj({ key: MessageKey }, ['key']), produces: ['application/octet-stream', 'application/json'] },
+
+  // messages
+  { method: 'post', path: '/api/send', tag: 'messages', role: 'operator', summary: 'Send a message: text (plain or from a template), file, location, contacts, poll or reaction; optionally as a reply with mentions',
+    body: { ...obj({ sessionId: SessionId, to: Phone, message: str({ minLength: 1, description: 'text, or the caption of an image, video or document' }), templateId: Id, variables: Variables, ...SendPayload }, ['to']), ...oneOfFields(...SEND_CONTENT) } },
+  { method: 'get', path: '/api/messages', tag: 'messages', role: 'viewer', summary: 'Message history of a session (newest first)',
+    query: { sessionId: SessionId, limit: Limit(1000, 200) } },
+  { method: 'get', path: '/api/messages/search', tag: 'messages', role: 'viewer', summary: 'Full-text search with filters, newest first; pass nextCursor as before for the next page',
+    query: {
+      q: str({ maxLength: 200, description: 'words (all required, prefix match) or "a phrase"' }),
+      sessionId: SessionId,
+      direction: str({ enum: ['in', 'out'] }),
+      jid: Phone,
+      mediaType: str({ pattern: '^(any|none|image|sticker|video|audio|document|[a-z]+/[a-z0-9.+-]+)$', description: 'any, none, image, sticker, video, audio, document or an exact mime type' }),
+      from: { ...DateTime, description: 'date-time, or a date (start of that day)' },
+      to: { ...DateTime, description: 'date-time, or a date (includes that whole day)' },
+      before: Id,
+      limit: Limit(200, 50)
+    } },
+  { method: 'get', path: '/api/messages/export', tag: 'messages', role: 'viewer', summary: 'Download messages as CSV, JSON Lines or a WhatsApp-style transcript, optionally zipped with their media (oldest first, streamed)',
+    query: {
+      format: str({ enum: ['csv', 'jsonl', 'txt'], default: 'csv' }),
+      sessionId: SessionId,
+      jid: Phone,
+      from: { ...DateTime, description: 'date-time, or a date (start of that day)' },
+      to: { ...DateTime, description: 'date-time, or a date (includes that whole day)' },
+      media: str({ enum: ['1', 'true'], description: 'zip the export together with the referenced media files' })
+    },
+    produces: ['text/csv', 'application/x-ndjson', 'text/plain', 'application/zip'] },
+  { method: 'get', path: '/api/messages/{id}', tag: 'messages', role: 'viewer', summary: 'One message with its delivery status and timestamps' },
+  { method: 'post', path: '/api/messages/{id}/edit', tag: 'messages', role: 'operator', summary: 'Edit a sent text message (WhatsApp allows it for 15 minutes)',
+    body: obj({ text: str({ minLength: 1 }) }, ['text']) },
+  { method: 'post', path: '/api/messages/{id}/revoke', tag: 'messages', role: 'operator', summary: 'Delete a sent message for everyone; the stored row is kept and flagged deleted' },
+  { method: 'get', path: '/api/messages/{id}/edits', tag: 'messages', role: 'viewer', summary: 'Edit history of a message (earlier texts, oldest first) and its deleted flag' },
+
+  // contact directory
+  { method: 'get', path: '/api/contacts', tag: 'contacts', role: 'viewer', summary: 'Search contacts by name, push name, number or custom field value',
+    query: { sessionId: SessionId, q: str({ maxLength: 100 }), limit: Limit(1000, 100), offset: int({ minimum: 0, default: 0 }) } },
+  { method: 'get', path: '/api/contacts/{jid}', tag: 'contacts', role: 'viewer', summary: 'One contact with custom fields and notes',
+    query: { sessionId: SessionId } },
+  { method: 'patch', path: '/api/contacts/{jid}', tag: 'contacts', role: 'operator', summary: 'Set custom fields (merged, null removes) and notes',
+    body: obj({
+      sessionId: SessionId,
+      fields: obj({}, [], { additionalProperties: { anyOf: [str({ maxLength: 1000 }), { type: 'number' }, bool()], nullable: true }, description: 'usable as {{contact.<field>}} in templates' }),
+      notes: { ...str({ maxLength: 5000 }), nullable: true }
+    }) },
+
+  // chats
+  { method: 'get', path: '/api/chats', tag: 'chats', role: 'viewer', summary: 'Conversations with last message and unread count (pinned first, then most recent)',
+    query: { sessionId: SessionId, archived: str({ enum: ['true', 'false'] }), q: str({ maxLength: 100 }), limit: Limit(500, 50), offset: int({ minimum: 0, default: 0 }) } },
+  { method: 'get', path: '/api/chats/{jid}', tag: 'chats', role: 'viewer', summary: 'One conversation',
+    query: { sessionId: SessionId } },
+  { method: 'get', path: '/api/chats/{jid}/messages', tag: 'chats', role: 'viewer', summary: 'Messages of a conversation, newest first; pass nextCursor as before for older ones',
+    query: { sessionId: SessionId, before: Id, limit: Limit(200, 50) } },
+  { method: 'patch', path: '/api/chats/{jid}', tag: 'chats', role: 'operator', summary: 'Archive, pin, mute or rename a conversation',
+    body: obj({ sessionId: SessionId, archived: bool(), pinned: bool(), muted: bool(), name: { ...str({ maxLength: 255 }), nullable: true } }) },
+  { method: 'post', path: '/api/chats/{jid}/read', tag: 'chats', role: 'operator', summary: 'Send read receipts and reset the unread count',
+    body: obj({ sessionId: SessionId }) },
+  { method: 'get', path: '/api/sessions/{sessionId}/media-settings', tag: 'media', role: 'viewer', summary: 'Inbound media archiving settings and usage of a session' },
+  { method: 'put', path: '/api/sessions/{sessionId}/media-settings', tag: 'media', role: 'admin', summary: 'Change inbound media archiving settings',
+    body: obj({
+      enabled: bool(),
+      maxFileMb: int({ minimum: 1 }),
+      quotaMb: int({ minimum: 0, description: '0 = unlimited' }),
+      allowedMime: StringList(str({ pattern: '^(\\*|[a-z0-9.+-]+/(\\*|[a-z0-9.+-]+))$' }))
+    }) },
+  { method: 'get', path: '/api/media/{id}', tag: 'media', role: 'viewer', summary: 'Stream a stored media file (supports Range requests)',
+    query: { download: str({ enum: ['1', 'true'] }) }, produces: ['application/octet-stream'] },
+  { method: 'post', path: '/api/send-media', tag: 'messages', role: 'operator', summary: 'Send a file as document',
+    body: obj({ sessionId: SessionId, to: Phone, file: str({ format: 'binary' }) }, ['to', 'file'], { multipart: true }) },
+  { method: 'post', path: '/api/send-image', tag: 'messages', role: 'operator', summary: 'Send an image with optional caption',
+    body: obj({ sessionId: SessionId, to: Phone, caption: str({ maxLength: 4096 }), file: str({ format: 'binary' }) }, ['to', 'file'], { multipart: true }) },
+
+  // webhooks
+  { method: 'get', path: '/api/webhooks', tag: 'webhooks', role: 'admin', summary: 'List webhook subscriptions', query: { sessionId: SessionId } },
+  { method: 'post', path: '/api/webhooks', tag: 'webhooks', role: 'admin', summary: 'Subscribe a URL to session events', status: 201,
+    body: obj({ sessionId: SessionId, url: str({ format: 'uri' }), events: StringList(str({ enum: ['*', ...WEBHOOK_EVENTS] })), secret: str({ minLength: 16 }) }, ['sessionId', 'url']) },
+  { method: 'get', path: '/api/webhooks/{id}', tag: 'webhooks', role: 'admin', summary: 'Get a webhook' },
+  { method: 'patch', path: '/api/webhooks/{id}', tag: 'webhooks', role: 'admin', summary: 'Update a webhook',
+    body: obj({ url: str({ format: 'uri' }), events: StringList(str({ enum: ['*', ...WEBHOOK_EVENTS] })), secret: str({ minLength: 16 }), active: bool() }) },
+  { method: 'delete', path: '/api/webhooks/{id}', tag: 'webhooks', role: 'admin', summary: 'Delete a webhook' },
+  { method: 'get', path: '/api/webhooks/{id}/deliveries', tag: 'webhooks', role: 'admin', summary: 'Delivery log', query: { limit: Limit(500, 50) } },
+  { method: 'get', path: '/api/webhooks/{id}/deliveries/{deliveryId}', tag: 'webhooks', role: 'admin', summary: 'One delivery incl. payload and response' },
+  { method: 'post', path: '/api/webhooks/{id}/deliveries/{deliveryId}/redeliver', tag: 'webhooks', role: 'admin', summary: 'Queue a delivery again' },
+
+  // broadcasts
+  // audience lists
+  { method: 'get', path: '/api/audiences', tag: 'audiences', role: 'viewer', summary: 'List audience lists with member counts' },
+  { method: 'post', path: '/api/audiences', tag: 'audiences', role: 'operator', summary: 'Create a list; with a CSV / XLSX file its rows are imported right away', status: 201,
+    body: obj({
+      name: str({ minLength: 1, maxLength: 150 }),
+      description: str({ maxLength: 255 }),
+      phoneColumn: str({ description: 'header of the number column (default: phone, nomor, no_hp, ... or the first column)' }),
+      file: str({ format: 'binary', description: 'multipart only: CSV or XLSX, first row = header; XLSX answers 415 where the optional xlsx package is not installed' })
+    }, ['name'], { multipart: true, jsonToo: true }) },
+  { method: 'get', path: '/api/audiences/{id}', tag: 'audiences', role: 'viewer', summary: 'Get an audience list' },
+  { method: 'patch', path: '/api/audiences/{id}', tag: 'audiences', role: 'operator', summary: 'Rename an audience list',
+    body: obj({ name: str({ minLength: 1, maxLength: 150 }), description: { ...str({ maxLength: 255 }), nullable: true } }) },
+  { method: 'delete', path: '/api/audiences/{id}', tag: 'audiences', role: 'operator', summary: 'Delete an audience list and its members' },
+  { method: 'get', path: '/api/audiences/{id}/members', tag: 'audiences', role: 'viewer', summary: 'Members of a list with their custom columns',
+    query: { q: str({ maxLength: 100 }), limit: Limit(1000, 100), offset: int({ minimum: 0 }) } },
+  { method: 'post', path: '/api/audiences/{id}/import', tag: 'audiences', role: 'operator', summary: 'Import a CSV / XLSX file into a list; returns a validation report',
+    body: obj({
+      file: str({ format: 'binary', description: 'CSV or XLSX, first row = header; XLSX answers 415 where the optional xlsx package is not installed' }),
+      phoneColumn: str(),
+      replace: bool({ description: 'drop the current members first' })
+    }, ['file'], { multipart: true }) },
+
+  { method: 'get', path: '/api/broadcasts', tag: 'broadcasts', role: 'viewer', summary: 'List broadcast jobs',
+    query: { sessionId: SessionId, status: str({ enum: BROADCAST_STATUSES }), limit: Limit(500, 50) } },
+  { method: 'post', path: '/api/broadcasts', tag: 'broadcasts', role: 'operator', summary: 'Queue a broadcast job (to numbers or an audience list)', status: 201,
+    body: { ...obj({
+      sessionId: SessionId,
+      numbers: arr(Phone, { minItems: 1 }),
+      listId: { ...Id, description: 'audience list; its columns are available as template variables' },
+      message: str({ minLength: 1 }),
+      templateId: Id,
+      variables: Variables,
+      ...SendPayload,
+      intervalMs: int({ minimum: 0 }),
+      jitterMs: int({ minimum: 0 })
+    }), allOf: [oneOfFields('numbers', 'listId'), oneOfFields(...SEND_CONTENT.filter(f => f !== 'reaction'))] } },
+  { method: 'get', path: '/api/broadcasts/{id}', tag: 'broadcasts', role: 'viewer', summary: 'Get a broadcast job' },
+  { method: 'get', path: '/api/broadcasts/{id}/recipients', tag: 'broadcasts', role: 'viewer', summary: 'Recipients of a job and their status',
+    query: { status: str({ enum: RECIPIENT_STATUSES }), limit: Limit(5000, 500), offset: int({ minimum: 0 }) } },
+  ...['pause', 'resume', 'cancel'].map(action => ({
+    method: 'post', path: `/api/broadcasts/{id}/${action}`, tag: 'broadcasts', role: 'operator', summary: `${action} a broadcast job`
+  })),
+
+  // templates
+  { method: 'get', path: '/api/templates', tag: 'templates', role: 'viewer', summary: 'List message templates' },
+  { method: 'post', path: '/api/templates', tag: 'templates', role: 'operator', summary: 'Create a template', status: 201,
+    body: obj({ name: str({ minLength: 1, maxLength: 150 }), body: str({ minLength: 1 }) }, ['name', 'body']) },
+  { method: 'get', path: '/api/templates/{id}', tag: 'templates', role: 'viewer', summary: 'Get a template' },
+  { method: 'put', path: '/api/templates/{id}', tag: 'templates', role: 'operator', summary: 'Update a template',
+    body: obj({ name: str({ minLength: 1, maxLength: 150 }), body: str({ minLength: 1 }) }) },
+  { method: 'delete', path: '/api/templates/{id}', tag: 'templates', role: 'operator', summary: 'Delete a template' },
+  { method: 'post', path: '/api/templates/{id}/render', tag: 'templates', role: 'viewer', summary: 'Render a template with variables',
+    body: obj({ variables: Variables }) },
+
+  // auto-replies
+  { method: 'get', path: '/api/autoreplies', tag: 'auto-replies', role: 'viewer', summary: 'List auto-reply rules', query: { sessionId: SessionId } },
+  { method: 'post', path: '/api/autoreplies', tag: 'auto-replies', role: 'operator', summary: 'Create an auto-reply rule', status: 201,
+    body: { ...AutoReplyRule, required: ['pattern'], multipart: true, jsonToo: true } },
+  { method: 'post', path: '/api/autoreplies/test', tag: 'auto-replies', role: 'viewer', summary: 'Which rule would answer a text (dry run)',
+    body: obj({ sessionId: SessionId, text: str({ minLength: 1 }), isGroup: bool(), fromMe: bool() }, ['text']) },
+  { method: 'get', path: '/api/autoreplies/{id}', tag: 'auto-replies', role: 'viewer', summary: 'Get an auto-reply rule' },
+  { method: 'put', path: '/api/autoreplies/{id}', tag: 'auto-replies', role: 'operator', summary: 'Update an auto-reply rule',
+    body: { ...AutoReplyRule, multipart: true, jsonToo: true } },
+  { method: 'delete', path: '/api/autoreplies/{id}', tag: 'auto-replies', role: 'operator', summary: 'Delete an auto-reply rule' },
+
+  // schedules
+  { method: 'get', path: '/api/schedules', tag: 'schedules', role: 'viewer', summary: 'List scheduled messages',
+    query: { sessionId: SessionId, status: str({ enum: SCHEDULE_STATUSES }), limit: Limit(1000, 100) } },
+  { method: 'post', path: '/api/schedules', tag: 'schedules', role: 'operator', summary: 'Schedule a one-off or recurring (cron) message', status: 201,
+    body: { ...obj({
+      sessionId: SessionId,
+      to: Phone,
+      message: str(),
+      sendAt: DateTime,
+      cron: str({ minLength: 1, description: '5-field cron expression or @daily / @hourly / ...' }),
+      endAt: DateTime,
+      expireMinutes: int({ minimum: 1 }),
+      file: str({ format: 'binary', description: 'multipart only' })
+    }, ['to'], { multipart: true, jsonToo: true }), allOf: [oneOfFields('sendAt', 'cron'), oneOfFields('message', 'file')] } },
+  { method: 'get', path: '/api/schedules/{id}', tag: 'schedules', role: 'viewer', summary: 'Get a scheduled message' },
+  { method: 'delete', path: '/api/schedules/{id}', tag: 'schedules', role: 'operator', summary: 'Cancel a scheduled message' }
+];
+
+// well-known path params; routes can override via `params`
+const PATH_PARAMS = { id: Id, deliveryId: Id, sessionId: SessionId, jid: Phone };
+
+/**
+ * Validation (the subset of JSON schema used above)
+ * returns a list of { field, message }
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+// query, path and multipart values are always strings; JSON clients often send numbers as strings too
+function coerce(schema, value) {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  if (schema.type === 'boolean' && ['true', 'false', '1', '0'].includes(value)) return value === 'true' || value === '1';
+  return value;
+}
+
+function validate(schema, value, field, { loose = false } = {}) {
+  if (!schema) return [];
+  if (loose) value = coerce(schema, value);
+  if (value === null && schema.nullable) return [];
+  const errors = [];
+  for (const sub of schema.allOf || []) errors.push(...validate(sub, value, field, { loose }));
+
+  if (schema.anyOf && schema.type === undefined) {
+    // { anyOf: [{ required: [...] }] } on an object, or alternative types for a value
+    const requiredOnly = schema.anyOf.every(s => s.required && !s.type);
+    if (requiredOnly) {
+      const ok = schema.anyOf.some(s => s.required.every(k => value?.[k] !== undefined && value?.[k] !== ''));
+      const names = schema.anyOf.map(s => s.required.join('+'));
+      if (!ok) errors.push({ field: field || '(body)', message: names.length > 1 ? `one of ${names.join(', ')} is required` : `${names[0]} is required` });
+    } else {
+      const results = schema.anyOf.map(s => validate(s, value, field, { loose }));
+      if (results.some(r => !r.length)) return errors;
+      // report the alternative of the same type (e.g. the array form of a list), else what was expected
+      const sameType = schema.anyOf.findIndex(s => s.type === typeOf(loose ? coerce(s, value) : value));
+      return [...errors, ...(sameType >= 0 ? results[sameType] : [{ field, message: `must be ${describe(schema)}` }])];
+    }
+  }
+  if (!schema.type) return errors;
+
+  const actual = typeOf(value);
+  const typeOk = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+  if (!typeOk) return [...errors, { field, message: `must be ${describe(schema)}` }];
+
+  if (schema.enum && !schema.enum.includes(value)) errors.push({ field, message: `must be one of ${schema.enum.join(', ')}` });
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ field, message: schema.description ? `must be a ${schema.description}` : `must match ${schema.pattern}` });
+    if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) errors.push({ field, message: 'must be a date-time (ISO 8601)' });
+    if (schema.format === 'uri' && !/^https?:\/\/[^\s]+$/i.test(value)) errors.push({ field, message: 'must be an http(s) URL' });
+  }
+  if (schema.type === 'integer' || schema.type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ field, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ field, message: `must be <= ${schema.maximum}` });
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ field, message: `must have at least ${schema.minItems} item(s)` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${field}[${i}]`, { loose })));
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === '') errors.push({ field: field ? `${field}.${key}` : key, message: 'is required' });
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || (value[key] === '' && !(schema.required || []).includes(key))) continue;
+      errors.push(...validate(sub, value[key], field ? `${field}.${key}` : key, { loose }));
+    }
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      for (const [key, v] of Object.entries(value)) {
+        if (schema.properties?.[key]) continue;
+        errors.push(...validate(schema.additionalProperties, v, field ? `${field}.${key}` : key, { loose }));
+      }
+    }
+  }
+  return errors;
+}
+
+function describe(schema) {
+  if (schema.anyOf) return schema.anyOf.map(describe).join(' or ');
+  if (schema.type === 'array') return `an array of ${schema.items?.type || 'value'}s`;
+  if (schema.format === 'date-time') return 'a date-time string';
+  return { integer: 'an integer', number: 'a number', boolean: 'a boolean', object: 'an object', string: 'a string' }[schema.type] || 'a value';
+}
+
+/**
+ * OpenAPI document
+ */
+function pathParams(route) {
+  return [...route.path.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+}
+
+// drop our private flags before publishing a schema
+function publicSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  if (Array.isArray(schema)) return schema.map(publicSchema);
+  const { multipart, jsonToo, ...rest } = schema;
+  for (const k of Object.keys(rest)) rest[k] = publicSchema(rest[k]);
+  return rest;
+}
+
+function buildSpec() {
+  const paths = {};
+  const errorResponse = (description) => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+  for (const route of ROUTES) {
+    const parameters = [
+      ...pathParams(route).map(name => ({ name, in: 'path', required: true, schema: publicSchema(route.params?.[name] || PATH_PARAMS[name] || str()) })),
+      ...Object.entries(route.query || {}).map(([name, schema]) => ({ name, in: 'query', required: false, schema: publicSchema(schema) }))
+    ];
+    const op = {
+      tags: [route.tag],
+      summary: route.summary,
+      description: `Requires role \`${route.role}\` (dashboard user) or a key scope that covers it.`,
+      operationId: `${route.method}${route.path.replace(/[{}]/g, '').split(/[/-]/).filter(Boolean).map(p => p[0].toUpperCase() + p.slice(1)).join('')}`,
+      ...(parameters.length ? { parameters } : {}),
+      responses: {
+        [route.status || 200]: {
+          description: 'OK',
+          content: Object.fromEntries((route.produces || ['application/json']).map(type => [type, {}]))
+        },
+        400: errorResponse('Invalid request'),
+        401: errorResponse('Missing or invalid API key'),
+        403: errorResponse('Role, scope or session not allowed'),
+        429: errorResponse('Rate limit exceeded')
+      }
+    };
+    if (pathParams(route).length) op.responses[404] = errorResponse('Not found');
+    if (route.body) {
+      const content = {};
+      if (!route.body.multipart || route.body.jsonToo) {
+        const { file, ...jsonProps } = route.body.properties || {};
+        content['application/json'] = { schema: publicSchema({ ...route.body, properties: jsonProps, required: (route.body.required || []).filter(k => k !== 'file') }) };
+      }
+      if (route.body.multipart) content['multipart/form-data'] = { schema: publicSchema(route.body) };
+      op.requestBody = { required: !!route.body.required?.length, content };
+    }
+    (paths[route.path] = paths[route.path] || {})[route.method] = op;
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'WA MultiSession API',
+      version,
+      description: 'REST API for the WhatsApp multi-session dashboard. Authenticate with an API key (`x-api-key` header, `Authorization: Bearer`, or `?api_key=`) or a dashboard login cookie.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ apiKey: [] }, { bearer: [] }, { cookie: [] }],
+    tags: [...new Set(ROUTES.map(r => r.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+        bearer: { type: 'http', scheme: 'bearer' },
+        cookie: { type: 'apiKey', in: 'cookie', name: 'wa_session' }
+      },
+      schemas: {
+        Error: obj({
+          error: str(),
+          errors: arr(obj({ in: str({ enum: ['path', 'query', 'body'] }), field: str(), message: str() }))
+        }, ['error'])
+      }
+    }
+  };
+}
+
+/**
+ * Express request validation against ROUTES
+ * - middleware(): path params, query and JSON bodies, mounted once in front of the /api routes;
+ *   valid query values are written back coerced (numbers, booleans)
+ * - param(): app.param callback for PARAM_NAMES; Express only fills req.params at the route, so coerced path params are set there
+ * - validateMultipart(): multipart bodies, placed after multer on routes that take uploads
+ * a 400 lists every offending field: { error, errors: [{ in, field, message }] }
+ */
+function createValidator() {
+  const compiled = ROUTES.map(route => ({
+    route,
+    names: pathParams(route),
+    // literal paths win over parameterised ones (/api/autoreplies/test vs /api/autoreplies/{id})
+    weight: pathParams(route).length,
+    re: new RegExp('^' + route.path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\\?\{(\w+)\\?\}/g, '([^/]+)') + '/?$')
+  })).sort((a, b) => a.weight - b.weight);
+
+  function match(method, path) {
+    for (const c of compiled) {
+      if (c.route.method !== method.toLowerCase()) continue;
+      const m = c.re.exec(path);
+      if (!m) continue;
+      // a malformed escape (%E0%A4%A) is the client's mistake, not a crash
+      const params = {};
+      const malformed = [];
+      c.names.forEach((n, i) => {
+        try { params[n] = decodeURIComponent(m[i + 1]); } catch (e) { malformed.push(n); }
+      });
+      return { route: c.route, params, malformed };
+    }
+    return null;
+  }
+
+  const paramSchema = (route, name) => route.params?.[name] || PATH_PARAMS[name] || str();
+
+  function fail(res, errors) {
+    const summary = errors.map(e => `${e.field} ${e.message}`).join('; ');
+    res.status(400).json({ error: `invalid request: ${summary}`, errors });
+  }
+
+  function bodyErrors(route, body, { multipart }) {
+    const { file, ...props } = route.body.properties || {};
+    const schema = multipart ? route.body : {
+      ...route.body,
+      properties: props,
+      required: (route.body.required || []).filter(k => k !== 'file'),
+      // JSON bodies have no file to satisfy "message or file"
+      allOf: (route.body.allOf || []).map(s => ({ anyOf: s.anyOf.filter(a => !a.required.includes('file')) }))
+    };
+    if (body === undefined || body === null || typeOf(body) !== 'object') {
+      return route.body.required?.length ? [{ in: 'body', field: '(body)', message: 'must be a JSON object' }] : [];
+    }
+    return validate(schema, body, '', { loose: true }).map(e => ({ in: 'body', ...e }));
+  }
+
+  function middleware(req, res, next) {
+    const hit = match(req.method, req.baseUrl + req.path);
+    if (!hit) return next();
+    const { route, params, malformed } = hit;
+    const errors = malformed.map(name => ({ in: 'path', field: name, message: 'is not valid URL encoding' }));
+    for (const [name, value] of Object.entries(params)) {
+      errors.push(...validate(paramSchema(route, name), value, name, { loose: true }).map(e => ({ in: 'path', ...e })));
+    }
+    for (const [name, schema] of Object.entries(route.query || {})) {
+      if (req.query[name] === undefined || req.query[name] === '') continue;
+      errors.push(...validate(schema, req.query[name], name, { loose: true }).map(e => ({ in: 'query', ...e })));
+    }
+    if (route.body) {
+      if (req.is('multipart/form-data')) {
+        if (!route.body.multipart) errors.push({ in: 'body', field: '(body)', message: 'multipart is not accepted here, send JSON' });
+      } else if (route.body.multipart && !route.body.jsonToo) {
+        errors.push({ in: 'body', field: '(body)', message: 'must be multipart/form-data' });
+      } else {
+        errors.push(...bodyErrors(route, req.body, { multipart: false }));
+      }
+    }
+    if (errors.length) return fail(res, errors);
+
+    for (const [name, schema] of Object.entries(route.query || {})) {
+      if (req.query[name] !== undefined && req.query[name] !== '') req.query[name] = coerce(schema, req.query[name]);
+    }
+    req.apiParams = Object.fromEntries(Object.entries(params).map(([name, value]) => [name, coerce(paramSchema(route, name), value)]));
+    next();
+  }
+
+  function param(req, res, next, value, name) {
+    if (req.apiParams && req.apiParams[name] !== undefined) req.params[name] = req.apiParams[name];
+    next();
+  }
+
+  function validateMultipart(req, res, next) {
+    if (!req.is('multipart/form-data')) return next();
+    const hit = match(req.method, req.baseUrl + req.path);
+    if (!hit?.route.body) return next();
+    const body = { ...(req.body || {}), ...(req.file ? { [req.file.fieldname]: req.file.originalname } : {}) };
+    const errors = bodyErrors(hit.route, body, { multipart: true });
+    if (errors.length) return fail(res, errors);
+    next();
+  }
+
+  return { middleware, param, validateMultipart, match };
+}
+
+module.exports = { buildSpec, createValidator, validate, coerce, ROUTES, PARAM_NAMES: Object.keys(PATH_PARAMS) };
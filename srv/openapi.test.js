@@ -0,0 +1,70 @@
+// openapi.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSpec, createValidator, ROUTES, PARAM_NAMES } = require('./openapi');
+
+const validator = createValidator();
+
+// runs the middleware on a fake request; { status, body } for a 400, { next: true, req } when it passes
+function check(method, path, { query = {}, body, multipart = false } = {}) {
+  const req = { method, baseUrl: '', path, query, body, is: (type) => multipart && type === 'multipart/form-data' };
+  return new Promise((resolve) => {
+    const res = { status(code) { this.code = code; return this; }, json(b) { resolve({ status: this.code, body: b }); } };
+    validator.middleware(req, res, () => resolve({ next: true, req }));
+  });
+}
+
+test('buildSpec documents every route with its method', () => {
+  const spec = buildSpec();
+  assert.match(spec.openapi, /^3\./);
+  for (const route of ROUTES) {
+    assert.ok(spec.paths[route.path]?.[route.method], `${route.method} ${route.path} missing from the spec`);
+  }
+});
+
+test('paths without a route pass through', async () => {
+  assert.equal((await check('GET', '/api/no-such-route')).next, true);
+});
+
+test('a malformed escape in a path param is a 400, not a crash', async () => {
+  const { status, body } = await check('GET', '/api/webhooks/%E0%A4%A');
+  assert.equal(status, 400);
+  assert.deepEqual(body.errors, [{ in: 'path', field: 'id', message: 'is not valid URL encoding' }]);
+});
+
+test('path params and query values are checked against their schemas', async () => {
+  const badId = await check('GET', '/api/webhooks/abc');
+  assert.equal(badId.status, 400);
+  assert.equal(badId.body.errors[0].field, 'id');
+
+  const badLimit = await check('GET', '/api/webhooks/1/deliveries', { query: { limit: '100000' } });
+  assert.equal(badLimit.status, 400);
+  assert.equal(badLimit.body.errors[0].in, 'query');
+});
+
+test('valid query values and path params are handed on coerced', async () => {
+  const { next, req } = await check('GET', '/api/webhooks/12/deliveries', { query: { limit: '20' } });
+  assert.equal(next, true);
+  assert.equal(req.query.limit, 20);
+  assert.deepEqual(req.apiParams, { id: 12 });
+
+  // Express fills req.params at the route; the app.param callback puts the coerced value there
+  assert.ok(PARAM_NAMES.includes('id'));
+  req.params = { id: '12' };
+  validator.param(req, {}, () => {}, '12', 'id');
+  assert.equal(req.params.id, 12);
+});
+
+test('JSON bodies are validated, listing every offending field', async () => {
+  const missing = await check('POST', '/api/send', { body: { message: 'hi' } });
+  assert.equal(missing.status, 400);
+  assert.ok(missing.body.errors.some(e => e.in === 'body' && e.field === 'to'));
+
+  assert.equal((await check('POST', '/api/send', { body: { to: '628123456789', message: 'hi' } })).next, true);
+});
+
+test('multipart-only routes refuse JSON bodies', async () => {
+  const { status, body } = await check('POST', '/api/send-image', { body: { to: '628123456789' } });
+  assert.equal(status, 400);
+  assert.match(body.error, /multipart/);
+});
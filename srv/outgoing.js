@@ -0,0 +1,303 @@
+// outgoing.js
+
+/**
+ * Configuration
+ */
+const POLL_MAX_OPTIONS = 12; // WhatsApp's limit
+const MIME_MAX_LENGTH = 150; // messages.media_type / media.mime
+
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'voice', 'sticker', 'document', 'location', 'contact', 'poll', 'reaction'];
+const FILE_TYPES = ['image', 'video', 'audio', 'voice', 'sticker', 'document'];
+// types that carry a text or caption (and so can mention someone)
+const TEXT_TYPES = ['text', 'image', 'video', 'document'];
+
+// mime a file type accepts, and the one assumed when none is given
+const FILE_MIME = {
+  image: { re: /^image\/(?!webp)/, def: 'image/jpeg' },
+  video: { re: /^video\//, def: 'video/mp4' },
+  audio: { re: /^audio\//, def: 'audio/mpeg' },
+  // WhatsApp only plays opus in ogg as a voice note
+  voice: { re: /^audio\/ogg/, def: 'audio/ogg; codecs=opus' },
+  sticker: { re: /^image\/webp$/, def: 'image/webp' },
+  document: { re: /./, def: 'application/octet-stream' }
+};
+
+// Baileys message field -> type, for what arrives in messages.upsert
+const INCOMING_TYPES = {
+  conversation: 'text',
+  extendedTextMessage: 'text',
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  stickerMessage: 'sticker',
+  documentMessage: 'document',
+  documentWithCaptionMessage: 'document',
+  locationMessage: 'location',
+  liveLocationMessage: 'location',
+  contactMessage: 'contact',
+  contactsArrayMessage: 'contact',
+  pollCreationMessage: 'poll',
+  pollCreationMessageV2: 'poll',
+  pollCreationMessageV3: 'poll',
+  reactionMessage: 'reaction'
+};
+
+// proto.Message.ProtocolMessage.Type
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+const trimmed = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+/**
+ * file type of a mime when the payload does not name one (what sendMedia always did, plus stickers, video and audio)
+ */
+function fileType(mime) {
+  const m = String(mime || '').toLowerCase();
+  if (m.startsWith('image/webp')) return 'sticker';
+  const top = m.split('/')[0];
+  return ['image', 'video', 'audio'].includes(top) ? top : 'document';
+}
+
+/**
+ * mime to send a file type with: the given one (checked) or the type's default
+ */
+function fileMime(type, mime) {
+  const m = trimmed(mime).toLowerCase();
+  if (!m) return FILE_MIME[type].def;
+  if (m.length > MIME_MAX_LENGTH) throw badRequest(`mime must be at most ${MIME_MAX_LENGTH} characters`);
+  if (!FILE_MIME[type].re.test(m)) throw badRequest(`mime ${m} cannot be sent as ${type}`);
+  return m;
+}
+
+function inferType(input) {
+  if (input.type) return input.type;
+  if (input.reaction) return 'reaction';
+  if (input.location) return 'location';
+  if (input.contacts) return 'contact';
+  if (input.poll) return 'poll';
+  if (input.base64 || input.mediaId || Buffer.isBuffer(input.buffer)) return fileType(input.mime);
+  return 'text';
+}
+
+function parseLocation(raw) {
+  if (!raw || typeof raw !== 'object') throw badRequest('location required: { latitude, longitude, name?, address? }');
+  const latitude = Number(raw.latitude);
+  const longitude = Number(raw.longitude);
+  if (raw.latitude === '' || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) throw badRequest('location.latitude must be a number from -90 to 90');
+  if (raw.longitude === '' || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) throw badRequest('location.longitude must be a number from -180 to 180');
+  return { latitude, longitude, name: trimmed(raw.name) || null, address: trimmed(raw.address) || null };
+}
+
+function parseContacts(raw) {
+  const list = Array.isArray(raw) ? raw : (raw ? [raw] : []);
+  if (!list.length) throw badRequest('contacts required: [{ name, phone, organization? }]');
+  return list.map((c, i) => {
+    const name = trimmed(c?.name);
+    const phone = trimmed(c?.phone).replace(/[^0-9]/g, '');
+    if (!name) throw badRequest(`contacts[${i}].name required`);
+    if (phone.length < 6) throw badRequest(`contacts[${i}].phone must be a phone number`);
+    return { name, phone, organization: trimmed(c.organization) || null };
+  });
+}
+
+function parsePoll(raw) {
+  const name = trimmed(raw?.name);
+  if (!name) throw badRequest('poll.name required');
+  const options = (Array.isArray(raw?.options) ? raw.options : []).map(trimmed).filter(Boolean);
+  if (options.length < 2 || options.length > POLL_MAX_OPTIONS) throw badRequest(`poll.options needs 2 to ${POLL_MAX_OPTIONS} options`);
+  if (new Set(options.map(o => o.toLowerCase())).size !== options.length) throw badRequest('poll.options must be unique');
+  // 1 = single choice, 0 = any number of options
+  const selectableCount = raw.selectableCount === undefined || raw.selectableCount === '' ? 1 : Number(raw.selectableCount);
+  if (!Number.isInteger(selectableCount) || selectableCount < 0 || selectableCount > options.length) {
+    throw badRequest(`poll.selectableCount must be 0 (any) to ${options.length}`);
+  }
+  return { name, options, selectableCount };
+}
+
+function parseId(value, name, what = 'message') {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) throw badRequest(`${name} must be a stored ${what} id`);
+  return id;
+}
+
+/**
+ * Outgoing message payload, one shape for /api/send, send-message and broadcasts:
+ *   { type, message, base64 | mediaId, mime, fileName, replyTo, mentions, location, contacts, poll, reaction }
+ * - type defaults to what the payload carries (location, contacts, poll, reaction, a file by its mime, else text)
+ * - message: the text, or the caption of an image, video or document
+ * - replyTo: stored message id to quote; mentions: numbers tagged in a group, written as @628... in the text
+ * - reaction: { messageId, emoji } on a stored message; an empty emoji removes the reaction
+ * returns the normalized payload (itself a valid input) or throws (status 400)
+ */
+function parsePayload(input = {}) {
+  const type = inferType(input);
+  if (!MESSAGE_TYPES.includes(type)) throw badRequest(`type must be one of ${MESSAGE_TYPES.join(', ')}`);
+  const text = input.message === undefined || input.message === null ? '' : String(input.message);
+  const payload = { type, message: text.trim() ? text : null };
+
+  if (type === 'text' && !payload.message) throw badRequest('message required');
+  if (payload.message && !TEXT_TYPES.includes(type)) throw badRequest(`a ${type} message has no text or caption`);
+
+  if (FILE_TYPES.includes(type)) {
+    // buffer: in-process callers (auto-replies, schedules, uploads) that already hold the file
+    if (Buffer.isBuffer(input.buffer)) payload.buffer = input.buffer;
+    else if (input.base64) payload.base64 = String(input.base64);
+    else if (input.mediaId) payload.mediaId = parseId(input.mediaId, 'mediaId', 'media');
+    else throw badRequest(`base64 or mediaId required for a ${type} message`);
+    payload.mime = input.mime ? fileMime(type, input.mime) : null;
+    payload.fileName = trimmed(input.fileName).slice(0, 255) || null;
+  }
+  if (type === 'location') payload.location = parseLocation(input.location);
+  if (type === 'contact') payload.contacts = parseContacts(input.contacts);
+  if (type === 'poll') payload.poll = parsePoll(input.poll);
+  if (type === 'reaction') {
+    const emoji = trimmed(input.reaction?.emoji);
+    if (emoji.length > 16) throw badRequest('reaction.emoji must be a single emoji');
+    payload.reaction = { messageId: parseId(input.reaction?.messageId, 'reaction.messageId'), emoji };
+  }
+
+  if (input.replyTo !== undefined && input.replyTo !== null && input.replyTo !== '') {
+    if (type === 'reaction') throw badRequest('a reaction cannot reply to a message');
+    payload.replyTo = parseId(input.replyTo, 'replyTo');
+  }
+  const mentions = (Array.isArray(input.mentions) ? input.mentions : String(input.mentions || '').split(','))
+    .map(trimmed).filter(Boolean);
+  if (mentions.length) {
+    if (!TEXT_TYPES.includes(type)) throw badRequest(`a ${type} message cannot mention anyone`);
+    payload.mentions = [...new Set(mentions)];
+  }
+  return payload;
+}
+
+// vCard 3.0 text value
+const vcardText = (s) => String(s).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+/**
+ * vCard of one contact; waid makes WhatsApp show the "Message" button
+ */
+function vcard({ name, phone, organization = null }) {
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${vcardText(name)}`,
+    ...(organization ? [`ORG:${vcardText(organization)};`] : []),
+    `TEL;type=CELL;type=VOICE;waid=${phone}:+${phone}`,
+    'END:VCARD'
+  ].join('\n');
+}
+
+/**
+ * Baileys content of a parsed payload
+ * - buffer: the file of file types
+ * - mentions: jids of payload.mentions
+ * - reactKey: the key of the message a reaction is for
+ */
+function buildContent(payload, { buffer = null, mime = null, fileName = null, mentions = [], reactKey = null } = {}) {
+  const caption = payload.message || undefined;
+  const tagged = mentions.length ? { mentions } : {};
+  const mimetype = mime || payload.mime || FILE_MIME[payload.type]?.def;
+  switch (payload.type) {
+    case 'text': return { text: payload.message, ...tagged };
+    case 'image': return { image: buffer, mimetype, caption, ...tagged };
+    case 'video': return { video: buffer, mimetype, caption, ...tagged };
+    case 'audio': return { audio: buffer, mimetype };
+    case 'voice': return { audio: buffer, mimetype: FILE_MIME.voice.def, ptt: true };
+    case 'sticker': return { sticker: buffer };
+    case 'document': {
+      const ext = String(mimetype).split('/')[1]?.split(/[;+]/)[0];
+      return { document: buffer, mimetype, fileName: fileName || payload.fileName || `file${ext && ext !== 'octet-stream' ? `.${ext}` : ''}`, caption, ...tagged };
+    }
+    case 'location': {
+      const { latitude, longitude, name, address } = payload.location;
+      return { location: { degreesLatitude: latitude, degreesLongitude: longitude, name: name || undefined, address: address || undefined } };
+    }
+    case 'contact': {
+      const list = payload.contacts.map(c => ({ displayName: c.name, vcard: vcard(c) }));
+      return { contacts: { displayName: list.length === 1 ? list[0].displayName : `${list.length} contacts`, contacts: list } };
+    }
+    case 'poll': return { poll: { name: payload.poll.name, values: payload.poll.options, selectableCount: payload.poll.selectableCount } };
+    case 'reaction': return { react: { text: payload.reaction.emoji, key: reactKey } };
+    default: throw badRequest(`unknown message type ${payload.type}`);
+  }
+}
+
+/**
+ * what goes into messages for a payload: { type, text, meta } (meta = JSON string or null)
+ * text is a readable summary for types without text, so chat previews and search still show something
+ */
+function storedFields(payload, { mentions = [] } = {}) {
+  let text = payload.message;
+  let meta = null;
+  if (payload.type === 'location') {
+    const { latitude, longitude, name, address } = payload.location;
+    text = [name, address].filter(Boolean).join(', ') || `${latitude}, ${longitude}`;
+    meta = payload.location;
+  } else if (payload.type === 'contact') {
+    text = payload.contacts.map(c => c.name).join(', ');
+    meta = { contacts: payload.contacts };
+  } else if (payload.type === 'poll') {
+    text = payload.poll.name;
+    meta = { options: payload.poll.options, selectableCount: payload.poll.selectableCount };
+  } else if (payload.type === 'reaction') {
+    text = payload.reaction.emoji || null;
+  }
+  if (mentions.length) meta = { ...(meta || {}), mentions };
+  return { type: payload.type, text, meta: meta ? JSON.stringify(meta) : null };
+}
+
+// containers around the actual content; they nest (a view-once image in a disappearing-messages chat)
+const WRAPPERS = ['ephemeralMessage', 'viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension', 'documentWithCaptionMessage'];
+
+/**
+ * the content message inside any wrappers
+ */
+function unwrap(message) {
+  let inner = message;
+  for (let depth = 0; depth < WRAPPERS.length; depth++) {
+    const field = WRAPPERS.find(f => inner?.[f]?.message);
+    if (!field) break;
+    inner = inner[field].message;
+  }
+  return inner;
+}
+
+/**
+ * type of a received message (null for protocol and other non-content messages)
+ */
+function incomingType(message) {
+  if (!message) return null;
+  const inner = unwrap(message);
+  if (inner.audioMessage?.ptt) return 'voice';
+  for (const [field, type] of Object.entries(INCOMING_TYPES)) {
+    if (inner[field]) return type;
+  }
+  return null;
+}
+
+/**
+ * text or caption of a received message ('' when it has none)
+ */
+function messageText(message) {
+  if (!message) return '';
+  const inner = unwrap(message);
+  return inner.conversation || inner.extendedTextMessage?.text || inner.imageMessage?.caption || inner.videoMessage?.caption
+    || inner.documentMessage?.caption || inner.documentWithCaptionMessage?.message?.documentMessage?.caption || '';
+}
+
+/**
+ * an edit or delete for everyone of an earlier message: { action: 'edit' | 'revoke', waId, text }, else null
+ * edits come as a protocolMessage, from newer clients wrapped in editedMessage
+ */
+function protocolChange(message) {
+  const pm = message?.protocolMessage || message?.editedMessage?.message?.protocolMessage;
+  if (!pm?.key?.id) return null;
+  if ((pm.type || 0) === PROTOCOL_REVOKE) return { action: 'revoke', waId: pm.key.id };
+  if (pm.type === PROTOCOL_MESSAGE_EDIT) return { action: 'edit', waId: pm.key.id, text: messageText(pm.editedMessage) };
+  return null;
+}
+
+module.exports = { MESSAGE_TYPES, FILE_TYPES, parsePayload, buildContent, storedFields, incomingType, messageText, protocolChange, unwrap, fileMime, fileType, vcard };
@@ -0,0 +1,210 @@
+// scheduler.js
+const { parseCron, nextRun } = require('./cron');
+
+/**
+ * Configuration
+ */
+const SCHEDULER_POLL_MS = parseInt(process.env.SCHEDULER_POLL_MS || '15000', 10);
+// how long a due message keeps retrying (e.g. session disconnected) before it is given up
+const SCHEDULE_EXPIRE_MINUTES = parseInt(process.env.SCHEDULE_EXPIRE_MINUTES || '60', 10);
+
+/**
+ * Scheduled / recurring messages
+ * - one-off: send_at only; recurring: cron rule, run_at moves to the next occurrence after each run
+ * - the in-process ticker sends everything due through the shared send path; sessions are worked off side by side,
+ *   so one session waiting in its send limiter does not hold up the others
+ * - files live in the media store (media_id); media_base64 only on rows from before, until media.migrateLegacy moves them
+ * - a due message whose session is down is retried every tick until run_at + expire window
+ *
+ * status: pending -> sent | expired | failed | cancelled; recurring stays pending until cancelled or past end_at (completed)
+ */
+function createSchedulerService({ pool, logger, io, media, sendText, sendMedia, formatJid, isSessionActive }) {
+  let timer = null;
+  let ticking = false;
+  const busySessions = new Set(); // sessions whose due messages are being sent
+
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  // media payload stays out of list responses
+  function toPublic(row) {
+    if (!row) return null;
+    const { media_base64, ...rest } = row;
+    return { ...rest, has_media: !!(rest.media_id || media_base64) };
+  }
+
+  async function getRow(id) {
+    const rows = await query(`SELECT * FROM scheduled_messages WHERE id=?`, [id]);
+    return rows[0] || null;
+  }
+
+  async function get(id) {
+    return toPublic(await getRow(id));
+  }
+
+  async function list({ sessionId = null, status = null, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (sessionId) { where.push('session_id=?'); params.push(sessionId); }
+    if (status) { where.push('status=?'); params.push(status); }
+    params.push(limit);
+    const rows = await query(
+      `SELECT * FROM scheduled_messages ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY run_at IS NULL, run_at, id DESC LIMIT ?`,
+      params);
+    return rows.map(toPublic);
+  }
+
+  function emit(row) {
+    io.emit('schedule', toPublic(row));
+  }
+
+  /**
+   * create a schedule
+   * - sendAt: Date/ISO string for one-off messages (also the earliest start of a recurring one)
+   * - cron: 5-field rule for recurring messages, optional endAt
+   * - file: { buffer | base64, mime, fileName }, saved to the media store
+   */
+  async function create({ sessionId = 'main', to, text = null, file = null, sendAt = null, cron = null, endAt = null, expireMinutes, createdBy = null }) {
+    if (!to) throw new Error('to required');
+    if (!text && !file) throw new Error('text or media required');
+    if (!sendAt && !cron) throw new Error('sendAt or cron required');
+
+    const jid = formatJid(to);
+    const now = new Date();
+    const start = sendAt ? new Date(sendAt) : now;
+    if (isNaN(start.getTime())) throw new Error('invalid sendAt');
+    const end = endAt ? new Date(endAt) : null;
+    if (end && isNaN(end.getTime())) throw new Error('invalid endAt');
+
+    let runAt = start;
+    if (cron) {
+      parseCron(cron); // validate
+      runAt = nextRun(cron, new Date(start.getTime() - 60 * 1000));
+      if (!runAt) throw new Error('cron rule never fires');
+    } else if (start.getTime() < now.getTime() - 60 * 1000) {
+      throw new Error('sendAt is in the past');
+    }
+    if (end && runAt > end) throw new Error('endAt is before the first run');
+
+    const expire = Number.isFinite(+expireMinutes) && +expireMinutes > 0 ? +expireMinutes : SCHEDULE_EXPIRE_MINUTES;
+    const mime = file ? file.mime || 'application/octet-stream' : null;
+    const stored = file ? await media.save(file.buffer || Buffer.from(file.base64, 'base64'), { mime, filename: file.fileName }) : null;
+    const res = await query(
+      `INSERT INTO scheduled_messages
+        (session_id, recipient, text, media_id, media_mime, media_filename, cron, run_at, end_at, expire_minutes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [sessionId, jid, text, stored?.id || null, mime, file?.fileName || null, cron, runAt, end, expire, createdBy]);
+    const row = await getRow(res.insertId);
+    emit(row);
+    return toPublic(row);
+  }
+
+  async function cancel(id) {
+    const row = await getRow(id);
+    if (!row) return null;
+    if (row.status !== 'pending') throw new Error(`schedule already ${row.status}`);
+    await query(`UPDATE scheduled_messages SET status='cancelled' WHERE id=?`, [id]);
+    const updated = await getRow(id);
+    emit(updated);
+    return toPublic(updated);
+  }
+
+  /**
+   * after a run (sent or given up): advance a recurring schedule, or close a one-off
+   */
+  async function finishOccurrence(row, outcome, error = null) {
+    const sent = outcome === 'sent';
+    if (row.cron) {
+      const next = nextRun(row.cron, new Date());
+      const ended = !next || (row.end_at && next > new Date(row.end_at));
+      await query(
+        `UPDATE scheduled_messages SET status=?, run_at=?, attempts=0, run_count=run_count+?, last_error=?, last_sent_at=IF(?, NOW(), last_sent_at) WHERE id=?`,
+        [ended ? 'completed' : 'pending', ended ? row.run_at : next, sent ? 1 : 0, error, sent, row.id]);
+    } else {
+      await query(
+        `UPDATE scheduled_messages SET status=?, run_count=run_count+?, last_error=?, last_sent_at=IF(?, NOW(), last_sent_at) WHERE id=?`,
+        [outcome, sent ? 1 : 0, error, sent, row.id]);
+    }
+    emit(await getRow(row.id));
+  }
+
+  async function fire(row) {
+    const expired = Date.now() > new Date(row.run_at).getTime() + row.expire_minutes * 60 * 1000;
+
+    if (!isSessionActive(row.session_id)) {
+      if (expired) {
+        logger.warn(`[schedule ${row.id}] session ${row.session_id} not active, occurrence expired`);
+        await finishOccurrence(row, 'expired', 'session not active');
+      } else if (row.last_error !== 'session not active') {
+        await query(`UPDATE scheduled_messages SET last_error='session not active' WHERE id=?`, [row.id]);
+      }
+      return;
+    }
+
+    try {
+      if (row.media_id || row.media_base64) {
+        const stored = row.media_id ? await media.readBuffer(row.media_id) : { buffer: Buffer.from(row.media_base64, 'base64') };
+        if (!stored) throw new Error(`media ${row.media_id} not found`);
+        await sendMedia(row.session_id, row.recipient, {
+          buffer: stored.buffer,
+          mime: row.media_mime || stored.mime || 'application/octet-stream',
+          fileName: row.media_filename,
+          caption: row.text || undefined
+        });
+      } else {
+        await sendText(row.session_id, row.recipient, row.text);
+      }
+      await finishOccurrence(row, 'sent');
+    } catch (err) {
+      const msg = err?.message || String(err);
+      logger.error(`[schedule ${row.id}] send err: ${msg}`);
+      if (expired) await finishOccurrence(row, 'failed', msg);
+      else await query(`UPDATE scheduled_messages SET attempts=attempts+1, last_error=? WHERE id=?`, [msg, row.id]);
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const due = await query(
+        `SELECT * FROM scheduled_messages WHERE status='pending' AND run_at <= ? ORDER BY run_at LIMIT 100`, [new Date()]);
+      // in order within a session, sessions side by side; a session still busy from an earlier tick gets its rows next time
+      const bySession = new Map();
+      for (const row of due) {
+        if (busySessions.has(row.session_id)) continue;
+        if (!bySession.has(row.session_id)) bySession.set(row.session_id, []);
+        bySession.get(row.session_id).push(row);
+      }
+      for (const [sessionId, rows] of bySession) {
+        busySessions.add(sessionId);
+        (async () => { for (const row of rows) await fire(row); })()
+          .catch(err => logger.error(`[${sessionId}] scheduler err: ${err?.message || err}`))
+          .finally(() => busySessions.delete(sessionId));
+      }
+    } catch (err) {
+      logger.error(`scheduler tick err: ${err?.message || err}`);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(tick, SCHEDULER_POLL_MS);
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { create, get, list, cancel, tick, start, stop };
+}
+
+module.exports = { createSchedulerService };
@@ -0,0 +1,91 @@
+// search.js
+
+// shorter words are not in the FULLTEXT index (innodb_ft_min_token_size); those queries fall back to LIKE
+const FT_MIN_WORD = parseInt(process.env.SEARCH_FT_MIN_WORD || '3', 10);
+const SEARCH_MAX_LIMIT = 200;
+
+// mediaType filter -> SQL on messages.media_type (mime type, or the short type for older rows)
+const MEDIA_FILTERS = {
+  any: `media_type IS NOT NULL`,
+  none: `media_type IS NULL`,
+  image: `(media_type LIKE 'image%' AND media_type <> 'image/webp')`,
+  sticker: `(media_type = 'sticker' OR media_type = 'image/webp')`,
+  video: `media_type LIKE 'video%'`,
+  audio: `media_type LIKE 'audio%'`,
+  document: `(media_type IS NOT NULL AND media_type NOT LIKE 'image%' AND media_type NOT LIKE 'video%' AND media_type NOT LIKE 'audio%' AND media_type <> 'sticker')`
+};
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+/**
+ * user input -> MySQL boolean mode query: every word required, prefix match, "quoted phrases" kept
+ * returns null when no word is long enough for the FULLTEXT index
+ */
+function toBooleanQuery(q) {
+  const parts = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(q || '')))) {
+    if (m[1]) {
+      const phrase = m[1].replace(/[^\p{L}\p{N}\s]/gu, ' ').trim();
+      if (phrase.length >= FT_MIN_WORD) parts.push(`+"${phrase}"`);
+    } else {
+      // boolean operators in the input would change the meaning; keep letters and digits only
+      for (const word of m[2].split(/[^\p{L}\p{N}]+/u)) {
+        if (word.length >= FT_MIN_WORD) parts.push(`+${word}*`);
+      }
+    }
+  }
+  return parts.length ? parts.join(' ') : null;
+}
+
+/**
+ * Message search
+ * - q: full-text on messages.text (FULLTEXT index ft_messages_text), LIKE for very short terms
+ * - filters: session, direction, chat jid, media type, created_at range
+ * - newest first; nextCursor (a message id) is passed back as `before` for the next page
+ */
+function createMessageSearch({ pool, columns = '*' }) {
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  async function search({ q = null, sessionId = null, direction = null, jid = null, mediaType = null, from = null, to = null, before = null, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    const text = q ? String(q).trim() : '';
+    if (text) {
+      const boolean = toBooleanQuery(text);
+      if (boolean) { where.push('MATCH(text) AGAINST(? IN BOOLEAN MODE)'); params.push(boolean); }
+      else { where.push('text LIKE ?'); params.push(`%${text.replace(/[\\%_]/g, '\\$&')}%`); }
+    }
+    if (sessionId) { where.push('session_id=?'); params.push(sessionId); }
+    if (direction) { where.push('direction=?'); params.push(direction); }
+    if (jid) { where.push('chat_jid=?'); params.push(jid); }
+    if (mediaType) {
+      if (MEDIA_FILTERS[mediaType]) where.push(MEDIA_FILTERS[mediaType]);
+      else { where.push('media_type=?'); params.push(mediaType); } // exact mime, e.g. application/pdf
+    }
+    // bare dates are days in the database time zone; `to` then includes that whole day
+    if (from) { where.push('created_at >= ?'); params.push(isDate(from) ? String(from) : new Date(from)); }
+    if (to) {
+      if (isDate(to)) { where.push('created_at < ? + INTERVAL 1 DAY'); params.push(String(to)); }
+      else { where.push('created_at <= ?'); params.push(new Date(to)); }
+    }
+    if (before) { where.push('id < ?'); params.push(before); }
+
+    const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), SEARCH_MAX_LIMIT);
+    params.push(size);
+    const rows = await query(
+      `SELECT ${columns} FROM messages ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`, params);
+    return { messages: rows, nextCursor: rows.length === size ? rows[rows.length - 1].id : null };
+  }
+
+  return { search };
+}
+
+module.exports = { createMessageSearch, toBooleanQuery, MEDIA_FILTERS, isDate };
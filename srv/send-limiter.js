@@ -0,0 +1,225 @@
+// send-limiter.js
+
+/**
+ * Configuration (per session; 0 switches a limit off, for the token bucket either of rate and burst)
+ */
+const SEND_RATE_PER_MINUTE = parseInt(process.env.SEND_RATE_PER_MINUTE || '20', 10); // token bucket refill
+const SEND_BURST = parseInt(process.env.SEND_BURST || '5', 10);                      // sends that may go out back to back
+const SEND_HOURLY_CAP = parseInt(process.env.SEND_HOURLY_CAP || '300', 10);
+const SEND_DAILY_CAP = parseInt(process.env.SEND_DAILY_CAP || '2000', 10);
+const SEND_RECIPIENT_GAP_MS = parseInt(process.env.SEND_RECIPIENT_GAP_MS || '3000', 10); // between two sends to the same chat
+const SEND_QUEUE_MAX = parseInt(process.env.SEND_QUEUE_MAX || '200', 10);              // waiting sends; more are rejected
+const SEND_QUEUE_TIMEOUT_MS = parseInt(process.env.SEND_QUEUE_TIMEOUT_SECONDS || '300', 10) * 1000; // a send waiting longer is rejected
+const SEND_TYPING = process.env.SEND_TYPING === 'true';                              // "typing..." before text sends
+const SEND_TYPING_CHARS_PER_SEC = parseInt(process.env.SEND_TYPING_CHARS_PER_SEC || '15', 10);
+const SEND_TYPING_MIN_MS = parseInt(process.env.SEND_TYPING_MIN_MS || '800', 10);
+const SEND_TYPING_MAX_MS = parseInt(process.env.SEND_TYPING_MAX_MS || '6000', 10);
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const LIMITS = {
+  ratePerMinute: SEND_RATE_PER_MINUTE, burst: SEND_BURST, hourlyCap: SEND_HOURLY_CAP, dailyCap: SEND_DAILY_CAP,
+  recipientGapMs: SEND_RECIPIENT_GAP_MS, queueMax: SEND_QUEUE_MAX, queueTimeoutMs: SEND_QUEUE_TIMEOUT_MS,
+  typing: SEND_TYPING, typingCharsPerSec: SEND_TYPING_CHARS_PER_SEC, typingMinMs: SEND_TYPING_MIN_MS, typingMaxMs: SEND_TYPING_MAX_MS
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// how long "typing..." is shown for a text of this length
+function typingDelay(chars, limits = LIMITS) {
+  const ms = Math.round(chars / Math.max(limits.typingCharsPerSec, 1) * 1000);
+  return Math.min(Math.max(ms, limits.typingMinMs), limits.typingMaxMs);
+}
+
+/**
+ * Outbound pacing per session (anti-ban)
+ * - every WhatsApp send of a session waits in one queue; sends go out one at a time
+ * - token bucket (SEND_RATE_PER_MINUTE, SEND_BURST), then hourly / daily caps over the sends of the last hour / day
+ * - at least SEND_RECIPIENT_GAP_MS between two sends to the same chat; other chats may go first meanwhile
+ * - optional "typing..." presence before text sends, longer for longer texts
+ * - the sends of the last day are read back from messages once per session, so a restart does not reset the caps
+ *
+ * rejected sends (cap reached, queue full, waited too long) throw status 429 with reason and retryAt (cap only)
+ * presence(sessionId, jid, type) sends a presence update; onReject(sessionId, reason) counts rejections
+ * limits: overrides of the configured LIMITS
+ */
+function createSendLimiter({ pool, logger, presence, onReject = () => {}, limits = {} }) {
+  const cfg = { ...LIMITS, ...limits };
+  const tokenBucket = cfg.ratePerMinute > 0 && cfg.burst > 0;
+  const sessions = new Map(); // sessionId -> { tokens, refilledAt, sent, lastTo, queue, draining, rejected, seeded }
+
+  function state(sessionId) {
+    let s = sessions.get(sessionId);
+    if (!s) {
+      s = { tokens: cfg.burst, refilledAt: Date.now(), sent: [], lastTo: new Map(), queue: [], draining: false, rejected: {}, seeded: null };
+      sessions.set(sessionId, s);
+    }
+    return s;
+  }
+
+  function seed(sessionId, s) {
+    if (!s.seeded) {
+      s.seeded = (async () => {
+        const conn = await pool.getConnection();
+        try {
+          const [rows] = await conn.query(
+            `SELECT UNIX_TIMESTAMP(created_at) AS ts FROM messages WHERE session_id=? AND direction='out' AND created_at > NOW() - INTERVAL 1 DAY ORDER BY created_at`,
+            [sessionId]);
+          s.sent.unshift(...rows.map(r => Number(r.ts) * 1000));
+        } finally { conn.release(); }
+      })().catch(err => {
+        s.seeded = null;
+        throw err;
+      });
+    }
+    return s.seeded;
+  }
+
+  // sent holds the send times of the last day, oldest first
+  function prune(s, now) {
+    while (s.sent.length && s.sent[0] <= now - DAY_MS) s.sent.shift();
+    if (s.lastTo.size > 1000) {
+      for (const [jid, at] of s.lastTo) if (now - at >= cfg.recipientGapMs) s.lastTo.delete(jid);
+    }
+  }
+
+  function sentSince(s, since) {
+    let n = 0;
+    for (let i = s.sent.length - 1; i >= 0 && s.sent[i] > since; i--) n++;
+    return n;
+  }
+
+  // { reason, message, retryAt } when the hourly or daily cap is reached
+  function capReached(s, now) {
+    prune(s, now);
+    if (cfg.dailyCap > 0 && s.sent.length >= cfg.dailyCap) {
+      return { reason: 'daily_cap', message: `daily send limit reached (${cfg.dailyCap} per day)`, retryAt: new Date(s.sent[s.sent.length - cfg.dailyCap] + DAY_MS) };
+    }
+    if (cfg.hourlyCap > 0 && sentSince(s, now - HOUR_MS) >= cfg.hourlyCap) {
+      return { reason: 'hourly_cap', message: `hourly send limit reached (${cfg.hourlyCap} per hour)`, retryAt: new Date(s.sent[s.sent.length - cfg.hourlyCap] + HOUR_MS) };
+    }
+    return null;
+  }
+
+  function rejection(sessionId, s, { reason, message, retryAt = null }) {
+    s.rejected[reason] = (s.rejected[reason] || 0) + 1;
+    onReject(sessionId, reason);
+    logger.warn(`[${sessionId}] send rejected: ${message}`);
+    return Object.assign(new Error(message), { status: 429, reason, retryAt });
+  }
+
+  function refill(s, now) {
+    s.tokens = Math.min(cfg.burst, s.tokens + (now - s.refilledAt) * cfg.ratePerMinute / 60000);
+    s.refilledAt = now;
+  }
+
+  async function runJob(sessionId, s, job) {
+    const typing = cfg.typing && job.chars > 0 && presence;
+    try {
+      if (typing) {
+        await presence(sessionId, job.jid, 'composing').catch(() => {});
+        await sleep(typingDelay(job.chars, cfg));
+      }
+      const result = await job.fn();
+      // only sends that went out count towards the caps
+      s.sent.push(Date.now());
+      job.resolve(result);
+    } catch (err) {
+      job.reject(err);
+    } finally {
+      s.lastTo.set(job.jid, Date.now());
+      if (typing) presence(sessionId, job.jid, 'paused').catch(() => {});
+    }
+  }
+
+  // one loop per session works off its queue
+  async function drain(sessionId, s) {
+    if (s.draining) return;
+    s.draining = true;
+    try {
+      while (s.queue.length) {
+        const now = Date.now();
+        for (const job of s.queue.filter(j => cfg.queueTimeoutMs > 0 && now - j.queuedAt > cfg.queueTimeoutMs)) {
+          s.queue.splice(s.queue.indexOf(job), 1);
+          job.reject(rejection(sessionId, s, { reason: 'timeout', message: `send waited longer than ${Math.round(cfg.queueTimeoutMs / 1000)}s in the queue` }));
+        }
+        if (!s.queue.length) break;
+
+        const cap = capReached(s, now);
+        if (cap) {
+          for (const job of s.queue.splice(0)) job.reject(rejection(sessionId, s, cap));
+          break;
+        }
+
+        let wait = 0;
+        if (tokenBucket) {
+          refill(s, now);
+          if (s.tokens < 1) wait = Math.ceil((1 - s.tokens) * 60000 / cfg.ratePerMinute);
+        }
+        const readyAt = (job) => (s.lastTo.get(job.jid) || 0) + Math.max(cfg.recipientGapMs, 0);
+        const job = s.queue.find(j => readyAt(j) <= now);
+        if (!job) wait = Math.max(wait, Math.min(...s.queue.map(readyAt)) - now);
+        if (wait > 0) {
+          await sleep(wait);
+          continue;
+        }
+
+        s.queue.splice(s.queue.indexOf(job), 1);
+        if (tokenBucket) s.tokens -= 1;
+        await runJob(sessionId, s, job);
+      }
+    } finally {
+      s.draining = false;
+    }
+  }
+
+  /**
+   * run fn (one WhatsApp send) once the session's limits allow it; resolves with fn's result
+   * chars: text length for the typing delay (0 = no typing, e.g. files, reactions, deletes)
+   */
+  async function run(sessionId, jid, fn, { chars = 0 } = {}) {
+    const s = state(sessionId);
+    await seed(sessionId, s);
+    const cap = capReached(s, Date.now());
+    if (cap) throw rejection(sessionId, s, cap);
+    if (cfg.queueMax > 0 && s.queue.length >= cfg.queueMax) {
+      throw rejection(sessionId, s, { reason: 'queue_full', message: `send queue is full (${cfg.queueMax} waiting)` });
+    }
+    return new Promise((resolve, reject) => {
+      s.queue.push({ jid, fn, chars, queuedAt: Date.now(), resolve, reject });
+      drain(sessionId, s).catch(err => logger.error(`[${sessionId}] send queue err: ${err?.message || err}`));
+    });
+  }
+
+  /**
+   * queue depth, sends of the last hour / day and rejections since start, for GET /api/sessions/:id/send-limits
+   */
+  async function stats(sessionId) {
+    const s = state(sessionId);
+    await seed(sessionId, s);
+    const now = Date.now();
+    prune(s, now);
+    if (tokenBucket) refill(s, now);
+    const cap = capReached(s, now);
+    return {
+      sessionId,
+      queued: s.queue.length,
+      sentLastHour: sentSince(s, now - HOUR_MS),
+      sentLastDay: s.sent.length,
+      tokens: tokenBucket ? Math.floor(s.tokens) : null,
+      blocked: cap ? { reason: cap.reason, retryAt: cap.retryAt } : null,
+      rejected: { ...s.rejected },
+      limits: cfg
+    };
+  }
+
+  // sessionId -> waiting sends, for the queue depth gauge
+  function queueDepths() {
+    return Object.fromEntries([...sessions].map(([sessionId, s]) => [sessionId, s.queue.length]));
+  }
+
+  return { run, stats, queueDepths };
+}
+
+module.exports = { createSendLimiter, typingDelay, LIMITS };
@@ -0,0 +1,102 @@
+// send-limiter.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSendLimiter, typingDelay, LIMITS } = require('./send-limiter');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// pool whose messages table holds outgoing sends at these unix times (seconds)
+function fakePool(sentAt = []) {
+  return {
+    async getConnection() {
+      return { async query() { return [sentAt.map(ts => ({ ts }))]; }, release() {} };
+    }
+  };
+}
+
+// every limit off unless the test sets it
+const OFF = { ratePerMinute: 0, burst: 0, hourlyCap: 0, dailyCap: 0, recipientGapMs: 0, queueMax: 0, queueTimeoutMs: 0, typing: false };
+
+function limiter(limits, pool = fakePool()) {
+  return createSendLimiter({ pool, logger, limits: { ...OFF, ...limits } });
+}
+
+const send = (l, jid, fn = async () => jid) => l.run('s1', jid, fn);
+
+test('burst goes out back to back, then sends wait for a token', async () => {
+  const l = limiter({ ratePerMinute: 600, burst: 2 }); // one token per 100 ms
+  const started = Date.now();
+  const times = await Promise.all(['a', 'b', 'c'].map(jid => send(l, jid, async () => Date.now() - started)));
+  assert.ok(times[1] < 50, `second send of the burst waited ${times[1]} ms`);
+  assert.ok(times[2] >= 80, `third send went out after ${times[2]} ms`);
+});
+
+test('a zero burst or rate switches the token bucket off instead of blocking', async () => {
+  for (const limits of [{ ratePerMinute: 20, burst: 0 }, { ratePerMinute: 0, burst: 5 }]) {
+    const l = limiter(limits);
+    const results = await Promise.all(['a', 'b', 'c', 'd'].map(jid => send(l, jid)));
+    assert.deepEqual(results, ['a', 'b', 'c', 'd']);
+    assert.equal((await l.stats('s1')).tokens, null);
+  }
+});
+
+test('failed sends do not count towards the caps', async () => {
+  const l = limiter({ hourlyCap: 1 });
+  await assert.rejects(send(l, 'a', async () => { throw new Error('not connected'); }), /not connected/);
+  assert.equal((await l.stats('s1')).sentLastHour, 0);
+  await send(l, 'a');
+  assert.equal((await l.stats('s1')).sentLastHour, 1);
+});
+
+test('hourly cap rejects with 429, reason and retryAt', async () => {
+  const l = limiter({ hourlyCap: 2 });
+  await send(l, 'a');
+  await send(l, 'b');
+  const err = await send(l, 'c').catch(e => e);
+  assert.equal(err.status, 429);
+  assert.equal(err.reason, 'hourly_cap');
+  assert.ok(err.retryAt instanceof Date && err.retryAt > new Date());
+  const stats = await l.stats('s1');
+  assert.equal(stats.blocked.reason, 'hourly_cap');
+  assert.deepEqual(stats.rejected, { hourly_cap: 1 });
+});
+
+test('sends of the last day stored in messages count after a restart', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const l = limiter({ dailyCap: 2 }, fakePool([now - 7200, now - 60]));
+  const err = await send(l, 'a').catch(e => e);
+  assert.equal(err.reason, 'daily_cap');
+  assert.equal((await l.stats('s1')).sentLastDay, 2);
+});
+
+test('a full queue rejects further sends', async () => {
+  const l = limiter({ queueMax: 1 });
+  let release;
+  const running = send(l, 'a', () => new Promise(resolve => { release = resolve; }));
+  const queued = send(l, 'b');
+  const err = await send(l, 'c').catch(e => e);
+  assert.equal(err.reason, 'queue_full');
+  assert.equal(err.status, 429);
+  release('a');
+  assert.deepEqual(await Promise.all([running, queued]), ['a', 'b']);
+});
+
+test('sends to the same chat keep the recipient gap while other chats go first', async () => {
+  const l = limiter({ recipientGapMs: 100 });
+  const order = [];
+  const started = Date.now();
+  const at = {};
+  await Promise.all(['a', 'a', 'b'].map(jid => send(l, jid, async () => {
+    order.push(jid);
+    (at[jid] = at[jid] || []).push(Date.now() - started);
+  })));
+  assert.deepEqual(order, ['a', 'b', 'a']);
+  assert.ok(at.a[1] - at.a[0] >= 90, `second send to a came ${at.a[1] - at.a[0]} ms after the first`);
+});
+
+test('typingDelay grows with the text and stays within its bounds', () => {
+  const limits = { ...LIMITS, typingCharsPerSec: 10, typingMinMs: 500, typingMaxMs: 3000 };
+  assert.equal(typingDelay(1, limits), 500);
+  assert.equal(typingDelay(20, limits), 2000);
+  assert.equal(typingDelay(1000, limits), 3000);
+});
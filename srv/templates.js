@@ -0,0 +1,116 @@
+// templates.js
+
+// {{name}}, {{ invoice_no }}, {{customer.city}}
+const PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_.]+)\s*\}\}/g;
+
+/**
+ * variable names used in a template body (unique, in order of appearance)
+ */
+function templateVariables(body) {
+  const names = [];
+  for (const m of String(body || '').matchAll(PLACEHOLDER)) {
+    if (!names.includes(m[1])) names.push(m[1]);
+  }
+  return names;
+}
+
+const own = (obj, key) => obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key);
+
+// own properties only: {{constructor}} or {{name.toString}} are missing variables, not function source
+function lookup(vars, name) {
+  if (own(vars, name)) return vars[name];
+  // dotted names resolve into nested objects
+  return name.split('.').reduce((v, k) => (own(v, k) ? v[k] : undefined), vars);
+}
+
+/**
+ * fill placeholders; throws (status 400, err.missing) when a variable has no value
+ */
+function renderTemplate(body, vars = {}) {
+  const values = vars || {};
+  const missing = templateVariables(body).filter(n => {
+    const v = lookup(values, n);
+    return v === undefined || v === null;
+  });
+  if (missing.length) {
+    const err = new Error(`missing template variables: ${missing.join(', ')}`);
+    err.status = 400;
+    err.missing = missing;
+    throw err;
+  }
+  return String(body).replace(PLACEHOLDER, (_, n) => String(lookup(values, n)));
+}
+
+function toPublic(row) {
+  if (!row) return null;
+  return { ...row, variables: templateVariables(row.body) };
+}
+
+/**
+ * Message templates stored in MySQL (shared by dashboard + API)
+ */
+function createTemplateService({ pool }) {
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  async function list() {
+    const rows = await query(`SELECT * FROM message_templates ORDER BY name`);
+    return rows.map(toPublic);
+  }
+
+  async function get(id) {
+    const rows = await query(`SELECT * FROM message_templates WHERE id=?`, [id]);
+    return toPublic(rows[0]);
+  }
+
+  async function create({ name, body }) {
+    if (!name || !body) throw new Error('name and body required');
+    try {
+      const res = await query(`INSERT INTO message_templates (name, body) VALUES (?, ?)`, [name, body]);
+      return get(res.insertId);
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') throw new Error(`template "${name}" already exists`);
+      throw err;
+    }
+  }
+
+  async function update(id, { name, body } = {}) {
+    const current = await get(id);
+    if (!current) return null;
+    try {
+      await query(`UPDATE message_templates SET name=?, body=? WHERE id=?`, [name || current.name, body || current.body, id]);
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') throw new Error(`template "${name}" already exists`);
+      throw err;
+    }
+    return get(id);
+  }
+
+  async function remove(id) {
+    const res = await query(`DELETE FROM message_templates WHERE id=?`, [id]);
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * text to send for a request: rendered template when templateId is given, else the raw message
+   */
+  async function resolve({ templateId, variables, message }) {
+    if (!templateId) return message;
+    const tpl = await get(templateId);
+    if (!tpl) {
+      const err = new Error('template not found');
+      err.status = 404;
+      throw err;
+    }
+    return renderTemplate(tpl.body, variables);
+  }
+
+  return { list, get, create, update, remove, resolve };
+}
+
+module.exports = { createTemplateService, renderTemplate, templateVariables };
@@ -0,0 +1,35 @@
+// templates.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, templateVariables } = require('./templates');
+
+test('templateVariables lists each placeholder once, in order', () => {
+  assert.deepEqual(templateVariables('Hi {{name}}, invoice {{ invoice_no }} for {{name}} in {{customer.city}}'), ['name', 'invoice_no', 'customer.city']);
+  assert.deepEqual(templateVariables('no placeholders'), []);
+  assert.deepEqual(templateVariables(null), []);
+});
+
+test('renderTemplate fills flat and dotted variables', () => {
+  assert.equal(renderTemplate('Hi {{name}} from {{ customer.city }}', { name: 'Ana', customer: { city: 'Bandung' } }), 'Hi Ana from Bandung');
+  // a literal dotted key wins over the nested lookup
+  assert.equal(renderTemplate('{{contact.name}}', { 'contact.name': 'flat', contact: { name: 'nested' } }), 'flat');
+  assert.equal(renderTemplate('total {{n}}', { n: 0 }), 'total 0');
+});
+
+test('renderTemplate rejects missing variables with status 400 and the names', () => {
+  assert.throws(() => renderTemplate('Hi {{name}}, {{order.id}} {{empty}}', { empty: '', order: {} }), (err) => {
+    assert.equal(err.status, 400);
+    assert.deepEqual(err.missing, ['name', 'order.id']);
+    assert.match(err.message, /missing template variables: name, order\.id/);
+    return true;
+  });
+  assert.throws(() => renderTemplate('{{name}}', { name: null }), { status: 400 });
+  assert.throws(() => renderTemplate('{{name}}', null), { status: 400 });
+});
+
+test('inherited properties are missing variables, not values', () => {
+  for (const body of ['{{constructor}}', '{{toString}}', '{{__proto__}}', '{{name.constructor}}', '{{customer.hasOwnProperty}}']) {
+    assert.throws(() => renderTemplate(body, { name: 'Ana', customer: { city: 'Bandung' } }), { status: 400 }, body);
+  }
+  assert.equal(renderTemplate('{{constructor}}', { constructor: 'own value' }), 'own value');
+});
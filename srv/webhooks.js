@@ -0,0 +1,267 @@
+// webhooks.js
+const crypto = require('crypto');
+
+/**
+ * Configuration
+ */
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '15', 10);
+const WEBHOOK_POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS || '5000', 10);
+
+// events a subscription may listen to ('*' = everything)
+const WEBHOOK_EVENTS = ['messages.upsert', 'messages.edited', 'messages.deleted', 'connection.update', 'groups.update', 'presence.update', 'session.failed'];
+
+/**
+ * sign a payload: hex HMAC-SHA256 over "<timestamp>.<body>"
+ * receivers recompute it with their secret and compare to X-Webhook-Signature
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * delay before the next attempt: base * 2^(attempt-1), capped at 1 hour
+ */
+function backoffSeconds(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)), 3600);
+}
+
+function parseEvents(events) {
+  if (!events) return ['*'];
+  const list = Array.isArray(events) ? events : String(events).split(',');
+  const cleaned = list.map(e => String(e).trim()).filter(Boolean);
+  const unknown = cleaned.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) throw new Error(`unknown webhook events: ${unknown.join(', ')}`);
+  return cleaned.length ? cleaned : ['*'];
+}
+
+function validateUrl(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { throw new Error('invalid webhook url'); }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('webhook url must be http(s)');
+  return parsed.toString();
+}
+
+function toPublic(row, { withSecret = false } = {}) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    url: row.url,
+    events: String(row.events || '*').split(','),
+    active: !!row.active,
+    secret: withSecret ? row.secret : undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Webhook service
+ * - CRUD for per-session subscriptions
+ * - dispatch(): queue a signed delivery for every matching subscription
+ * - background worker retrying failed deliveries with exponential backoff
+ */
+function createWebhookService({ pool, logger }) {
+  const inFlight = new Set();
+  let timer = null;
+  let polling = false;
+
+  async function query(sql, params = []) {
+    const conn = await pool.getConnection();
+    try {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    } finally { conn.release(); }
+  }
+
+  async function list(sessionId = null) {
+    const rows = sessionId
+      ? await query(`SELECT * FROM webhooks WHERE session_id=? ORDER BY id DESC`, [sessionId])
+      : await query(`SELECT * FROM webhooks ORDER BY id DESC`);
+    return rows.map(r => toPublic(r));
+  }
+
+  async function get(id) {
+    const rows = await query(`SELECT * FROM webhooks WHERE id=?`, [id]);
+    return rows[0] || null;
+  }
+
+  async function create({ sessionId, url, events, secret }) {
+    if (!sessionId) throw new Error('sessionId required');
+    const cleanUrl = validateUrl(url);
+    const evs = parseEvents(events);
+    const sec = secret || crypto.randomBytes(24).toString('hex');
+    const res = await query(
+      `INSERT INTO webhooks (session_id, url, events, secret, active) VALUES (?, ?, ?, ?, 1)`,
+      [sessionId, cleanUrl, evs.join(','), sec]
+    );
+    // the secret is only returned once, on creation
+    return toPublic(await get(res.insertId), { withSecret: true });
+  }
+
+  async function update(id, { url, events, active, secret } = {}) {
+    const row = await get(id);
+    if (!row) return null;
+    const next = {
+      url: url !== undefined ? validateUrl(url) : row.url,
+      events: events !== undefined ? parseEvents(events).join(',') : row.events,
+      active: active !== undefined ? (active ? 1 : 0) : row.active,
+      secret: secret || row.secret
+    };
+    await query(`UPDATE webhooks SET url=?, events=?, active=?, secret=? WHERE id=?`,
+      [next.url, next.events, next.active, next.secret, id]);
+    return toPublic(await get(id), { withSecret: !!secret });
+  }
+
+  async function remove(id) {
+    await query(`DELETE FROM webhook_deliveries WHERE webhook_id=?`, [id]);
+    const res = await query(`DELETE FROM webhooks WHERE id=?`, [id]);
+    return res.affectedRows > 0;
+  }
+
+  async function deliveries(webhookId, limit = 50) {
+    return query(
+      `SELECT id, webhook_id, event, status, attempts, response_status, error, next_attempt_at, delivered_at, created_at
+       FROM webhook_deliveries WHERE webhook_id=? ORDER BY id DESC LIMIT ?`,
+      [webhookId, limit]
+    );
+  }
+
+  async function getDelivery(webhookId, deliveryId) {
+    const rows = await query(`SELECT * FROM webhook_deliveries WHERE id=? AND webhook_id=?`, [deliveryId, webhookId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * POST one delivery; on failure schedule the next attempt or give up
+   */
+  async function deliver(deliveryId) {
+    if (inFlight.has(deliveryId)) return;
+    inFlight.add(deliveryId);
+    try {
+      const rows = await query(
+        `SELECT d.*, w.url, w.secret, w.active FROM webhook_deliveries d
+         JOIN webhooks w ON w.id = d.webhook_id WHERE d.id=?`, [deliveryId]);
+      const d = rows[0];
+      if (!d || d.status !== 'pending') return;
+      if (!d.active) {
+        await query(`UPDATE webhook_deliveries SET status='failed', error=? WHERE id=?`, ['webhook disabled', deliveryId]);
+        return;
+      }
+
+      const attempts = d.attempts + 1;
+      const timestamp = Math.floor(Date.now() / 1000);
+      let status = null;
+      let error = null;
+      let body = null;
+      try {
+        const res = await fetch(d.url, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/json',
+            'user-agent': 'wajpay-webhooks/1.0',
+            'x-webhook-id': String(d.webhook_id),
+            'x-webhook-delivery': String(d.id),
+            'x-webhook-event': d.event,
+            'x-webhook-timestamp': String(timestamp),
+            'x-webhook-signature': `sha256=${sign(d.secret, timestamp, d.payload)}`
+          },
+          body: d.payload,
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        status = res.status;
+        body = (await res.text().catch(() => '')).slice(0, 2000);
+        if (!res.ok) error = `HTTP ${res.status}`;
+      } catch (e) {
+        error = e?.message || String(e);
+      }
+
+      if (!error) {
+        await query(
+          `UPDATE webhook_deliveries SET status='success', attempts=?, response_status=?, response_body=?, error=NULL, delivered_at=NOW() WHERE id=?`,
+          [attempts, status, body, deliveryId]);
+      } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        await query(
+          `UPDATE webhook_deliveries SET status='failed', attempts=?, response_status=?, response_body=?, error=? WHERE id=?`,
+          [attempts, status, body, error, deliveryId]);
+        logger.warn(`[webhook ${d.webhook_id}] delivery ${deliveryId} failed after ${attempts} attempts: ${error}`);
+      } else {
+        await query(
+          `UPDATE webhook_deliveries SET attempts=?, response_status=?, response_body=?, error=?,
+           next_attempt_at=DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id=?`,
+          [attempts, status, body, error, backoffSeconds(attempts), deliveryId]);
+      }
+    } catch (err) {
+      logger.error(`webhook deliver err (${deliveryId}): ${err?.message || err}`);
+    } finally {
+      inFlight.delete(deliveryId);
+    }
+  }
+
+  /**
+   * queue an event for every active subscription of the session that wants it
+   */
+  async function dispatch(sessionId, event, data) {
+    try {
+      const hooks = await query(`SELECT id, events FROM webhooks WHERE session_id=? AND active=1`, [sessionId]);
+      const targets = hooks.filter(h => {
+        const evs = String(h.events || '*').split(',');
+        return evs.includes('*') || evs.includes(event);
+      });
+      if (!targets.length) return;
+
+      const payload = JSON.stringify({ event, sessionId, timestamp: new Date().toISOString(), data });
+      for (const h of targets) {
+        const res = await query(
+          `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, next_attempt_at) VALUES (?, ?, ?, 'pending', NOW())`,
+          [h.id, event, payload]);
+        deliver(res.insertId);
+      }
+    } catch (err) {
+      logger.error(`webhook dispatch err [${sessionId}] ${event}: ${err?.message || err}`);
+    }
+  }
+
+  /**
+   * queue a fresh copy of a stored delivery (keeps the original row as history)
+   */
+  async function redeliver(webhookId, deliveryId) {
+    const d = await getDelivery(webhookId, deliveryId);
+    if (!d) return null;
+    const res = await query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, next_attempt_at) VALUES (?, ?, ?, 'pending', NOW())`,
+      [d.webhook_id, d.event, d.payload]);
+    await deliver(res.insertId);
+    const rows = await query(`SELECT id, webhook_id, event, status, attempts, response_status, error, delivered_at, created_at FROM webhook_deliveries WHERE id=?`, [res.insertId]);
+    return rows[0];
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const due = await query(
+        `SELECT id FROM webhook_deliveries WHERE status='pending' AND next_attempt_at <= NOW() ORDER BY id LIMIT 50`);
+      for (const d of due) await deliver(d.id);
+    } catch (err) {
+      logger.error(`webhook poll err: ${err?.message || err}`);
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(poll, WEBHOOK_POLL_MS);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { list, get: async (id) => toPublic(await get(id)), create, update, remove, deliveries, getDelivery, redeliver, dispatch, start, stop };
+}
+
+module.exports = { createWebhookService, WEBHOOK_EVENTS, sign };
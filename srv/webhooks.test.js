@@ -0,0 +1,49 @@
+// webhooks.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createWebhookService, sign } = require('./webhooks');
+
+// pool keeping webhook rows in memory
+function fakePool() {
+  const rows = [];
+  const conn = {
+    async query(sql, params = []) {
+      if (/^INSERT INTO webhooks/.test(sql)) {
+        const [session_id, url, events, secret] = params;
+        rows.push({ id: rows.length + 1, session_id, url, events, secret, active: 1 });
+        return [{ insertId: rows.length }];
+      }
+      if (/^SELECT \* FROM webhooks WHERE id=\?/.test(sql)) return [rows.filter(r => r.id === params[0])];
+      return [[]];
+    },
+    release() {}
+  };
+  return { async getConnection() { return conn; } };
+}
+
+const logger = { info() {}, warn() {}, error() {} };
+
+test('sign is a hex HMAC-SHA256 over "<timestamp>.<body>"', () => {
+  const body = JSON.stringify({ event: 'messages.upsert' });
+  const expected = crypto.createHmac('sha256', 'shh').update(`1700000000.${body}`).digest('hex');
+  assert.equal(sign('shh', 1700000000, body), expected);
+  assert.notEqual(sign('other', 1700000000, body), expected);
+  assert.notEqual(sign('shh', 1700000001, body), expected);
+});
+
+test('create returns the generated secret once, with the events listed', async () => {
+  const webhooks = createWebhookService({ pool: fakePool(), logger });
+  const hook = await webhooks.create({ sessionId: 'main', url: 'https://example.com/hook', events: 'messages.upsert, connection.update' });
+  assert.deepEqual(hook.events, ['messages.upsert', 'connection.update']);
+  assert.match(hook.secret, /^[0-9a-f]{48}$/);
+  assert.equal((await webhooks.create({ sessionId: 'main', url: 'https://example.com/all' })).events[0], '*');
+});
+
+test('create refuses bad urls, unknown events and a missing session', async () => {
+  const webhooks = createWebhookService({ pool: fakePool(), logger });
+  await assert.rejects(webhooks.create({ sessionId: 'main', url: 'not a url' }), /invalid webhook url/);
+  await assert.rejects(webhooks.create({ sessionId: 'main', url: 'ftp://example.com' }), /must be http\(s\)/);
+  await assert.rejects(webhooks.create({ sessionId: 'main', url: 'https://example.com', events: ['messages.nope'] }), /unknown webhook events: messages\.nope/);
+  await assert.rejects(webhooks.create({ url: 'https://example.com' }), /sessionId required/);
+});